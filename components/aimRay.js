@@ -0,0 +1,59 @@
+// Aim ray: what the first-person player is looking at, as a model record.
+// Shared by the interaction and grab systems.
+import * as THREE from "three";
+
+/**
+ * Creates a center-screen ray caster that reports the registered model hit.
+ *
+ * Anything in the scene blocks the ray except editor helpers, hidden
+ * objects and the `ignore`d objects (with their children), so models can't
+ * be reached through walls.
+ *
+ * @param {Object} options
+ * @param {THREE.Camera} options.camera
+ * @param {THREE.Scene} options.scene
+ * @param {Object} options.modelRegistry - createModelRegistry() instance
+ * @param {Function} [options.ignore] - () => objects the ray passes through
+ *   (the player's capsule, a carried object...)
+ * @returns {Function} cast(far) => { record, hit } for the first thing hit
+ *   within `far`, where `record` is null for walls, floor etc.; or null if
+ *   nothing was hit
+ */
+export function createAimRay({
+  camera,
+  scene,
+  modelRegistry,
+  ignore = () => [],
+}) {
+  const raycaster = new THREE.Raycaster();
+  const screenCenter = new THREE.Vector2(0, 0);
+
+  // Can this object stop the ray?  (it and all its parents must be visible)
+  function blocksRay(object, ignored) {
+    for (let o = object; o; o = o.parent) {
+      if (!o.visible || o.userData.editorHelper || ignored.includes(o)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Model record owning a hit object
+  function recordFor(object) {
+    for (let o = object; o && o !== scene; o = o.parent) {
+      const record = modelRegistry.findByObject(o);
+      if (record) return record;
+    }
+    return null;
+  }
+
+  return function cast(far) {
+    raycaster.setFromCamera(screenCenter, camera);
+    raycaster.far = far;
+    const ignored = ignore().filter(Boolean);
+    const hit = raycaster
+      .intersectObjects(scene.children, true)
+      .find((h) => blocksRay(h.object, ignored));
+    return hit ? { record: recordFor(hit.object), hit } : null;
+  };
+}
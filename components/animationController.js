@@ -0,0 +1,184 @@
+// Animation controller: named-clip playback for one model's AnimationMixer,
+// with crossfades, one-shots that fall back to an idle clip, and a queue.
+// The mixer itself is still advanced by main.js's loop.
+import * as THREE from "three";
+
+const DEFAULT_FADE = 0.3; // seconds
+
+/**
+ * Creates an animation controller for a loaded model.
+ *
+ * Looping clips play until something else is played.  One-shots
+ * (`loop: false`) hold their last frame, then play the next queued clip or
+ * crossfade back to the idle clip.  Clips are looked up by name (exact, then
+ * case-insensitive) or by index into `clips`.
+ *
+ * @param {THREE.AnimationMixer} mixer
+ * @param {THREE.AnimationClip[]} clips
+ * @param {Object} [options]
+ * @param {string|number|null} [options.idle=0] - clip to return to after
+ *   one-shots; null for none
+ * @param {boolean} [options.autoplay=true] - start the idle clip right away
+ * @param {number} [options.timeScale=1] - default playback speed
+ * @param {number} [options.fade=0.3] - default crossfade in seconds
+ * @returns {Object} controller API: play(clip, options), queue(clip, options),
+ *   playIdle(options), setIdle(clip), stop(options), findClip(clip),
+ *   getCurrent(), clipNames, on("finished", fn), dispose()
+ */
+export function createAnimationController(
+  mixer,
+  clips,
+  { idle = 0, autoplay = true, timeScale = 1, fade = DEFAULT_FADE } = {},
+) {
+  let idleClip = null;
+  let current = null; // { action, clip, loop }
+  let pending = []; // queued one-shots: [{ clip, options }]
+  const finishedCallbacks = [];
+
+  /**
+   * @param {string|number} clip - clip name or index
+   * @returns {THREE.AnimationClip|null}
+   */
+  function findClip(clip) {
+    if (typeof clip === "number") return clips[clip] ?? null;
+    if (clip instanceof THREE.AnimationClip) return clip;
+    const lower = String(clip).toLowerCase();
+    return (
+      clips.find((c) => c.name === clip) ??
+      clips.find((c) => c.name.toLowerCase() === lower) ??
+      null
+    );
+  }
+
+  function start(
+    clip,
+    { loop = true, fade: fadeTime = fade, timeScale: speed = timeScale },
+  ) {
+    const action = mixer.clipAction(clip);
+    const previous = current?.action;
+
+    // Asking for the looping clip that's already on: leave it running
+    if (previous === action && loop && current.loop && action.isRunning()) {
+      action.setEffectiveTimeScale(speed);
+      return action;
+    }
+
+    action.reset();
+    action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+    action.clampWhenFinished = !loop; // hold the last pose while fading out
+    action.setEffectiveTimeScale(speed);
+    action.setEffectiveWeight(1);
+    action.play();
+
+    if (previous && previous !== action) {
+      if (fadeTime > 0) previous.crossFadeTo(action, fadeTime, false);
+      else previous.stop();
+    } else if (!previous && fadeTime > 0) {
+      action.fadeIn(fadeTime);
+    }
+
+    current = { action, clip, loop };
+    return action;
+  }
+
+  /**
+   * Play a clip now, replacing whatever is playing and clearing the queue.
+   *
+   * @param {string|number} clip - name or index
+   * @param {Object} [options]
+   * @param {boolean} [options.loop=true] - false plays once, then returns to
+   *   the queue / idle clip
+   * @param {number} [options.fade] - crossfade seconds
+   * @param {number} [options.timeScale] - playback speed
+   * @returns {THREE.AnimationAction|null} null if there is no such clip
+   */
+  function play(clip, options = {}) {
+    const found = findClip(clip);
+    if (!found) {
+      console.warn(`[Scene] No animation clip "${clip}"`);
+      return null;
+    }
+    pending = [];
+    return start(found, options);
+  }
+
+  /**
+   * Queue a one-shot after the one-shots already playing/queued.  Starts
+   * right away if the current clip loops (e.g. idle).
+   *
+   * @param {string|number} clip - name or index
+   * @param {Object} [options] - as for play(); `loop` is always false
+   */
+  function queue(clip, options = {}) {
+    const found = findClip(clip);
+    if (!found) {
+      console.warn(`[Scene] No animation clip "${clip}"`);
+      return;
+    }
+    const entry = { clip: found, options: { ...options, loop: false } };
+    if (!current || current.loop) {
+      start(entry.clip, entry.options);
+    } else {
+      pending.push(entry);
+    }
+  }
+
+  function playIdle(options = {}) {
+    if (idleClip) start(idleClip, { ...options, loop: true });
+  }
+
+  function setIdle(clip) {
+    idleClip = clip === null ? null : findClip(clip);
+  }
+
+  function stop({ fade: fadeTime = fade } = {}) {
+    pending = [];
+    if (!current) return;
+    if (fadeTime > 0) current.action.fadeOut(fadeTime);
+    else current.action.stop();
+    current = null;
+  }
+
+  // A one-shot reached its end: next in the queue, else back to idle
+  function onFinished(event) {
+    if (event.action !== current?.action) return; // already faded out
+    const { clip } = current;
+    finishedCallbacks.forEach((fn) =>
+      fn({ clip: clip.name, action: event.action }),
+    );
+    if (event.action !== current?.action) return; // a callback played something
+
+    const next = pending.shift();
+    if (next) start(next.clip, next.options);
+    else playIdle();
+  }
+  mixer.addEventListener("finished", onFinished);
+
+  setIdle(idle);
+  if (autoplay) playIdle({ fade: 0 });
+
+  return {
+    play,
+    queue,
+    playIdle,
+    setIdle,
+    stop,
+    findClip,
+    getCurrent: () =>
+      current && {
+        clip: current.clip.name,
+        loop: current.loop,
+        action: current.action,
+      },
+    clipNames: clips.map((c) => c.name),
+    // fn({ clip, action }) when a one-shot clip reaches its end
+    on: (event, fn) => {
+      if (event === "finished") finishedCallbacks.push(fn);
+    },
+    dispose: () => {
+      mixer.removeEventListener("finished", onFinished);
+      finishedCallbacks.length = 0;
+      pending = [];
+    },
+  };
+}
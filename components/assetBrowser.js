@@ -0,0 +1,329 @@
+// Asset browser: editor panel that lists spawnable GLTF models and places
+// them in the world, plus drag-and-drop import of local .glb/.gltf files
+import { COLLIDER_SHAPES } from "./sceneSchema.js";
+import {
+  createFieldRow,
+  createNumberInput,
+  createSelect,
+  createButton,
+} from "./editorUI.js";
+
+const MODEL_FILE_PATTERN = /\.(glb|gltf)$/i;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Turn "chair/mid_century_lounge_chair_1k.gltf" into an id base "chair"
+function idFromPath(path) {
+  return path.replace(/\.[^.]+$/, "").replace(/\/.*$/, "") || "model";
+}
+
+/**
+ * Fetch the model manifest.  Format (public/models/manifest.json):
+ *
+ *   { "models": [ { "name": "Lounge chair",
+ *                   "path": "chair/mid_century_lounge_chair_1k.gltf",
+ *                   "thumbnail": "chair/thumbnail.jpg",
+ *                   "scale": 1, "mass": 10, "shape": "hull" } ] }
+ *
+ * `path` and `thumbnail` are relative to /models; everything but `path` is
+ * optional.
+ */
+async function loadManifest(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+  const data = await response.json();
+  if (!Array.isArray(data?.models)) {
+    throw new Error('expected { "models": [...] }');
+  }
+  return data.models
+    .filter((entry) => typeof entry?.path === "string")
+    .map((entry) => ({
+      name: entry.name || idFromPath(entry.path),
+      path: entry.path,
+      thumbnail: entry.thumbnail ? `/models/${entry.thumbnail}` : null,
+      scale: entry.scale ?? 1,
+      mass: entry.mass ?? 10,
+      shape: COLLIDER_SHAPES.includes(entry.shape) ? entry.shape : "hull",
+    }));
+}
+
+function createThumbnail(asset) {
+  const thumb = document.createElement("div");
+  thumb.style.cssText = `
+    width: 40px;
+    height: 40px;
+    flex: none;
+    border-radius: 3px;
+    background: #333 center / cover no-repeat;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-size: 14px;
+    font-weight: bold;
+    color: #999;
+  `;
+  if (asset.thumbnail) {
+    thumb.style.backgroundImage = `url("${asset.thumbnail}")`;
+  } else {
+    thumb.textContent = asset.name.slice(0, 2).toUpperCase();
+  }
+  return thumb;
+}
+
+/**
+ * Creates the asset browser panel.
+ *
+ * Pick an asset in the list, adjust scale/mass/collider, then click in the
+ * viewport to place it at the surface under the cursor (Shift+click keeps
+ * placing, Esc cancels).  Dropping a local .glb/.gltf file onto the canvas
+ * imports it for the current session only.
+ *
+ * @param {Object} options
+ * @param {Object} options.editorUI - result of createEditorUI()
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {Object} options.objectPicker - picker() instance (for pickPoint/selection)
+ * @param {Object} options.modelRegistry - createModelRegistry() instance
+ * @param {Function} options.isEnabled - returns true while the editor is active
+ * @param {Function} [options.notify] - fn(message) for short status messages
+ * @param {string} [options.manifestUrl="/models/manifest.json"]
+ * @returns {Object} asset browser API
+ */
+export function createAssetBrowser({
+  editorUI,
+  renderer,
+  objectPicker,
+  modelRegistry,
+  isEnabled,
+  notify = (message) => console.log(`[Editor] ${message}`),
+  manifestUrl = "/models/manifest.json",
+}) {
+  const canvas = renderer.domElement;
+  const panel = editorUI.addPanel("Assets");
+
+  let assets = [];
+  let armedAsset = null; // asset waiting to be placed by a viewport click
+  const spawnSettings = { scale: 1, mass: 10, shape: "hull" };
+
+  const list = document.createElement("div");
+  list.style.cssText = "max-height: 240px; overflow-y: auto;";
+  panel.appendChild(list);
+
+  const settings = document.createElement("div");
+  settings.style.cssText =
+    "margin-top: 8px; border-top: 1px solid #444; padding-top: 6px;";
+  panel.appendChild(settings);
+
+  const status = document.createElement("div");
+  status.style.cssText = "margin-top: 6px; color: #aaa; font-size: 11px;";
+  status.textContent = "Drop a .glb/.gltf file on the canvas to import it.";
+  panel.appendChild(status);
+
+  function renderSettings() {
+    settings.innerHTML = "";
+    settings.appendChild(
+      createFieldRow(
+        "Scale",
+        createNumberInput({
+          value: spawnSettings.scale,
+          min: 0.01,
+          onChange: (v) => (spawnSettings.scale = v),
+        }),
+      ),
+    );
+    settings.appendChild(
+      createFieldRow(
+        "Mass",
+        createNumberInput({
+          value: spawnSettings.mass,
+          step: 1,
+          min: 0,
+          onChange: (v) => (spawnSettings.mass = v),
+        }),
+      ),
+    );
+    settings.appendChild(
+      createFieldRow(
+        "Collider",
+        createSelect({
+          options: COLLIDER_SHAPES,
+          value: spawnSettings.shape,
+          onChange: (v) => (spawnSettings.shape = v),
+        }),
+      ),
+    );
+    if (armedAsset) {
+      settings.appendChild(createButton("Cancel placing", () => arm(null)));
+    }
+  }
+
+  function renderList() {
+    list.innerHTML = "";
+    for (const asset of assets) {
+      const item = document.createElement("div");
+      item.style.cssText = `
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 4px;
+        margin-bottom: 2px;
+        border-radius: 3px;
+        cursor: pointer;
+        background: ${asset === armedAsset ? "rgba(0, 255, 0, 0.2)" : "transparent"};
+      `;
+      item.appendChild(createThumbnail(asset));
+      const name = document.createElement("span");
+      name.textContent = asset.name;
+      item.appendChild(name);
+      item.addEventListener("click", () =>
+        arm(asset === armedAsset ? null : asset),
+      );
+      list.appendChild(item);
+    }
+  }
+
+  // Select an asset for placement (null cancels)
+  function arm(asset) {
+    armedAsset = asset;
+    if (asset) {
+      spawnSettings.scale = asset.scale;
+      spawnSettings.mass = asset.mass;
+      spawnSettings.shape = asset.shape;
+      status.textContent = `Click in the scene to place "${asset.name}" (Shift+click to keep placing, Esc to cancel)`;
+      canvas.style.cursor = "crosshair";
+    } else {
+      status.textContent = "Drop a .glb/.gltf file on the canvas to import it.";
+      canvas.style.cursor = "";
+    }
+    renderList();
+    renderSettings();
+  }
+
+  /**
+   * Load a model at a world position and select it.
+   *
+   * @param {Object} asset - { name, path }
+   * @param {THREE.Vector3} point - where the model's base should sit
+   * @param {Object} [options]
+   * @param {string} [options.url] - override URL (dropped files)
+   * @param {string} [options.origin="spawned"]
+   * @returns {Promise<Object|null>} registry record, or null on failure
+   */
+  async function spawn(asset, point, { url, origin = "spawned" } = {}) {
+    const config = {
+      id: modelRegistry.uniqueId(idFromPath(asset.path)),
+      path: asset.path,
+      scale: spawnSettings.scale,
+      mass: spawnSettings.mass,
+      shape: spawnSettings.shape,
+      position: [point.x, point.y, point.z].map(round),
+      rotation: [0, 0, 0],
+    };
+    try {
+      const record = await modelRegistry.load(config, { url, origin });
+      if (record.collider) objectPicker.setSelection([record.collider]);
+      notify(`Added ${asset.name}`);
+      return record;
+    } catch (err) {
+      console.error(`[Editor] Failed to load "${asset.path}":`, err);
+      notify(`Could not load ${asset.name}`);
+      return null;
+    }
+  }
+
+  // ---- viewport placement ----
+  let pointerDown = null;
+
+  function onPointerDown(event) {
+    pointerDown = { x: event.clientX, y: event.clientY };
+  }
+
+  // Capture phase so the picker doesn't also treat the click as a selection
+  function onCanvasClick(event) {
+    if (!armedAsset || !isEnabled()) return;
+    if (pointerDown) {
+      const dx = event.clientX - pointerDown.x;
+      const dy = event.clientY - pointerDown.y;
+      if (dx * dx + dy * dy > 25) return; // orbiting, not placing
+    }
+    event.stopImmediatePropagation();
+
+    const hit = objectPicker.pickPoint(event);
+    if (!hit) {
+      notify("Nothing under the cursor to place on");
+      return;
+    }
+    const asset = armedAsset;
+    if (!event.shiftKey) arm(null);
+    spawn(asset, hit.point);
+  }
+
+  function onKeyDown(event) {
+    if (event.code === "Escape" && armedAsset) arm(null);
+  }
+
+  // ---- drag and drop of local files ----
+  function onDragOver(event) {
+    if (!isEnabled() || !event.dataTransfer?.types.includes("Files")) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+  }
+
+  function onDrop(event) {
+    if (!isEnabled()) return;
+    const files = [...(event.dataTransfer?.files ?? [])];
+    if (files.length === 0) return;
+    event.preventDefault();
+
+    const hit = objectPicker.pickPoint(event);
+    const point = hit?.point ?? { x: 0, y: 0, z: 0 };
+    for (const file of files) {
+      if (!MODEL_FILE_PATTERN.test(file.name)) {
+        notify(`${file.name} is not a .glb/.gltf file`);
+        continue;
+      }
+      // .gltf files must be self-contained (embedded buffers/textures);
+      // sibling files can't be resolved from a single dropped file
+      const url = URL.createObjectURL(file);
+      spawn({ name: file.name, path: file.name }, point, {
+        url,
+        origin: "session",
+      }).finally(() => URL.revokeObjectURL(url));
+    }
+  }
+
+  canvas.addEventListener("pointerdown", onPointerDown);
+  canvas.addEventListener("click", onCanvasClick, { capture: true });
+  canvas.addEventListener("dragover", onDragOver);
+  canvas.addEventListener("drop", onDrop);
+  window.addEventListener("keydown", onKeyDown);
+
+  renderSettings();
+  loadManifest(manifestUrl)
+    .then((entries) => {
+      assets = entries;
+      renderList();
+      if (assets.length === 0) {
+        list.textContent = "Manifest lists no models.";
+      }
+    })
+    .catch((err) => {
+      console.warn(`[Editor] No model manifest at ${manifestUrl}:`, err);
+      list.textContent = `No model manifest found at ${manifestUrl}.`;
+    });
+
+  return {
+    spawn,
+    arm,
+    getAssets: () => [...assets],
+    dispose: () => {
+      canvas.removeEventListener("pointerdown", onPointerDown);
+      canvas.removeEventListener("click", onCanvasClick, { capture: true });
+      canvas.removeEventListener("dragover", onDragOver);
+      canvas.removeEventListener("drop", onDrop);
+      window.removeEventListener("keydown", onKeyDown);
+      canvas.style.cursor = "";
+    },
+  };
+}
@@ -0,0 +1,170 @@
+// Avatar: the player's visible body in the third-person view.  A rigged
+// GLTF model (or a plain capsule until one is set or while it loads) rides
+// on the player capsule, turns to face the way the player walks, and plays
+// idle / walk / run / jump clips to match the movement.
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { createAnimationController } from "./animationController.js";
+
+const TURN_RATE = 10; // fraction of the remaining turn closed per second
+const MOVING_SPEED = 0.2; // m/s; slower counts as standing still
+const AIR_TIME = 0.15; // seconds off the ground before the jump clip plays
+
+// Shortest signed angle from `a` to `b`
+function angleBetween(a, b) {
+  const diff = (b - a) % (Math.PI * 2);
+  return (
+    diff > Math.PI ? diff - Math.PI * 2
+    : diff < -Math.PI ? diff + Math.PI * 2
+    : diff
+  );
+}
+
+/**
+ * Creates the avatar (hidden until setVisible(true)).
+ *
+ * The model is scaled to the capsule's height with its feet at the bottom
+ * of the capsule.  Clip names come from `config.clips`; a state whose clip
+ * the model doesn't have falls back to the idle clip.
+ *
+ * @param {Object} options
+ * @param {THREE.Mesh} options.collider - the player capsule
+ * @param {Object} [options.config] - validated `player.avatar` settings:
+ *   path (under /models/, or null), yawOffset (degrees), clips
+ * @returns {Object} avatar API: update(delta, {velocity, grounded,
+ *   running}), setVisible(bool), getState(), object, dispose()
+ */
+export function createAvatar({ collider, config = {} }) {
+  const { path = null, yawOffset = 0, clips = {} } = config;
+
+  collider.geometry.computeBoundingBox();
+  const bounds = collider.geometry.boundingBox;
+  const height = bounds.max.y - bounds.min.y;
+  const radius = bounds.max.x;
+
+  // Follows the capsule; its rotation is set in world terms each update
+  const root = new THREE.Group();
+  root.name = "avatar";
+  root.position.y = bounds.min.y; // feet at the bottom of the capsule
+  root.visible = false;
+  collider.add(root);
+
+  // Stand-in: a capsule with a nose showing which way it faces
+  const placeholder = new THREE.Group();
+  const material = new THREE.MeshStandardMaterial({ color: 0x4488cc });
+  const body = new THREE.Mesh(
+    new THREE.CapsuleGeometry(radius, Math.max(height - 2 * radius, 0)),
+    material,
+  );
+  body.position.y = height / 2;
+  const nose = new THREE.Mesh(
+    new THREE.BoxGeometry(radius * 0.5, radius * 0.3, radius * 0.6),
+    material,
+  );
+  nose.position.set(0, height * 0.8, radius);
+  placeholder.add(body, nose);
+  placeholder.traverse((o) => (o.castShadow = true));
+  root.add(placeholder);
+
+  let mixer = null;
+  let animation = null;
+  let state = null; // "idle" | "walk" | "run" | "jump"
+  let yaw = 0; // world heading, radians
+  let airTime = 0;
+
+  if (path) {
+    new GLTFLoader()
+      .loadAsync(`/models/${path}`)
+      .then((gltf) => {
+        const model = gltf.scene;
+        // scale to the capsule's height, feet on the ground
+        const box = new THREE.Box3().setFromObject(model);
+        const size = box.getSize(new THREE.Vector3());
+        if (size.y > 0) model.scale.multiplyScalar(height / size.y);
+        box.setFromObject(model);
+        model.position.y -= box.min.y;
+        model.traverse((o) => {
+          if (o.isMesh) o.castShadow = true;
+        });
+        root.remove(placeholder);
+        root.add(model);
+
+        if (gltf.animations.length > 0) {
+          mixer = new THREE.AnimationMixer(model);
+          animation = createAnimationController(mixer, gltf.animations, {
+            idle: clips.idle ?? 0,
+          });
+          state = null; // pick the clip for the current state next update
+        }
+        console.log(`[Player] Loaded avatar "${path}"`);
+      })
+      .catch((err) =>
+        console.warn(`[Player] Could not load avatar "${path}":`, err),
+      );
+  }
+
+  function play(next) {
+    state = next;
+    if (!animation) return;
+    const clip = clips[next];
+    if (clip !== undefined && animation.findClip(clip)) {
+      animation.play(clip);
+    } else {
+      animation.playIdle();
+    }
+  }
+
+  const _yaw = new THREE.Quaternion();
+  const _up = new THREE.Vector3(0, 1, 0);
+
+  /**
+   * Turn and animate the avatar; call every play-mode frame.
+   *
+   * @param {number} delta - seconds
+   * @param {Object} motion
+   * @param {{x: number, z: number}} motion.velocity - the capsule's velocity
+   * @param {boolean} motion.grounded
+   * @param {boolean} motion.running - sprinting (run rather than walk clip)
+   */
+  function update(delta, { velocity, grounded, running }) {
+    if (!root.visible) return;
+
+    const speed = Math.hypot(velocity.x, velocity.z);
+    if (speed > MOVING_SPEED) {
+      const target =
+        Math.atan2(velocity.x, velocity.z) +
+        THREE.MathUtils.degToRad(yawOffset);
+      yaw += angleBetween(yaw, target) * (1 - Math.exp(-TURN_RATE * delta));
+    }
+    // world heading, whatever the capsule's own rotation
+    _yaw.setFromAxisAngle(_up, yaw);
+    root.quaternion.copy(collider.quaternion).invert().multiply(_yaw);
+    // feet on the capsule's bottom, squashed with it when crouching (the
+    // capsule's geometry is replaced when its size changes)
+    const geometry = collider.geometry;
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const { min, max } = geometry.boundingBox;
+    root.position.y = min.y;
+    root.scale.y = (max.y - min.y) / height;
+
+    airTime = grounded ? 0 : airTime + delta;
+    const next =
+      airTime > AIR_TIME ? "jump"
+      : speed <= MOVING_SPEED ? "idle"
+      : running ? "run"
+      : "walk";
+    if (next !== state) play(next);
+    mixer?.update(delta);
+  }
+
+  return {
+    object: root,
+    update,
+    setVisible: (visible) => (root.visible = visible),
+    getState: () => state,
+    dispose: () => {
+      animation?.dispose();
+      collider.remove(root);
+    },
+  };
+}
@@ -0,0 +1,216 @@
+// Character controller for the player capsule: finds the ground with rays
+// cast down into the Ammo world and turns the wanted walking velocity into
+// the body's velocity.  Walking follows the slope of the ground, slopes too
+// steep to stand on can't be climbed (the capsule slides off), low ledges are
+// stepped onto, and jumps get coyote time and buffering.  Ground that moves
+// (a moving platform) carries the capsule along, and a jump or walking off
+// keeps its horizontal speed until landing.
+import * as THREE from "three";
+import { createPhysicsRay } from "./physicsRay.js";
+
+const GROUND_SKIN = 0.08; // ground this far below the capsule still counts
+const STEP_CLEARANCE = 0.02; // lift above a step's top, so the capsule clears it
+const STEP_LOOKAHEAD = 0.1; // how far past the capsule to look for a ledge
+const JUMP_GRACE = 0.2; // seconds after a jump before ground counts again
+// ground probes: capsule center plus four points around it (fractions of
+// the radius), so standing on an edge still finds the ground
+const PROBE_OFFSETS = [
+  [0, 0],
+  [0.7, 0],
+  [-0.7, 0],
+  [0, 0.7],
+  [0, -0.7],
+];
+
+/**
+ * Creates the character controller.  Call update() every play-mode frame
+ * before physics.update().
+ *
+ * @param {Object} options
+ * @param {Object} options.physics - AmmoPhysics instance
+ * @param {THREE.Object3D} options.collider - the player capsule
+ * @param {number} options.radius - capsule radius
+ * @param {number} options.halfHeight - capsule center to its lowest point
+ * @param {number} options.jumpSpeed - upward speed of a jump (m/s)
+ * @param {Object} [options.config] - validated `player.controller` settings:
+ *   maxSlope (degrees), stepHeight, coyoteTime, jumpBuffer (seconds)
+ * @returns {Object} controller API: update(wishVelocity),
+ *   requestJump(), isGrounded(), isSliding(), getGroundNormal(),
+ *   setShape({radius, halfHeight}), setGroundVelocity(fn), dispose()
+ */
+export function createCharacterController({
+  physics,
+  collider,
+  radius,
+  halfHeight,
+  jumpSpeed,
+  config = {},
+}) {
+  const {
+    maxSlope = 45,
+    stepHeight = 0.15,
+    coyoteTime = 0.12,
+    jumpBuffer = 0.15,
+  } = config;
+  const minGroundNormalY = Math.cos(THREE.MathUtils.degToRad(maxSlope));
+  // a capsule resting on a slope touches it off-center, so its lowest point
+  // floats above the ground under its center
+  const probeDepthFor = (r) => r * (1 / minGroundNormalY - 1) + GROUND_SKIN;
+  let probeDepth = probeDepthFor(radius);
+  const { cast: castRay, dispose } = createPhysicsRay({
+    physics,
+    ignore: () => [collider],
+  });
+
+  let grounded = false;
+  let sliding = false;
+  const groundNormal = new THREE.Vector3(0, 1, 0);
+  let lastGroundedAt = -Infinity; // seconds
+  let jumpRequestedAt = -Infinity;
+  let jumpedAt = -Infinity;
+  let carriedVy = 0; // vertical velocity set to follow the slope last frame
+  // fn(object, point, target) => true if it filled in the velocity of the
+  // ground `object` at `point` (see movingPlatforms.js velocityAt)
+  let groundVelocity = () => false;
+  const carry = new THREE.Vector3(); // velocity of the ground stood on
+
+  const now = () => performance.now() / 1000;
+  const isWalkable = (normal) => normal.y >= minGroundNormalY;
+
+  const _from = new THREE.Vector3();
+  const _to = new THREE.Vector3();
+
+  // Highest ground under the capsule within probe depth, or null
+  function probeGround() {
+    const { x, y, z } = collider.position;
+    const bottom = y - halfHeight - probeDepth;
+    let best = null;
+    for (const [ox, oz] of PROBE_OFFSETS) {
+      _from.set(x + ox * radius, y, z + oz * radius);
+      const hit = castRay(_from, _to.set(_from.x, bottom, _from.z));
+      if (hit && (!best || hit.point.y > best.point.y)) best = hit;
+    }
+    return best;
+  }
+
+  // Move the body up, keeping its velocity
+  function lift(height) {
+    const body = collider.body.ammo;
+    const transform = body.getWorldTransform();
+    const origin = transform.getOrigin();
+    origin.setY(origin.y() + height);
+    body.setWorldTransform(transform);
+    body.getMotionState().setWorldTransform(transform);
+    collider.position.y += height;
+  }
+
+  // Climb a ledge up to stepHeight tall in the way of walking direction `dir`
+  function tryStepUp(dir) {
+    const { x, y, z } = collider.position;
+    const footY = y - halfHeight;
+    const reach = radius + STEP_LOOKAHEAD;
+
+    // blocked at the feet by something too steep to walk up...
+    _from.set(x, footY + STEP_CLEARANCE, z);
+    const low = castRay(_from, _to.copy(_from).addScaledVector(dir, reach));
+    if (!low || isWalkable(low.normal)) return;
+    // ...but not at step height...
+    const topY = footY + stepHeight + STEP_CLEARANCE;
+    _from.set(x, topY, z);
+    if (castRay(_from, _to.copy(_from).addScaledVector(dir, reach))) return;
+    // ...and there is walkable ground on top of it
+    _from.set(x, topY, z).addScaledVector(dir, reach);
+    const top = castRay(_from, _to.set(_from.x, footY, _from.z));
+    if (!top || !isWalkable(top.normal)) return;
+    const rise = top.point.y - footY;
+    if (rise > 0 && rise <= stepHeight) lift(rise + STEP_CLEARANCE);
+  }
+
+  const _wish = new THREE.Vector3();
+  const _dir = new THREE.Vector3();
+  const _away = new THREE.Vector3();
+
+  /**
+   * Set the capsule's velocity for this frame.
+   *
+   * @param {THREE.Vector3} wishVelocity - wanted horizontal velocity
+   */
+  function update(wishVelocity) {
+    const body = collider.body;
+    if (!body) return;
+    const time = now();
+    const current = body.velocity;
+
+    const hit = time - jumpedAt > JUMP_GRACE ? probeGround() : null;
+    grounded = Boolean(hit) && isWalkable(hit.normal);
+    sliding = Boolean(hit) && !grounded;
+    groundNormal.copy(grounded ? hit.normal : THREE.Object3D.DEFAULT_UP);
+    if (grounded) {
+      lastGroundedAt = time;
+      if (!groundVelocity(hit.object, hit.point, carry)) carry.set(0, 0, 0);
+    }
+
+    _wish.set(wishVelocity.x, 0, wishVelocity.z);
+    if (sliding) {
+      // no walking up a slope that is too steep: drop the uphill part
+      _away.set(hit.normal.x, 0, hit.normal.z).normalize();
+      const into = _wish.dot(_away);
+      if (into < 0) _wish.addScaledVector(_away, -into);
+    }
+    if (grounded && _wish.lengthSq() > 0) {
+      tryStepUp(_dir.copy(_wish).normalize());
+    }
+
+    const canJump =
+      time - lastGroundedAt <= coyoteTime && lastGroundedAt > jumpedAt;
+    if (canJump && time - jumpRequestedAt <= jumpBuffer) {
+      body.setVelocity(
+        _wish.x + carry.x,
+        jumpSpeed + Math.max(carry.y, 0),
+        _wish.z + carry.z,
+      );
+      jumpedAt = time;
+      jumpRequestedAt = -Infinity;
+      grounded = false;
+      carriedVy = 0;
+      return;
+    }
+
+    if (grounded) {
+      // walk along the ground's slope at the wanted speed, so the capsule
+      // neither launches off downhill nor pushes into the slope uphill
+      const speed = _wish.length();
+      _wish.projectOnPlane(hit.normal);
+      if (_wish.lengthSq() > 0) _wish.setLength(speed);
+      // keep what gravity added since last frame, so ground within the
+      // probe's skin is still fallen onto rather than hovered over
+      const fall = Math.min(current.y - carriedVy, 0);
+      body.setVelocity(
+        _wish.x + carry.x,
+        _wish.y + carry.y + fall,
+        _wish.z + carry.z,
+      );
+      carriedVy = _wish.y + carry.y;
+    } else {
+      body.setVelocity(_wish.x + carry.x, current.y, _wish.z + carry.z);
+      carriedVy = 0;
+    }
+  }
+
+  return {
+    update,
+    // Jump at the next chance: now, within coyoteTime of walking off an
+    // edge, or on landing if that comes within jumpBuffer
+    requestJump: () => (jumpRequestedAt = now()),
+    isGrounded: () => grounded,
+    isSliding: () => sliding,
+    getGroundNormal: () => groundNormal.clone(),
+    // The capsule changed size (crouching...)
+    setShape: (shape) => {
+      ({ radius, halfHeight } = shape);
+      probeDepth = probeDepthFor(radius);
+    },
+    setGroundVelocity: (fn) => (groundVelocity = fn),
+    dispose,
+  };
+}
@@ -0,0 +1,180 @@
+// Collider helpers shared by the model loader and the editor: named collision
+// filters and building/rebuilding/re-adding a model's physics body
+
+export const COLLISION_GROUP_PLAYER = 1 << 0;
+export const COLLISION_GROUP_WALL = 1 << 1;
+export const COLLISION_GROUP_GROUND = 1 << 2;
+export const COLLISION_GROUP_OBJECT = 1 << 3;
+export const COLLISION_GROUP_TRIGGER = 1 << 4; // ghost trigger volumes
+
+// Collision filters a model can use (`collisionGroup` in scene files).
+// Two bodies collide only if each one's group is in the other's mask; note
+// that walls only accept the player group, so only "default" models (which
+// share the player's group bit) are stopped by walls.
+export const COLLISION_PRESETS = {
+  // enable3d's default filter: collides with everything
+  default: { group: 1, mask: -1 },
+  object: {
+    group: COLLISION_GROUP_OBJECT,
+    mask:
+      COLLISION_GROUP_PLAYER |
+      COLLISION_GROUP_GROUND |
+      COLLISION_GROUP_OBJECT |
+      COLLISION_GROUP_TRIGGER,
+  },
+  // props the player walks through but that still rest on the floor
+  // (and on other "object"/"ghost" models)
+  ghost: {
+    group: COLLISION_GROUP_OBJECT,
+    mask:
+      COLLISION_GROUP_GROUND | COLLISION_GROUP_OBJECT | COLLISION_GROUP_TRIGGER,
+  },
+  // pure decoration: collides with nothing, so give it mass 0
+  none: { group: COLLISION_GROUP_OBJECT, mask: 0 },
+};
+
+/**
+ * physics.add.existing() config for a model collider.
+ *
+ * @param {Object} options
+ * @param {string} options.shape - one of sceneSchema COLLIDER_SHAPES
+ * @param {number} options.mass - 0 makes the body static
+ * @param {string} [options.collisionGroup="default"] - COLLISION_PRESETS key
+ * @param {{x: number, y: number, z: number}} size - unscaled bounding box size
+ * @returns {Object}
+ */
+export function colliderConfig(
+  { shape, mass, collisionGroup = "default" },
+  size,
+) {
+  const { group, mask } =
+    COLLISION_PRESETS[collisionGroup] ?? COLLISION_PRESETS.default;
+  const width = size.x || 1;
+  const height = size.y || 1;
+  const depth = size.z || 1;
+  // round shapes: sphere encloses the largest axis, the others wrap x/z
+  const radius =
+    shape === "sphere" ?
+      Math.max(width, height, depth) / 2
+    : Math.max(width, depth) / 2;
+  return {
+    shape,
+    width,
+    height: shape === "capsule" ? Math.max(height - 2 * radius, 0.01) : height,
+    depth,
+    radius,
+    radiusTop: radius,
+    radiusBottom: radius,
+    mass,
+    collisionGroup: group,
+    collisionMask: mask,
+  };
+}
+
+/**
+ * Move a physics body (and its object) to a new pose and stop it.
+ *
+ * @param {THREE.Object3D} object - object with an enable3d body
+ * @param {number[]} position - [x, y, z]
+ * @param {number[]} [quaternion=[0, 0, 0, 1]] - [x, y, z, w]
+ */
+export function placeBody(object, [x, y, z], [qx, qy, qz, qw] = [0, 0, 0, 1]) {
+  const body = object.body;
+  if (body?.ammo) {
+    const transform = new Ammo.btTransform();
+    const origin = new Ammo.btVector3(x, y, z);
+    const rotation = new Ammo.btQuaternion(qx, qy, qz, qw);
+    const zero = new Ammo.btVector3(0, 0, 0);
+    transform.setIdentity();
+    transform.setOrigin(origin);
+    transform.setRotation(rotation);
+    body.ammo.setWorldTransform(transform);
+    body.ammo.getMotionState().setWorldTransform(transform);
+    body.ammo.setLinearVelocity(zero);
+    body.ammo.setAngularVelocity(zero);
+    body.ammo.activate();
+    Ammo.destroy(transform);
+    Ammo.destroy(origin);
+    Ammo.destroy(rotation);
+    Ammo.destroy(zero);
+  }
+  object.position.set(x, y, z);
+  object.quaternion.set(qx, qy, qz, qw);
+  if (body) body.needUpdate = true;
+}
+
+/**
+ * Take a body out of the physics world and add it back.  Ammo reads a
+ * body's collision filter, flags and shape only when it is added, so
+ * changes to those go through here.
+ *
+ * @param {Object} physics - AmmoPhysics instance
+ * @param {THREE.Object3D} object - object with an enable3d body
+ * @param {Object} [options]
+ * @param {number} [options.group] - collision group (default preset's if
+ *   omitted)
+ * @param {number} [options.mask] - collision mask (default preset's if
+ *   omitted)
+ * @param {number} [options.flags] - new collision flags; kept if omitted
+ * @param {Function} [options.change] - called with the Ammo body while it
+ *   is out of the world, e.g. to swap its shape
+ */
+export function readdBody(
+  physics,
+  object,
+  {
+    group = COLLISION_PRESETS.default.group,
+    mask = COLLISION_PRESETS.default.mask,
+    flags,
+    change,
+  } = {},
+) {
+  const body = object.body?.ammo;
+  if (!body) return;
+  physics.physicsWorld.removeRigidBody(body);
+  if (flags !== undefined) body.setCollisionFlags(flags);
+  change?.(body);
+  physics.physicsWorld.addRigidBody(body, group, mask);
+}
+
+// Freeze static bodies (mass=0) to improve physics performance
+export function freezeIfStatic(object, mass) {
+  if (mass === 0 && object.body?.ammo) {
+    // DISABLE_SIMULATION = 4, prevents physics from updating this body
+    object.body.ammo.setActivationState(4);
+  }
+}
+
+/**
+ * Replace an object's physics body, e.g. after its collider shape, mass or
+ * collision group changed.  The new body is built at the object's current
+ * transform and scale.
+ *
+ * @param {Object} physics - AmmoPhysics instance
+ * @param {THREE.Object3D} object - collider wrapper created by loadModel
+ * @param {Object} options - { shape, mass, collisionGroup } as for colliderConfig
+ * @returns {boolean} false if the object wasn't created with a known size
+ */
+export function rebuildBody(physics, object, options) {
+  const size = object.userData.colliderSize;
+  if (!size) return false;
+
+  if (object.body) physics.destroy(object);
+  object.updateMatrixWorld(true);
+  physics.add.existing(object, colliderConfig(options, size));
+  freezeIfStatic(object, options.mass);
+
+  // The new shape already includes the current scale, so later scale edits
+  // must be measured from here (see modeSystem syncPhysicsBody)
+  const originalScale = object.userData._originalScale;
+  if (originalScale) {
+    object.userData._originalPhysicsScale = {
+      x: originalScale.x,
+      y: originalScale.y,
+      z: originalScale.z,
+    };
+  } else {
+    delete object.userData._originalPhysicsScale;
+  }
+  return true;
+}
@@ -0,0 +1,139 @@
+// Controls panel: "Controls" editor panel listing every input map action with
+// its keys, for rebinding them.  Changes are saved by the input map.
+import { bindingFromEvent, describeBinding } from "./inputMap.js";
+import { createButton } from "./editorUI.js";
+
+const CONTEXT_LABELS = {
+  global: "Both modes",
+  play: "Play mode",
+  editor: "Editor",
+};
+
+/**
+ * Creates the "Controls" panel.
+ *
+ * Clicking an action's keys waits for a key press and makes it the only key
+ * for that action; "+" adds it as an extra key instead.  Esc cancels.  A key
+ * already used by another action in the same mode is taken away from that
+ * action, with a notice.
+ *
+ * @param {Object} options
+ * @param {Object} options.editorUI - result of createEditorUI()
+ * @param {Object} options.inputMap - createInputMap() instance
+ * @param {Function} [options.notify] - fn(text) for rebind notices
+ * @returns {Object} controls panel API: refresh(), dispose()
+ */
+export function createControlsPanel({ editorUI, inputMap, notify = () => {} }) {
+  const panel = editorUI.addPanel("Controls", { collapsed: true });
+  const list = document.createElement("div");
+  panel.appendChild(list);
+
+  const footer = document.createElement("div");
+  footer.style.cssText = "margin-top: 8px;";
+  footer.appendChild(
+    createButton("Reset all", () => {
+      inputMap.resetBindings();
+      notify("Controls reset to defaults");
+    }),
+  );
+  panel.appendChild(footer);
+
+  let capture = null; // { action, append } while waiting for a key
+
+  function assign(action, binding, append) {
+    for (const other of inputMap.findConflicts(action, binding)) {
+      inputMap.setBindings(
+        other,
+        inputMap.getBindings(other).filter((b) => b !== binding),
+      );
+      notify(
+        `${describeBinding(binding)} moved from "${inputMap.actions[other].label}" to "${inputMap.actions[action].label}"`,
+      );
+    }
+    inputMap.setBindings(
+      action,
+      append ? [...inputMap.getBindings(action), binding] : [binding],
+    );
+    console.log(`[Editor] ${action} bound to ${inputMap.describe(action)}`);
+  }
+
+  function stopCapture() {
+    window.removeEventListener("keydown", onCaptureKey, true);
+    capture = null;
+    refresh();
+  }
+
+  // Runs before every other key listener, so the key isn't also acted on
+  function onCaptureKey(event) {
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    if (event.code === "Escape") {
+      stopCapture();
+      return;
+    }
+    const binding = bindingFromEvent(event);
+    if (!binding) return; // only a modifier so far
+    const { action, append } = capture;
+    stopCapture();
+    assign(action, binding, append);
+  }
+
+  function startCapture(action, append, button) {
+    if (capture) stopCapture();
+    capture = { action, append };
+    button.textContent = "Press a key…";
+    button.style.borderColor = "#0f0";
+    window.addEventListener("keydown", onCaptureKey, true);
+  }
+
+  function addRow(action) {
+    const row = document.createElement("div");
+    row.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      margin: 3px 0;
+    `;
+    const label = document.createElement("span");
+    label.textContent = inputMap.actions[action].label;
+    label.style.cssText = "flex: 1; color: #ccc;";
+
+    const keys = createButton(inputMap.describe(action), () =>
+      startCapture(action, false, keys),
+    );
+    keys.title = "Click, then press the new key (Esc cancels)";
+    keys.style.minWidth = "70px";
+    const add = createButton("+", () => startCapture(action, true, add));
+    add.title = "Add another key";
+
+    row.append(label, keys, add);
+    list.appendChild(row);
+  }
+
+  function refresh() {
+    if (capture) return; // don't pull the waiting button out from under it
+    list.textContent = "";
+    for (const [context, heading] of Object.entries(CONTEXT_LABELS)) {
+      const title = document.createElement("div");
+      title.textContent = heading;
+      title.style.cssText = "margin: 8px 0 2px; color: #aaa; font-size: 11px;";
+      list.appendChild(title);
+      for (const [action, { context: actionContext }] of Object.entries(
+        inputMap.actions,
+      )) {
+        if (actionContext === context) addRow(action);
+      }
+    }
+  }
+
+  inputMap.onChange(refresh);
+  refresh();
+
+  return {
+    refresh,
+    dispose: () => {
+      if (capture) stopCapture();
+      panel.parentNode?.remove();
+    },
+  };
+}
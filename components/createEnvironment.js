@@ -2,6 +2,11 @@
 import * as THREE from "three";
 import { ExtendedMesh } from "enable3d";
 import { HDRLoader } from "three/examples/jsm/loaders/HDRLoader.js";
+import {
+  COLLISION_GROUP_PLAYER,
+  COLLISION_GROUP_GROUND,
+  COLLISION_GROUP_OBJECT,
+} from "./colliders.js";
 
 const TILE_SIZE = 3; // Each tile is 20x20 units
 
@@ -249,7 +254,16 @@ export async function createEnvironment(
 
       // Add physics to each tile
       if (physics) {
-        physics.add.existing(tileMesh, { mass: 0, shape: "concave" });
+        // Filter passed at creation: enable3d bodies have no setter for it
+        physics.add.existing(tileMesh, {
+          mass: 0,
+          shape: "concave",
+          collisionGroup: COLLISION_GROUP_GROUND,
+          collisionMask:
+            COLLISION_GROUP_PLAYER |
+            COLLISION_GROUP_GROUND |
+            COLLISION_GROUP_OBJECT,
+        });
 
         // Set collision margin
         if (tileMesh.body && tileMesh.body.ammo) {
@@ -258,23 +272,6 @@ export async function createEnvironment(
             shape.setMargin(0.05);
           }
         }
-
-        // Set collision group/mask
-        if (
-          tileMesh.body &&
-          tileMesh.body.setCollisionGroup &&
-          tileMesh.body.setCollisionMask
-        ) {
-          const COLLISION_GROUP_PLAYER = 1 << 0;
-          const COLLISION_GROUP_GROUND = 1 << 2;
-          const COLLISION_GROUP_OBJECT = 1 << 3;
-          tileMesh.body.setCollisionGroup(COLLISION_GROUP_GROUND);
-          tileMesh.body.setCollisionMask(
-            COLLISION_GROUP_PLAYER |
-              COLLISION_GROUP_GROUND |
-              COLLISION_GROUP_OBJECT,
-          );
-        }
       }
     }
   }
@@ -1,5 +1,11 @@
 // Utility for adding lights to the scene
 import * as THREE from "three";
+import { RectAreaLightUniformsLib } from "three/examples/jsm/lights/RectAreaLightUniformsLib.js";
+
+// half-size of the area a directional light's shadow map covers
+const DIRECTIONAL_SHADOW_EXTENT = 15;
+
+let rectAreaLightsReady = false;
 
 /**
  * Create a pair of point lights above a reference position and add them to
@@ -115,7 +121,9 @@ export function createCeilingLights(
         decay,
       );
       light.position.set(x, yOffset, z);
-      light.castShadow = true;
+      // a whole grid of shadow maps would exceed the GPU's texture units
+      // now that the renderer draws shadows (see createScene.js)
+      light.castShadow = false;
 
       // target down toward floor
       const target = new THREE.Object3D();
@@ -139,3 +147,74 @@ export function createCeilingLights(
 
   return lights;
 }
+
+/**
+ * Create a light from an editor-placed light config (`lights.placed` in the
+ * scene file, see sceneSchema.js).  Spot and directional lights get their
+ * target as a child one unit down the local -Z axis, so rotating the light
+ * aims it.  The light is not added to the scene.
+ *
+ * @param {Object} config - validated placed-light config
+ * @returns {THREE.Light}
+ */
+export function createPlacedLight(config) {
+  let light;
+  switch (config.type) {
+    case "spot":
+      light = new THREE.SpotLight();
+      break;
+    case "directional":
+      light = new THREE.DirectionalLight();
+      Object.assign(light.shadow.camera, {
+        left: -DIRECTIONAL_SHADOW_EXTENT,
+        right: DIRECTIONAL_SHADOW_EXTENT,
+        top: DIRECTIONAL_SHADOW_EXTENT,
+        bottom: -DIRECTIONAL_SHADOW_EXTENT,
+      });
+      light.shadow.camera.updateProjectionMatrix();
+      break;
+    case "area":
+      // area lights need their lookup textures registered once
+      if (!rectAreaLightsReady) {
+        RectAreaLightUniformsLib.init();
+        rectAreaLightsReady = true;
+      }
+      light = new THREE.RectAreaLight();
+      break;
+    default:
+      light = new THREE.PointLight();
+  }
+
+  if (light.target) {
+    light.target.position.set(0, 0, -1);
+    light.add(light.target);
+  }
+  light.name = config.id;
+  light.position.set(...config.position);
+  light.rotation.set(...config.rotation);
+  applyLightConfig(light, config);
+  return light;
+}
+
+/**
+ * Copy a placed-light config's settings (not its transform) onto a light.
+ * Fields that don't apply to the light's type are ignored.
+ *
+ * @param {THREE.Light} light - created by createPlacedLight()
+ * @param {Object} config
+ */
+export function applyLightConfig(light, config) {
+  light.color.set(config.color);
+  light.intensity = config.intensity;
+  for (const field of ["distance", "decay", "angle", "penumbra"]) {
+    if (field in light && config[field] !== undefined) {
+      light[field] = config[field];
+    }
+  }
+  if (light.isRectAreaLight) {
+    light.width = config.width;
+    light.height = config.height;
+  } else {
+    light.castShadow = !!config.castShadow;
+  }
+}
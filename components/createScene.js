@@ -25,6 +25,10 @@ export async function createScene() {
   const DPR = window.devicePixelRatio;
   renderer.setPixelRatio(Math.min(2, DPR));
 
+  // shadows are opt-in per light/model (castShadow / receiveShadow)
+  renderer.shadowMap.enabled = true;
+  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
   document.body.appendChild(renderer.domElement);
 
   // Responsive canvas: update on window resize
@@ -0,0 +1,68 @@
+// Editor history: bounded undo/redo stack of reversible editor commands
+
+/**
+ * Creates a command history for the editor.  A command is any object with
+ * `undo()` and `redo()` methods (and an optional `label` for logging); the
+ * caller performs the action itself and then records it with push().  An
+ * optional `discard()` is called once the command can no longer be undone
+ * or redone (dropped past maxDepth, a cleared redo branch, clear()), to free
+ * what it kept alive.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=100] - oldest commands are dropped once
+ *   this many are stored, capping memory use
+ * @returns {Object} history API
+ */
+export function createEditorHistory({ maxDepth = 100 } = {}) {
+  const undoStack = [];
+  const redoStack = [];
+
+  // Record a command that has already been performed
+  function push(command) {
+    if (!command) return;
+    undoStack.push(command);
+    if (undoStack.length > maxDepth) {
+      discard(undoStack.splice(0, undoStack.length - maxDepth));
+    }
+    discard(redoStack.splice(0)); // a new action invalidates the redo branch
+  }
+
+  function discard(commands) {
+    for (const command of commands) command.discard?.();
+  }
+
+  function undo() {
+    const command = undoStack.pop();
+    if (!command) return false;
+    command.undo();
+    redoStack.push(command);
+    console.log(`[Editor] Undo: ${command.label ?? "edit"}`);
+    return true;
+  }
+
+  function redo() {
+    const command = redoStack.pop();
+    if (!command) return false;
+    command.redo();
+    undoStack.push(command);
+    console.log(`[Editor] Redo: ${command.label ?? "edit"}`);
+    return true;
+  }
+
+  function clear() {
+    discard(undoStack.splice(0));
+    discard(redoStack.splice(0));
+  }
+
+  return {
+    push,
+    undo,
+    redo,
+    clear,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    get size() {
+      return undoStack.length;
+    },
+  };
+}
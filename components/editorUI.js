@@ -1,8 +1,230 @@
-function createEditorUI(models, lights) {
+// Editor UI: a docked column of collapsible panels shown in editor mode,
+// plus small form helpers shared by the panels that live in it.
+
+const PANEL_STYLE = `
+  background: rgba(0, 0, 0, 0.7);
+  color: white;
+  font-family: sans-serif;
+  font-size: 12px;
+  border-radius: 4px;
+  margin-bottom: 8px;
+  overflow: hidden;
+`;
+
+const INPUT_STYLE = `
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  border: 1px solid #555;
+  border-radius: 3px;
+  font-size: 12px;
+  padding: 2px 4px;
+  box-sizing: border-box;
+`;
+
+/**
+ * Creates the editor dock on the right-hand side of the screen.
+ *
+ * @returns {Object} editor UI API:
+ *   - element: the dock container
+ *   - addPanel(title, {collapsed}): create a panel and return its body element
+ *   - setVisible(bool): show/hide the whole dock (hidden in play mode)
+ *   - dispose(): remove the dock from the page
+ */
+export function createEditorUI() {
   const editorUI = document.createElement("div");
   editorUI.classList.add("editor-ui");
+  editorUI.style.cssText = `
+    position: fixed;
+    top: 140px;
+    right: 16px;
+    bottom: 60px;
+    width: 260px;
+    overflow-y: auto;
+    z-index: 1000;
+  `;
+  // keep key presses in text fields from reaching editor/player shortcuts
+  editorUI.addEventListener("keydown", (event) => {
+    if (event.target.matches("input, select, textarea")) {
+      event.stopPropagation();
+    }
+  });
+  document.body.appendChild(editorUI);
+
+  function addPanel(title, { collapsed = false } = {}) {
+    const panel = document.createElement("div");
+    panel.style.cssText = PANEL_STYLE;
+
+    const header = document.createElement("div");
+    header.style.cssText = `
+      padding: 6px 10px;
+      font-weight: bold;
+      cursor: pointer;
+      background: rgba(255, 255, 255, 0.08);
+      user-select: none;
+    `;
+
+    const body = document.createElement("div");
+    body.style.cssText = "padding: 8px 10px;";
+
+    const setCollapsed = (value) => {
+      collapsed = value;
+      body.style.display = collapsed ? "none" : "block";
+      header.textContent = `${collapsed ? "▸" : "▾"} ${title}`;
+    };
+    header.addEventListener("click", () => setCollapsed(!collapsed));
+    setCollapsed(collapsed);
+
+    panel.appendChild(header);
+    panel.appendChild(body);
+    editorUI.appendChild(panel);
+    return body;
+  }
+
+  return {
+    element: editorUI,
+    addPanel,
+    setVisible: (visible) => {
+      editorUI.style.display = visible ? "block" : "none";
+    },
+    dispose: () => editorUI.remove(),
+  };
+}
 
-  // Add more UI elements as needed
+/**
+ * Label + control row used by editor panels.
+ *
+ * @param {string} label
+ * @param {HTMLElement} control
+ * @returns {HTMLElement}
+ */
+export function createFieldRow(label, control) {
+  const row = document.createElement("label");
+  row.style.cssText = `
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 8px;
+    margin: 4px 0;
+  `;
+  const text = document.createElement("span");
+  text.textContent = label;
+  text.style.color = "#ccc";
+  row.appendChild(text);
+  row.appendChild(control);
+  return row;
+}
+
+/**
+ * Numeric input that reports parsed values; invalid input is ignored.
+ *
+ * @param {Object} options
+ * @param {number} options.value
+ * @param {number} [options.step=0.1]
+ * @param {number} [options.min]
+ * @param {number} [options.max]
+ * @param {Function} options.onChange - fn(number)
+ * @returns {HTMLInputElement}
+ */
+export function createNumberInput({ value, step = 0.1, min, max, onChange }) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.step = String(step);
+  if (min !== undefined) input.min = String(min);
+  if (max !== undefined) input.max = String(max);
+  input.value = String(value);
+  input.style.cssText = INPUT_STYLE + "width: 80px;";
+  input.addEventListener("change", () => {
+    const parsed = parseFloat(input.value);
+    if (
+      Number.isFinite(parsed) &&
+      (min === undefined || parsed >= min) &&
+      (max === undefined || parsed <= max)
+    ) {
+      onChange(parsed);
+    }
+  });
+  return input;
+}
+
+/**
+ * Checkbox.
+ *
+ * @param {Object} options
+ * @param {boolean} options.checked
+ * @param {Function} options.onChange - fn(boolean)
+ * @returns {HTMLInputElement}
+ */
+export function createCheckbox({ checked, onChange }) {
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.checked = checked;
+  input.addEventListener("change", () => onChange(input.checked));
+  return input;
+}
+
+/**
+ * Colour picker working in 0xrrggbb numbers, like three.js colours.
+ *
+ * @param {Object} options
+ * @param {number} options.value
+ * @param {Function} options.onChange - fn(number) once a colour is picked
+ * @param {Function} [options.onInput] - fn(number) live while picking
+ * @returns {HTMLInputElement}
+ */
+export function createColorInput({ value, onChange, onInput }) {
+  const input = document.createElement("input");
+  input.type = "color";
+  input.value = "#" + value.toString(16).padStart(6, "0");
+  input.style.cssText = INPUT_STYLE + "width: 80px; height: 22px; padding: 0;";
+  const read = () => parseInt(input.value.slice(1), 16);
+  if (onInput) input.addEventListener("input", () => onInput(read()));
+  input.addEventListener("change", () => onChange(read()));
+  return input;
+}
+
+/**
+ * Drop-down list.
+ *
+ * @param {Object} options
+ * @param {string[]} options.options
+ * @param {string} options.value
+ * @param {Function} options.onChange - fn(string)
+ * @returns {HTMLSelectElement}
+ */
+export function createSelect({ options, value, onChange }) {
+  const select = document.createElement("select");
+  select.style.cssText = INPUT_STYLE + "width: 100px;";
+  for (const option of options) {
+    const el = document.createElement("option");
+    el.value = option;
+    el.textContent = option;
+    select.appendChild(el);
+  }
+  select.value = value;
+  select.addEventListener("change", () => onChange(select.value));
+  return select;
+}
 
-  return editorUI;
+/**
+ * Small editor button.
+ *
+ * @param {string} label
+ * @param {Function} onClick
+ * @returns {HTMLButtonElement}
+ */
+export function createButton(label, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  button.style.cssText = `
+    background: rgba(255, 255, 255, 0.12);
+    color: white;
+    border: 1px solid #666;
+    border-radius: 3px;
+    font-size: 12px;
+    padding: 3px 8px;
+    cursor: pointer;
+  `;
+  button.addEventListener("click", onClick);
+  return button;
 }
@@ -1,5 +1,6 @@
 import * as THREE from "three";
 import { PointerLockControls } from "three/examples/jsm/controls/PointerLockControls.js";
+import { createInputMap } from "./inputMap.js";
 
 /**
  * Orchestrates a first-person controller with optional physics support.
@@ -116,7 +117,7 @@ function buildPointerHint() {
   const element = document.createElement("div");
   element.id = "pointer-lock-hint"; // ID for external control
   element.textContent =
-    "Click for first-person (WASD + mouse, Space to jump, Esc to release)";
+    "Click for first-person (WASD + mouse, Space to jump, Esc to pause)";
   element.style.position = "absolute";
   element.style.top = "16px";
   element.style.left = "50%";
@@ -151,6 +152,7 @@ function initializeMovementState() {
       right: false,
       sprint: false,
       jump: false,
+      crouch: false,
     },
     velocity: new THREE.Vector3(),
     direction: new THREE.Vector3(),
@@ -160,50 +162,73 @@ function initializeMovementState() {
   };
 }
 
+// Input map actions and the movement flags they hold down
+export const MOVE_ACTIONS = {
+  moveForward: "forward",
+  moveBackward: "backward",
+  moveLeft: "left",
+  moveRight: "right",
+  sprint: "sprint",
+  jump: "jump",
+  crouch: "crouch",
+};
+
 /**
  * Maps keyboard events onto the movement state while capturing jump intents.
  */
-function createInputHandler(movement) {
+function createInputHandler(movement, inputMap) {
+  const setAction = (action, isPressed) => {
+    const key = MOVE_ACTIONS[action];
+    if (!key) return;
+    movement.moveState[key] = isPressed;
+    if (action !== "jump") return;
+    if (isPressed && movement.isGrounded) {
+      movement.pendingJump = true;
+      // Optionally, boost jump if moving forward
+      movement.jumpBoost = movement.moveState.forward;
+    }
+    if (!isPressed) {
+      movement.pendingJump = false;
+      movement.jumpBoost = false;
+    }
+  };
+
   return (event, isPressed) => {
-    switch (event.code) {
-      case "KeyW":
-      case "ArrowUp":
-        movement.moveState.forward = isPressed;
-        break;
-      case "KeyS":
-      case "ArrowDown":
-        movement.moveState.backward = isPressed;
-        break;
-      case "KeyA":
-      case "ArrowLeft":
-        movement.moveState.left = isPressed;
-        break;
-      case "KeyD":
-      case "ArrowRight":
-        movement.moveState.right = isPressed;
-        break;
-      case "ShiftLeft":
-      case "ShiftRight":
-        movement.moveState.sprint = isPressed;
-        break;
-      case "Space":
-        movement.moveState.jump = isPressed;
-        if (isPressed && movement.isGrounded) {
-          movement.pendingJump = true;
-          // Optionally, boost jump if moving forward
-          movement.jumpBoost = movement.moveState.forward;
-        }
-        if (!isPressed) {
-          movement.pendingJump = false;
-          movement.jumpBoost = false;
-        }
-        break;
-      default:
-        break;
+    if (isPressed) {
+      setAction(inputMap.match(event, "play"), true);
+    } else {
+      // release by physical key, whatever modifiers are held now
+      inputMap
+        .actionsForCode(event.code, "play")
+        .forEach((action) => setAction(action, false));
     }
   };
 }
 
+const _lookEuler = new THREE.Euler(0, 0, 0, "YXZ");
+const MOUSE_SENSITIVITY = 0.002; // radians per pixel, as in PointerLockControls
+
+/**
+ * Turns the first-person view like a mouse move would, for input devices
+ * without pointer lock (gamepad sticks, touch drags).  Pitch is clamped to
+ * the controls' polar angle limits.
+ *
+ * @param {THREE.Camera} camera
+ * @param {PointerLockControls} controls
+ * @param {number} yaw - radians, positive turns right
+ * @param {number} pitch - radians, positive looks down
+ */
+export function lookBy(camera, controls, yaw, pitch) {
+  _lookEuler.setFromQuaternion(camera.quaternion);
+  _lookEuler.y -= yaw;
+  _lookEuler.x = THREE.MathUtils.clamp(
+    _lookEuler.x - pitch,
+    Math.PI / 2 - controls.maxPolarAngle,
+    Math.PI / 2 - controls.minPolarAngle,
+  );
+  camera.quaternion.setFromEuler(_lookEuler);
+}
+
 /**
  * Configures pointer-lock controls and returns an update loop to drive movement each frame.
  */
@@ -213,6 +238,7 @@ export async function firstPersonSetup(camera, renderer, options = {}) {
     terrainData = null,
     dynamicCapsule = null,
     capsuleOffset = { x: 0, y: 0, z: 0 },
+    inputMap = createInputMap(),
     ...configOverrides
   } = options;
 
@@ -248,6 +274,22 @@ export async function firstPersonSetup(camera, renderer, options = {}) {
   }
 
   const controls = new PointerLockControls(camera, pointerElement);
+  // PointerLockControls has no invert-Y option; swap in a mouse handler that
+  // has one (reconnecting so the listener is re-added)
+  controls.invertY = false;
+  controls.disconnect();
+  controls._onMouseMove = (event) => {
+    if (!controls.enabled || !controls.isLocked) return;
+    const speed = MOUSE_SENSITIVITY * controls.pointerSpeed;
+    lookBy(
+      camera,
+      controls,
+      event.movementX * speed,
+      event.movementY * speed * (controls.invertY ? -1 : 1),
+    );
+    controls.dispatchEvent({ type: "change" });
+  };
+  controls.connect(pointerElement);
   const controlsObject =
     (typeof controls.getObject === "function" && controls.getObject()) ||
     controls.object ||
@@ -269,7 +311,7 @@ export async function firstPersonSetup(camera, renderer, options = {}) {
   const { element: pointerHint } = buildPointerHint();
 
   const movement = initializeMovementState();
-  const handleKey = createInputHandler(movement);
+  const handleKey = createInputHandler(movement, inputMap);
 
   const spawnGround = groundResolver.sample(
     camera.position.x,
@@ -0,0 +1,259 @@
+// Gamepad input: drives the first-person player in play mode and the orbit
+// camera in the editor from a standard-mapping controller (Xbox/PlayStation
+// layout).  Controllers can be plugged in or out at any time.
+import * as THREE from "three";
+import { lookBy } from "./firstPersonSetup.js";
+
+// Standard Gamepad API mapping
+const BUTTON = {
+  A: 0,
+  X: 2,
+  LB: 4,
+  RB: 5,
+  LT: 6,
+  RT: 7,
+  START: 9,
+  L3: 10,
+  DPAD_LEFT: 14,
+  DPAD_RIGHT: 15,
+};
+const AXIS = { LX: 0, LY: 1, RX: 2, RY: 3 };
+
+const TRIGGER_THRESHOLD = 0.5; // an analog trigger counts as pressed past this
+const TURN_STEP = Math.PI / 12; // held object turn per D-pad press
+
+// Editor camera speeds at full stick
+const ORBIT_SPEED = 2; // radians per second
+const PAN_SPEED = 0.8; // orbit distances per second
+const ZOOM_SPEED = 1.5; // fraction of the orbit distance per second
+const MIN_POLAR_ANGLE = 0.05;
+
+/**
+ * Stick position with a radial dead zone, rescaled so that the edge of the
+ * dead zone reads as 0 and full tilt as 1.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} deadZone - 0..1
+ * @returns {{x: number, y: number}}
+ */
+function applyDeadZone(x, y, deadZone) {
+  const length = Math.hypot(x, y);
+  if (length <= deadZone) return { x: 0, y: 0 };
+  const scale = Math.min((length - deadZone) / (1 - deadZone), 1) / length;
+  return { x: x * scale, y: y * scale };
+}
+
+/**
+ * Creates the gamepad input handler.  Call update() every frame, in both
+ * modes, before the player and editor camera are updated.
+ *
+ * Play mode: left stick moves (tilt sets the speed; LT blends from walk to
+ * sprint speed, LB or L3 sprints), right stick looks, A jumps, X interacts,
+ * RB picks up / drops, RT throws (hold to throw harder), D-pad left/right
+ * turns the held object.  Editor: left stick pans, right stick orbits,
+ * LT / RT zoom out / in.  Start switches between the modes.
+ *
+ * @param {Object} options
+ * @param {THREE.Camera} options.camera
+ * @param {Object} options.movement - createPlayer()'s movement state
+ * @param {Object} options.controls - the PointerLockControls (pitch limits)
+ * @param {Object} options.modeSystem - createModeSystem() instance
+ * @param {Object} [options.interactions] - createInteractionSystem() instance
+ * @param {Object} [options.grab] - createGrabSystem() instance
+ * @param {Object} [options.config] - validated `player.gamepad` settings
+ * @param {Function} [options.notify] - fn(text) for connect/disconnect notices
+ * @returns {Object} gamepad API: update(delta), isConnected(), dispose()
+ */
+export function createGamepadInput({
+  camera,
+  movement,
+  controls,
+  modeSystem,
+  interactions = null,
+  grab = null,
+  config = {},
+  notify = () => {},
+}) {
+  const {
+    lookSensitivity = 2.5,
+    invertY = false,
+    moveDeadZone = 0.15,
+    lookDeadZone = 0.15,
+  } = config;
+
+  let padIndex = null; // navigator.getGamepads() slot in use
+  let previous = []; // pressed state of each button last frame
+
+  // ---- hot-plug ----
+
+  const onConnected = ({ gamepad }) => {
+    if (padIndex !== null) return; // keep using the first one
+    padIndex = gamepad.index;
+    previous = [];
+    console.log(`[Player] Gamepad connected: ${gamepad.id}`);
+    notify("Gamepad connected");
+  };
+
+  const onDisconnected = ({ gamepad }) => {
+    if (gamepad.index !== padIndex) return;
+    padIndex = null;
+    releasePlayer();
+    console.log(`[Player] Gamepad disconnected: ${gamepad.id}`);
+    notify("Gamepad disconnected");
+    // fall back to another controller that is still plugged in
+    const other = [...navigator.getGamepads()].find(Boolean);
+    if (other) onConnected({ gamepad: other });
+  };
+
+  window.addEventListener("gamepadconnected", onConnected);
+  window.addEventListener("gamepaddisconnected", onDisconnected);
+  // a controller connected before this ran (e.g. across a page reload)
+  const alreadyConnected = [...(navigator.getGamepads?.() ?? [])].find(Boolean);
+  if (alreadyConnected) onConnected({ gamepad: alreadyConnected });
+
+  // Stop any movement the gamepad was driving
+  function releasePlayer() {
+    movement.axisX = 0;
+    movement.axisY = 0;
+    movement.sprintBlend = 0;
+    movement.gamepad = false;
+  }
+
+  // ---- play mode ----
+
+  function updatePlay(pad, pressed, released, delta) {
+    movement.gamepad = true;
+
+    const move = applyDeadZone(
+      pad.axes[AXIS.LX],
+      pad.axes[AXIS.LY],
+      moveDeadZone,
+    );
+    movement.axisX = move.x;
+    movement.axisY = -move.y; // stick up is negative
+    movement.sprintBlend = pad.buttons[BUTTON.LT]?.value ?? 0;
+    if (pressed(BUTTON.LB) || pressed(BUTTON.L3)) movement.sprint = true;
+    if (released(BUTTON.LB) || released(BUTTON.L3)) movement.sprint = false;
+    if (pressed(BUTTON.A)) movement.jump = true;
+    if (released(BUTTON.A)) movement.jump = false;
+
+    const view = applyDeadZone(
+      pad.axes[AXIS.RX],
+      pad.axes[AXIS.RY],
+      lookDeadZone,
+    );
+    if (view.x || view.y) {
+      const turn = lookSensitivity * delta;
+      lookBy(
+        camera,
+        controls,
+        view.x * turn,
+        (invertY ? -view.y : view.y) * turn,
+      );
+    }
+
+    if (pressed(BUTTON.X)) interactions?.interact();
+    if (pressed(BUTTON.RB)) grab?.toggle();
+    if (pressed(BUTTON.RT)) grab?.chargeThrow();
+    if (released(BUTTON.RT)) grab?.releaseThrow();
+    if (pressed(BUTTON.DPAD_LEFT)) grab?.turn(-TURN_STEP);
+    if (pressed(BUTTON.DPAD_RIGHT)) grab?.turn(TURN_STEP);
+  }
+
+  // ---- editor ----
+
+  const _offset = new THREE.Vector3();
+  const _spherical = new THREE.Spherical();
+  const _forward = new THREE.Vector3();
+  const _right = new THREE.Vector3();
+
+  function updateEditor(pad, delta) {
+    const { orbitControls } = modeSystem;
+    const { target } = orbitControls;
+    const pan = applyDeadZone(
+      pad.axes[AXIS.LX],
+      pad.axes[AXIS.LY],
+      moveDeadZone,
+    );
+    const orbit = applyDeadZone(
+      pad.axes[AXIS.RX],
+      pad.axes[AXIS.RY],
+      lookDeadZone,
+    );
+    const zoom =
+      (pad.buttons[BUTTON.LT]?.value ?? 0) -
+      (pad.buttons[BUTTON.RT]?.value ?? 0);
+    if (!pan.x && !pan.y && !orbit.x && !orbit.y && !zoom) return;
+
+    _offset.subVectors(camera.position, target);
+    _spherical.setFromVector3(_offset);
+    _spherical.theta -= orbit.x * ORBIT_SPEED * delta;
+    _spherical.phi = THREE.MathUtils.clamp(
+      _spherical.phi - orbit.y * ORBIT_SPEED * delta,
+      MIN_POLAR_ANGLE,
+      orbitControls.maxPolarAngle,
+    );
+    _spherical.radius = THREE.MathUtils.clamp(
+      _spherical.radius * (1 + zoom * ZOOM_SPEED * delta),
+      orbitControls.minDistance,
+      orbitControls.maxDistance,
+    );
+
+    // pan along the ground, relative to where the camera faces
+    camera.getWorldDirection(_forward);
+    _forward.y = 0;
+    _forward.normalize();
+    _right.crossVectors(_forward, camera.up).normalize();
+    const step = _spherical.radius * PAN_SPEED * delta;
+    target.addScaledVector(_forward, -pan.y * step);
+    target.addScaledVector(_right, pan.x * step);
+
+    camera.position.copy(target).add(_offset.setFromSpherical(_spherical));
+    camera.lookAt(target);
+  }
+
+  // ---- per frame ----
+
+  function update(delta) {
+    const pad = padIndex !== null ? navigator.getGamepads()[padIndex] : null;
+    if (!pad) {
+      if (movement.gamepad) releasePlayer();
+      return;
+    }
+
+    const isDown = (i) => Boolean(pad.buttons[i]?.pressed);
+    const isTriggerDown = (i) =>
+      (pad.buttons[i]?.value ?? 0) > TRIGGER_THRESHOLD;
+    const down = pad.buttons.map((_, i) =>
+      i === BUTTON.RT ? isTriggerDown(i) : isDown(i),
+    );
+    const pressed = (i) => down[i] && !previous[i];
+    const released = (i) => !down[i] && previous[i];
+    previous = down;
+
+    if (pressed(BUTTON.START)) {
+      if (modeSystem.isEditorMode()) modeSystem.switchToPlayMode();
+      else modeSystem.switchToEditorMode();
+      return;
+    }
+
+    if (modeSystem.isPlayMode()) {
+      updatePlay(pad, pressed, released, delta);
+    } else {
+      if (movement.gamepad) releasePlayer();
+      updateEditor(pad, delta);
+    }
+  }
+
+  return {
+    update,
+    isConnected: () =>
+      padIndex !== null && Boolean(navigator.getGamepads()[padIndex]),
+    dispose: () => {
+      window.removeEventListener("gamepadconnected", onConnected);
+      window.removeEventListener("gamepaddisconnected", onDisconnected);
+      releasePlayer();
+    },
+  };
+}
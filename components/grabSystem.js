@@ -0,0 +1,303 @@
+// Grab system: pick up dynamic models in play mode, carry them in front of
+// the camera, turn them with the mouse wheel, drop or throw them.
+import * as THREE from "three";
+import {
+  COLLISION_GROUP_PLAYER,
+  COLLISION_GROUP_WALL,
+  COLLISION_PRESETS,
+  readdBody,
+} from "./colliders.js";
+import { createAimRay } from "./aimRay.js";
+
+// How hard the held object is pulled to its hold point / orientation:
+// the fraction of the remaining gap it closes per second
+const FOLLOW_RATE = 12;
+const TURN_RATE = 10;
+const MAX_FOLLOW_SPEED = 15; // m/s, so a snagged object can't fling away
+// Let go when something pins the object this far from the hold point
+const BREAK_DISTANCE = 1.5;
+const WHEEL_STEP = Math.PI / 12; // radians per wheel notch
+
+/**
+ * Creates the grab system.
+ *
+ * The held object stays a dynamic body: each frame its velocity is set to
+ * close the gap to the hold point, so it still collides with the world and
+ * stops at walls.  While held its collision filter gets the player's group
+ * bit (walls only collide with that group) and loses the player from its
+ * mask, so it can't push the player around.  Models using the "default"
+ * preset share the player's group bit and so pass through each other while
+ * one of them is held.
+ *
+ * Right mouse button picks up / drops, left button throws (held longer
+ * throws harder), the wheel turns the object about the vertical axis.
+ *
+ * @param {Object} options
+ * @param {THREE.Camera} options.camera - the first-person camera
+ * @param {THREE.Scene} options.scene
+ * @param {Object} options.physics - AmmoPhysics instance
+ * @param {Object} options.modelRegistry - createModelRegistry() instance
+ * @param {THREE.Object3D} [options.playerCollider] - ignored by the aim ray
+ * @param {Function} options.isActive - () => true while the player is in
+ *   control (play mode, pointer locked)
+ * @param {Object} [options.config] - validated `player.grab` scene settings
+ * @returns {Object} grab API: update(), toggle(), chargeThrow(),
+ *   releaseThrow(), turn(radians), getHeld(), drop(), throwHeld(charge),
+ *   setEnabled(bool), dispose()
+ */
+export function createGrabSystem({
+  camera,
+  scene,
+  physics,
+  modelRegistry,
+  playerCollider = null,
+  isActive,
+  config = {},
+}) {
+  const {
+    reach = 2,
+    maxMass = 20,
+    holdDistance = 1.2,
+    minThrowSpeed = 2,
+    maxThrowSpeed = 12,
+    chargeTime = 1,
+  } = config;
+
+  const cast = createAimRay({
+    camera,
+    scene,
+    modelRegistry,
+    ignore: () => [playerCollider, held?.object],
+  });
+  let held = null; // { record, object, offset, spin }
+  let chargeStartedAt = null; // performance.now() when the throw button went down
+  let enabled = true;
+
+  const hint = document.createElement("div");
+  hint.style.cssText = `
+    position: fixed;
+    top: calc(50% + 56px);
+    left: 50%;
+    transform: translateX(-50%);
+    padding: 4px 10px;
+    background: rgba(0, 0, 0, 0.5);
+    color: #ddd;
+    font-family: sans-serif;
+    font-size: 12px;
+    border-radius: 4px;
+    pointer-events: none;
+    z-index: 1000;
+    display: none;
+  `;
+  document.body.appendChild(hint);
+
+  const canGrab = (record) =>
+    record?.collider?.body &&
+    record.config.mass > 0 &&
+    record.config.mass <= maxMass;
+
+  const presetFor = (record) =>
+    COLLISION_PRESETS[record.config.collisionGroup] ??
+    COLLISION_PRESETS.default;
+
+  const _yaw = new THREE.Quaternion();
+  const _euler = new THREE.Euler(0, 0, 0, "YXZ");
+
+  // The camera's heading, without pitch or roll
+  function cameraYaw() {
+    _euler.setFromQuaternion(camera.quaternion, "YXZ");
+    return _yaw.setFromEuler(_euler.set(0, _euler.y, 0, "YXZ"));
+  }
+
+  function grab(record) {
+    const object = record.collider;
+    const { group, mask } = presetFor(record);
+    readdBody(physics, object, {
+      group: group | COLLISION_GROUP_PLAYER,
+      mask: (mask | COLLISION_GROUP_WALL) & ~COLLISION_GROUP_PLAYER,
+    });
+    held = {
+      record,
+      object,
+      // orientation relative to the camera heading, kept while carrying
+      offset: cameraYaw().clone().invert().multiply(object.quaternion),
+      spin: 0,
+    };
+    chargeStartedAt = null;
+    console.log(`[Player] Picked up "${record.config.id}"`);
+  }
+
+  /**
+   * Let go of the held object, if any; it keeps its current velocity.
+   *
+   * @returns {Object|null} the released model record
+   */
+  function drop() {
+    if (!held) return null;
+    const { record, object } = held;
+    held = null;
+    chargeStartedAt = null;
+    if (object.body) {
+      const { group, mask } = presetFor(record);
+      readdBody(physics, object, { group, mask });
+    }
+    return record;
+  }
+
+  /**
+   * Throw the held object along the view direction.
+   *
+   * @param {number} charge - 0..1, from minThrowSpeed to maxThrowSpeed
+   */
+  function throwHeld(charge) {
+    const record = drop();
+    if (!record?.collider.body) return;
+    const speed = THREE.MathUtils.lerp(
+      minThrowSpeed,
+      maxThrowSpeed,
+      THREE.MathUtils.clamp(charge, 0, 1),
+    );
+    const impulse = camera
+      .getWorldDirection(new THREE.Vector3())
+      .multiplyScalar(speed * record.config.mass);
+    record.collider.body.applyCentralImpulse(impulse.x, impulse.y, impulse.z);
+  }
+
+  // Pick up the model aimed at, or drop the one held
+  function toggle() {
+    if (!enabled || !isActive()) return;
+    if (held) {
+      drop();
+      return;
+    }
+    const aimed = cast(reach);
+    if (canGrab(aimed?.record)) grab(aimed.record);
+  }
+
+  // Throw button down: the longer until releaseThrow(), the harder the throw
+  function chargeThrow() {
+    if (held && isActive()) chargeStartedAt = performance.now();
+  }
+
+  function releaseThrow() {
+    if (!held || chargeStartedAt === null) return;
+    throwHeld((performance.now() - chargeStartedAt) / 1000 / chargeTime);
+  }
+
+  // Turn the held object about the vertical axis
+  function turn(radians) {
+    if (held && isActive()) held.spin += radians;
+  }
+
+  const _target = new THREE.Vector3();
+  const _gap = new THREE.Vector3();
+  const _targetRotation = new THREE.Quaternion();
+  const _spin = new THREE.Quaternion();
+  const _turn = new THREE.Quaternion();
+  const _up = new THREE.Vector3(0, 1, 0);
+
+  // Pull the held object toward the hold point in front of the camera
+  function carry() {
+    const { object } = held;
+    const { body } = object;
+
+    camera.getWorldDirection(_target);
+    _target.multiplyScalar(holdDistance).add(camera.position);
+    _gap.subVectors(_target, object.position);
+    if (_gap.length() > BREAK_DISTANCE) {
+      drop();
+      return;
+    }
+    _gap.multiplyScalar(FOLLOW_RATE).clampLength(0, MAX_FOLLOW_SPEED);
+    body.setVelocity(_gap.x, _gap.y, _gap.z);
+
+    // angular velocity turning the current orientation into the target one
+    _spin.setFromAxisAngle(_up, held.spin);
+    _targetRotation.copy(cameraYaw()).multiply(_spin).multiply(held.offset);
+    _turn.copy(object.quaternion).invert().premultiply(_targetRotation);
+    if (_turn.w < 0) _turn.set(-_turn.x, -_turn.y, -_turn.z, -_turn.w);
+    const angle = 2 * Math.acos(Math.min(_turn.w, 1));
+    const sin = Math.sqrt(1 - _turn.w * _turn.w);
+    if (sin < 1e-4) {
+      body.setAngularVelocity(0, 0, 0);
+    } else {
+      const rate = (angle * TURN_RATE) / sin;
+      body.setAngularVelocity(_turn.x * rate, _turn.y * rate, _turn.z * rate);
+    }
+    body.ammo.activate();
+  }
+
+  function showHint(text) {
+    hint.textContent = text;
+    hint.style.display = text ? "block" : "none";
+  }
+
+  // Call every play-mode frame, before physics.update()
+  function update() {
+    if (!enabled || !isActive()) {
+      drop();
+      showHint("");
+      return;
+    }
+    // deleted meanwhile (its body is gone with it)
+    if (held && !modelRegistry.models.includes(held.record)) held = null;
+    if (held) carry(); // may let go if the object got stuck
+    if (held) {
+      showHint(
+        "Click to throw (hold to throw harder) · Right-click to drop · Wheel to turn",
+      );
+    } else {
+      const aimed = cast(reach);
+      showHint(canGrab(aimed?.record) ? "Right-click to pick up" : "");
+    }
+  }
+
+  const onMouseDown = (event) => {
+    if (event.button === 2) {
+      toggle();
+    } else if (event.button === 0) {
+      chargeThrow();
+    }
+  };
+
+  const onMouseUp = (event) => {
+    if (event.button === 0) releaseThrow();
+  };
+
+  const onWheel = (event) => turn(Math.sign(event.deltaY) * WHEEL_STEP);
+
+  const onContextMenu = (event) => {
+    if (isActive()) event.preventDefault();
+  };
+
+  window.addEventListener("mousedown", onMouseDown);
+  window.addEventListener("mouseup", onMouseUp);
+  window.addEventListener("wheel", onWheel);
+  window.addEventListener("contextmenu", onContextMenu);
+
+  return {
+    update,
+    toggle,
+    chargeThrow,
+    releaseThrow,
+    turn,
+    getHeld: () => held?.record ?? null,
+    drop,
+    throwHeld,
+    setEnabled: (value) => {
+      enabled = value;
+      if (!enabled) {
+        drop();
+        showHint("");
+      }
+    },
+    dispose: () => {
+      drop();
+      window.removeEventListener("mousedown", onMouseDown);
+      window.removeEventListener("mouseup", onMouseUp);
+      window.removeEventListener("wheel", onWheel);
+      window.removeEventListener("contextmenu", onContextMenu);
+      hint.remove();
+    },
+  };
+}
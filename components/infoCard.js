@@ -0,0 +1,79 @@
+// Info card: a centered panel with a title, text and optional image, shown by
+// the "infoCard" scene action (e.g. when the player inspects an exhibit).
+
+/**
+ * Creates the info card overlay (hidden until show() is called).
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.closeKey] - () => name of the key that closes
+ *   the card, for its hint
+ * @returns {Object} info card API: show({title, text, image}), hide(),
+ *   isOpen(), dispose()
+ */
+export function createInfoCard({ closeKey = () => "E" } = {}) {
+  const card = document.createElement("div");
+  card.style.cssText = `
+    position: fixed;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    width: min(420px, 80vw);
+    max-height: 70vh;
+    overflow-y: auto;
+    padding: 16px 20px;
+    background: rgba(0, 0, 0, 0.85);
+    color: white;
+    font-family: sans-serif;
+    font-size: 14px;
+    line-height: 1.4;
+    border-radius: 6px;
+    z-index: 1100;
+    display: none;
+  `;
+
+  const image = document.createElement("img");
+  image.style.cssText = `
+    display: block;
+    max-width: 100%;
+    max-height: 240px;
+    margin: 0 auto 12px;
+    border-radius: 4px;
+  `;
+  const title = document.createElement("div");
+  title.style.cssText =
+    "font-size: 18px; font-weight: bold; margin-bottom: 8px;";
+  const text = document.createElement("div");
+  text.style.cssText = "white-space: pre-wrap;";
+  const hint = document.createElement("div");
+  hint.style.cssText = "margin-top: 12px; color: #aaa; font-size: 11px;";
+
+  card.append(image, title, text, hint);
+  document.body.appendChild(card);
+
+  /**
+   * @param {Object} content
+   * @param {string} content.title
+   * @param {string} [content.text]
+   * @param {string} [content.image] - image URL; omitted or "" for none
+   */
+  function show({ title: heading, text: body = "", image: src = "" }) {
+    title.textContent = heading;
+    hint.textContent = `Press ${closeKey()} to close`;
+    text.textContent = body;
+    image.style.display = src ? "block" : "none";
+    if (src) image.src = src;
+    else image.removeAttribute("src");
+    card.style.display = "block";
+  }
+
+  function hide() {
+    card.style.display = "none";
+  }
+
+  return {
+    show,
+    hide,
+    isOpen: () => card.style.display !== "none",
+    dispose: () => card.remove(),
+  };
+}
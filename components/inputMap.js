@@ -0,0 +1,334 @@
+// Input map: named actions (moveForward, jump, transformScale...) and the
+// keys bound to them, shared by the player, the editor and the play-mode
+// systems.  Each action belongs to a context, so the same key can mean
+// different things in play and editor mode (S walks backward while playing
+// and picks the scale gizmo in the editor).  Rebinds are kept in
+// localStorage.
+//
+// A binding is a KeyboardEvent.code, optionally with modifiers in front:
+// "KeyW", "Space", "Ctrl+KeyS", "Ctrl+Shift+KeyZ".  "Ctrl" also matches Cmd
+// on macOS.
+
+// Contexts: "global" actions work in both modes; the others only in the
+// matching mode (modeSystem.getMode())
+export const INPUT_CONTEXTS = ["global", "play", "editor"];
+
+export const INPUT_ACTIONS = {
+  toggleMode: {
+    context: "global",
+    label: "Switch editor / play",
+    keys: ["KeyL"],
+  },
+
+  moveForward: {
+    context: "play",
+    label: "Move forward",
+    keys: ["KeyW", "ArrowUp"],
+  },
+  moveBackward: {
+    context: "play",
+    label: "Move backward",
+    keys: ["KeyS", "ArrowDown"],
+  },
+  moveLeft: {
+    context: "play",
+    label: "Move left",
+    keys: ["KeyA", "ArrowLeft"],
+  },
+  moveRight: {
+    context: "play",
+    label: "Move right",
+    keys: ["KeyD", "ArrowRight"],
+  },
+  jump: { context: "play", label: "Jump", keys: ["Space"] },
+  sprint: {
+    context: "play",
+    label: "Sprint",
+    keys: ["ShiftLeft", "ShiftRight"],
+  },
+  crouch: { context: "play", label: "Crouch (hold)", keys: ["KeyC"] },
+  prone: { context: "play", label: "Lie down / get up", keys: ["KeyZ"] },
+  interact: { context: "play", label: "Interact", keys: ["KeyE"] },
+  // Esc also leaves pointer lock, which pauses too
+  pause: { context: "play", label: "Pause menu", keys: ["Escape", "KeyP"] },
+  toggleView: {
+    context: "play",
+    label: "First / third person",
+    keys: ["KeyV"],
+  },
+  // noclip flying, for looking around while building a scene
+  toggleNoclip: { context: "play", label: "Noclip (fly)", keys: ["KeyN"] },
+  flyUp: { context: "play", label: "Fly up", keys: ["KeyR"] },
+  flyDown: { context: "play", label: "Fly down", keys: ["KeyF"] },
+  flyFaster: {
+    context: "play",
+    label: "Fly faster",
+    keys: ["Equal", "NumpadAdd"],
+  },
+  flySlower: {
+    context: "play",
+    label: "Fly slower",
+    keys: ["Minus", "NumpadSubtract"],
+  },
+
+  transformTranslate: { context: "editor", label: "Move tool", keys: ["KeyG"] },
+  transformRotate: { context: "editor", label: "Rotate tool", keys: ["KeyR"] },
+  transformScale: { context: "editor", label: "Scale tool", keys: ["KeyS"] },
+  axisX: { context: "editor", label: "Lock to X axis", keys: ["KeyX"] },
+  axisY: { context: "editor", label: "Lock to Y axis", keys: ["KeyY"] },
+  axisZ: { context: "editor", label: "Lock to Z axis", keys: ["KeyZ"] },
+  clearAxisLock: {
+    context: "editor",
+    label: "Clear axis lock",
+    keys: ["Escape"],
+  },
+  toggleSpace: {
+    context: "editor",
+    label: "Local / world space",
+    keys: ["Space"],
+  },
+  cycleSnap: { context: "editor", label: "Change snap step", keys: ["KeyN"] },
+  focusSelection: {
+    context: "editor",
+    label: "Focus selection",
+    keys: ["KeyF"],
+  },
+  dropToFloor: { context: "editor", label: "Drop to floor", keys: ["End"] },
+  deleteSelection: {
+    context: "editor",
+    label: "Delete",
+    keys: ["Delete", "Backspace"],
+  },
+  duplicateSelection: {
+    context: "editor",
+    label: "Duplicate",
+    keys: ["Ctrl+KeyD"],
+  },
+  copySelection: { context: "editor", label: "Copy", keys: ["Ctrl+KeyC"] },
+  paste: { context: "editor", label: "Paste", keys: ["Ctrl+KeyV"] },
+  undo: { context: "editor", label: "Undo", keys: ["Ctrl+KeyZ"] },
+  redo: {
+    context: "editor",
+    label: "Redo",
+    keys: ["Ctrl+Shift+KeyZ", "Ctrl+KeyY"],
+  },
+  saveLayout: { context: "editor", label: "Save layout", keys: ["Ctrl+KeyS"] },
+  exportScene: {
+    context: "editor",
+    label: "Download scene",
+    keys: ["Ctrl+Shift+KeyS"],
+  },
+};
+
+const MODIFIERS = ["Ctrl", "Alt", "Shift"];
+const MODIFIER_CODES = /^(Control|Shift|Alt|Meta)(Left|Right)$/;
+
+// "Ctrl+Shift+KeyZ" -> { code: "KeyZ", ctrl: true, alt: false, shift: true }
+function parseBinding(binding) {
+  const parts = binding.split("+");
+  const code = parts.pop();
+  return {
+    code,
+    ctrl: parts.includes("Ctrl"),
+    alt: parts.includes("Alt"),
+    shift: parts.includes("Shift"),
+  };
+}
+
+/**
+ * The binding a key press would make, e.g. for the rebind dialog.
+ *
+ * @param {KeyboardEvent} event
+ * @returns {string|null} null while only a modifier is down
+ */
+export function bindingFromEvent(event) {
+  if (MODIFIER_CODES.test(event.code)) {
+    // a bare modifier can be a binding (Shift to sprint), but not with others
+    return event.ctrlKey || event.altKey || event.metaKey ? null : event.code;
+  }
+  const held = {
+    Ctrl: event.ctrlKey || event.metaKey,
+    Alt: event.altKey,
+    Shift: event.shiftKey,
+  };
+  return [...MODIFIERS.filter((m) => held[m]), event.code].join("+");
+}
+
+// "Ctrl+Shift+KeyZ" -> "Ctrl+Shift+Z", "ArrowUp" -> "↑"
+const KEY_NAMES = {
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  Escape: "Esc",
+  Delete: "Del",
+  ShiftLeft: "Shift",
+  ShiftRight: "Right Shift",
+  ControlLeft: "Ctrl",
+  ControlRight: "Right Ctrl",
+  AltLeft: "Alt",
+  AltRight: "Right Alt",
+  Equal: "=",
+  Minus: "-",
+  NumpadAdd: "Num +",
+  NumpadSubtract: "Num -",
+};
+export function describeBinding(binding) {
+  const parts = binding.split("+");
+  const code = parts.pop();
+  const key = KEY_NAMES[code] ?? code.replace(/^Key/, "").replace(/^Digit/, "");
+  return [...parts, key].join("+");
+}
+
+/**
+ * Creates the input map, loading saved rebinds.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.storageKey="inputBindings"] - localStorage key for
+ *   rebinds; null to not persist
+ * @param {Object} [options.actions=INPUT_ACTIONS] - action definitions
+ * @returns {Object} input map API: match(event, mode), actionsForCode(code,
+ *   mode), getBindings(action), setBindings(action, bindings),
+ *   resetBindings(action?), describe(action), findConflicts(action, binding),
+ *   onChange(fn), actions
+ */
+export function createInputMap({
+  storageKey = "inputBindings",
+  actions = INPUT_ACTIONS,
+} = {}) {
+  const bindings = {}; // action -> binding strings
+  const changeCallbacks = [];
+
+  for (const [action, { keys }] of Object.entries(actions)) {
+    bindings[action] = [...keys];
+  }
+  const saved = load();
+  for (const [action, keys] of Object.entries(saved)) {
+    if (action in bindings && Array.isArray(keys)) bindings[action] = keys;
+  }
+
+  function load() {
+    if (!storageKey) return {};
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) ?? {};
+    } catch (err) {
+      console.warn("[Engine] Could not read saved key bindings:", err);
+      return {};
+    }
+  }
+
+  // Only rebinds are stored, so new defaults reach everyone else
+  function save() {
+    if (!storageKey) return;
+    const changed = {};
+    for (const [action, keys] of Object.entries(bindings)) {
+      if (keys.join() !== actions[action].keys.join()) changed[action] = keys;
+    }
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(changed));
+    } catch (err) {
+      console.warn("[Engine] Could not save key bindings:", err);
+    }
+  }
+
+  const inContext = (action, mode) =>
+    actions[action].context === "global" || actions[action].context === mode;
+
+  // Can both actions be triggered in the same mode?
+  const overlap = (a, b) => {
+    const ca = actions[a].context;
+    const cb = actions[b].context;
+    return ca === cb || ca === "global" || cb === "global";
+  };
+
+  /**
+   * The action a key press triggers in `mode`.  Ctrl must match exactly;
+   * Shift and Alt only need to be held if the binding has them (so you can
+   * sprint and walk at once), and the binding with the most modifiers wins
+   * (Ctrl+Shift+Z redoes rather than undoes).
+   *
+   * @param {KeyboardEvent} event - keydown
+   * @param {string} mode - "play" or "editor"
+   * @returns {string|null}
+   */
+  function match(event, mode) {
+    const ctrl = event.ctrlKey || event.metaKey;
+    let best = null;
+    let bestScore = -1;
+    for (const [action, keys] of Object.entries(bindings)) {
+      if (!inContext(action, mode)) continue;
+      for (const binding of keys) {
+        const parsed = parseBinding(binding);
+        if (parsed.code !== event.code || parsed.ctrl !== ctrl) continue;
+        if (parsed.shift && !event.shiftKey) continue;
+        if (parsed.alt && !event.altKey) continue;
+        const score = Number(parsed.shift) + Number(parsed.alt);
+        if (score > bestScore) {
+          best = action;
+          bestScore = score;
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Actions bound to a physical key regardless of modifiers, for releasing
+   * held actions on keyup (Shift may be let go before W).
+   *
+   * @param {string} code - KeyboardEvent.code
+   * @param {string} mode
+   * @returns {string[]}
+   */
+  function actionsForCode(code, mode) {
+    return Object.keys(bindings).filter(
+      (action) =>
+        inContext(action, mode) &&
+        bindings[action].some((b) => parseBinding(b).code === code),
+    );
+  }
+
+  /**
+   * Other actions that `binding` would clash with if given to `action`.
+   *
+   * @param {string} action
+   * @param {string} binding
+   * @returns {string[]}
+   */
+  function findConflicts(action, binding) {
+    return Object.keys(bindings).filter(
+      (other) =>
+        other !== action &&
+        overlap(action, other) &&
+        bindings[other].includes(binding),
+    );
+  }
+
+  function setBindings(action, keys) {
+    bindings[action] = [...new Set(keys)];
+    save();
+    changeCallbacks.forEach((fn) => fn(action));
+  }
+
+  // Back to the default keys for one action, or for all of them
+  function resetBindings(action = null) {
+    const reset = action ? [action] : Object.keys(bindings);
+    for (const name of reset) bindings[name] = [...actions[name].keys];
+    save();
+    changeCallbacks.forEach((fn) => fn(action));
+  }
+
+  return {
+    actions,
+    match,
+    actionsForCode,
+    findConflicts,
+    getBindings: (action) => [...bindings[action]],
+    setBindings,
+    resetBindings,
+    // "G", "Ctrl+Shift+Z / Ctrl+Y", or "unbound"
+    describe: (action) =>
+      bindings[action].map(describeBinding).join(" / ") || "unbound",
+    onChange: (fn) => changeCallbacks.push(fn), // fn(action or null for all)
+  };
+}
@@ -0,0 +1,171 @@
+// Interaction system: in play mode, a ray from the center of the screen finds
+// the model the player is looking at.  Models with an `interaction` in their
+// config show a prompt ("Press E to inspect") and run its actions on E.
+import { createAimRay } from "./aimRay.js";
+import { createInputMap } from "./inputMap.js";
+
+const DEFAULT_REACH = 3; // meters from the camera
+
+/**
+ * Creates the play-mode interaction system with its crosshair and prompt.
+ *
+ * Walls and other models block the ray (see aimRay.js), so exhibits can't
+ * be used through them.  While an info card is open, E closes it instead.
+ *
+ * @param {Object} options
+ * @param {THREE.Camera} options.camera - the first-person camera
+ * @param {THREE.Scene} options.scene
+ * @param {Object} options.modelRegistry - createModelRegistry() instance
+ * @param {Object} options.actions - createSceneActions() instance
+ * @param {Object} [options.infoCard] - createInfoCard() instance
+ * @param {THREE.Object3D} [options.playerCollider] - ignored by the ray
+ * @param {Function} options.isActive - () => true while the player is in
+ *   control (play mode, pointer locked)
+ * @param {number} [options.reach=3] - default distance for models whose
+ *   interaction doesn't set `reach`
+ * @param {Object} [options.inputMap] - createInputMap() instance (the
+ *   "interact" action)
+ * @returns {Object} interaction API: update(), interact(), getTarget(),
+ *   setEnabled(bool), dispose()
+ */
+export function createInteractionSystem({
+  camera,
+  scene,
+  modelRegistry,
+  actions,
+  infoCard = null,
+  playerCollider = null,
+  isActive,
+  reach = DEFAULT_REACH,
+  inputMap = createInputMap(),
+}) {
+  const cast = createAimRay({
+    camera,
+    scene,
+    modelRegistry,
+    ignore: () => [playerCollider],
+  });
+  let target = null; // model record being looked at, if it is interactive
+  let enabled = true;
+
+  const crosshair = document.createElement("div");
+  crosshair.style.cssText = `
+    position: fixed;
+    top: 50%;
+    left: 50%;
+    width: 6px;
+    height: 6px;
+    margin: -3px 0 0 -3px;
+    border-radius: 50%;
+    background: rgba(255, 255, 255, 0.8);
+    box-shadow: 0 0 2px rgba(0, 0, 0, 0.8);
+    pointer-events: none;
+    z-index: 1000;
+    display: none;
+  `;
+  document.body.appendChild(crosshair);
+
+  const prompt = document.createElement("div");
+  prompt.style.cssText = `
+    position: fixed;
+    top: calc(50% + 24px);
+    left: 50%;
+    transform: translateX(-50%);
+    padding: 6px 12px;
+    background: rgba(0, 0, 0, 0.7);
+    color: white;
+    font-family: sans-serif;
+    font-size: 14px;
+    border-radius: 4px;
+    pointer-events: none;
+    z-index: 1000;
+    display: none;
+  `;
+  document.body.appendChild(prompt);
+
+  // Longest reach any interactive model has, so the ray is cut short there
+  function maxReach() {
+    let far = reach;
+    for (const { config } of modelRegistry.models) {
+      far = Math.max(far, config.interaction?.reach ?? 0);
+    }
+    return far;
+  }
+
+  function findTarget() {
+    const aimed = cast(maxReach());
+    const interaction = aimed?.record?.config.interaction;
+    if (!interaction) return null;
+    return aimed.hit.distance <= (interaction.reach ?? reach) ?
+        aimed.record
+      : null;
+  }
+
+  function showPrompt() {
+    if (target) {
+      prompt.textContent = `Press ${inputMap.describe("interact")} to ${target.config.interaction.prompt}`;
+      prompt.style.display = "block";
+    } else {
+      prompt.style.display = "none";
+    }
+  }
+
+  function hideOverlay() {
+    target = null;
+    crosshair.style.display = "none";
+    prompt.style.display = "none";
+    infoCard?.hide();
+  }
+
+  // Call every play-mode frame
+  function update() {
+    if (!enabled || !isActive()) {
+      hideOverlay();
+      return;
+    }
+    crosshair.style.display = "block";
+    target = infoCard?.isOpen() ? null : findTarget();
+    showPrompt();
+  }
+
+  // What E does: use the model looked at, or close the open info card
+  function interact() {
+    if (!enabled || !isActive()) return;
+    if (infoCard?.isOpen()) {
+      infoCard.hide();
+      return;
+    }
+    if (!target) return;
+    const { config } = target;
+    actions.runAll(config.interaction.actions, {
+      source: `Interaction "${config.id}"`,
+      object: target.collider ?? target.model,
+      model: target,
+    });
+    // an action may have opened the info card, which hides the prompt
+    target = infoCard?.isOpen() ? null : target;
+    showPrompt();
+  }
+
+  const onKeyDown = (event) => {
+    if (!event.repeat && inputMap.match(event, "play") === "interact") {
+      interact();
+    }
+  };
+  window.addEventListener("keydown", onKeyDown);
+
+  return {
+    update,
+    interact,
+    getTarget: () => target,
+    setEnabled: (value) => {
+      enabled = value;
+      if (!enabled) hideOverlay();
+    },
+    dispose: () => {
+      window.removeEventListener("keydown", onKeyDown);
+      crosshair.remove();
+      prompt.remove();
+    },
+  };
+}
@@ -0,0 +1,137 @@
+// Kill plane: catches dynamic models that fall out of the world (through the
+// floor, over a wall) and respawns, removes or freezes them according to
+// their `outOfBounds` setting.  The player has its own reset in playerSetup.js.
+import { COLLISION_PRESETS, placeBody, readdBody } from "./colliders.js";
+
+// Ammo activation states
+const ACTIVE_TAG = 1;
+const DISABLE_SIMULATION = 4;
+
+/**
+ * Height of the kill plane: the scene's `physics.killPlaneY`, or by default
+ * 30 below the lowest point of the terrain.
+ *
+ * @param {{min: number}} [heightBounds] - terrain height bounds
+ * @param {number|null} [configured] - physics.killPlaneY
+ * @returns {number}
+ */
+export function killPlaneHeight(heightBounds, configured = null) {
+  return configured ?? (heightBounds?.min ?? -10) - 30;
+}
+
+/**
+ * Creates the kill-plane service.
+ *
+ * Each model's spawn pose is where it stood when it was added, updated to
+ * its editor placement every time play mode starts.  Removed and frozen
+ * models come back at their spawn pose when restore() is called (on return
+ * to the editor), so play testing never changes the saved layout.
+ *
+ * @param {Object} options
+ * @param {Object} options.physics - AmmoPhysics instance
+ * @param {Object} options.modelRegistry - createModelRegistry() instance
+ * @param {number} options.y - height below which a body is out of bounds
+ * @returns {Object} kill plane API: update(), captureSpawns(), restore(),
+ *   onLost(fn), getLostCount(), y
+ */
+export function createKillPlane({ physics, modelRegistry, y }) {
+  const spawns = new Map(); // record -> { position, quaternion }
+  const lost = new Map(); // record -> policy applied ("remove" | "freeze")
+  const lostCallbacks = [];
+  let lostCount = 0;
+
+  const isDynamic = (record) =>
+    Boolean(record.collider?.body) && record.config.mass > 0;
+
+  function captureSpawn(record) {
+    if (!record.collider) return;
+    const { position, quaternion } = record.collider;
+    spawns.set(record, {
+      position: position.toArray(),
+      quaternion: quaternion.toArray(),
+    });
+  }
+
+  // Editor placement is the spawn pose for this play session
+  function captureSpawns() {
+    for (const record of modelRegistry.models) captureSpawn(record);
+  }
+
+  function respawn(record) {
+    const spawn = spawns.get(record);
+    placeBody(record.collider, spawn.position, spawn.quaternion);
+  }
+
+  // Take the body out of the simulation and hide the model
+  function remove(record) {
+    physics.physicsWorld.removeRigidBody(record.collider.body.ammo);
+    record.collider.visible = false;
+    lost.set(record, "remove");
+  }
+
+  // Stop the body where it is and stop simulating it
+  function freeze(record) {
+    const { body } = record.collider;
+    body.setVelocity(0, 0, 0);
+    body.setAngularVelocity(0, 0, 0);
+    body.ammo.setActivationState(DISABLE_SIMULATION);
+    lost.set(record, "freeze");
+  }
+
+  const POLICIES = { respawn, remove, freeze };
+
+  // Call every play-mode frame, after physics.update()
+  function update() {
+    for (const record of modelRegistry.models) {
+      if (!isDynamic(record) || lost.has(record)) continue;
+      const position = record.collider.position;
+      if (position.y >= y) continue;
+
+      const policy = record.config.outOfBounds;
+      lostCount++;
+      console.warn(
+        `[Scene] "${record.config.id}" fell out of the world (${policy})`,
+      );
+      POLICIES[policy](record);
+      lostCallbacks.forEach((fn) =>
+        fn({ record, policy, position: position.clone(), count: lostCount }),
+      );
+    }
+  }
+
+  // Bring removed and frozen models back at their spawn poses
+  function restore() {
+    for (const [record, policy] of lost) {
+      if (!record.collider?.body) continue; // deleted meanwhile
+      if (policy === "remove") {
+        readdBody(
+          physics,
+          record.collider,
+          COLLISION_PRESETS[record.config.collisionGroup],
+        );
+        record.collider.visible = true;
+      } else {
+        record.collider.body.ammo.setActivationState(ACTIVE_TAG);
+      }
+      respawn(record);
+    }
+    lost.clear();
+  }
+
+  modelRegistry.onAdd(captureSpawn);
+  modelRegistry.onRemove((record) => {
+    spawns.delete(record);
+    lost.delete(record);
+  });
+  captureSpawns();
+
+  return {
+    y,
+    update,
+    captureSpawns,
+    restore,
+    // fn({ record, policy, position, count }) when a model falls out
+    onLost: (fn) => lostCallbacks.push(fn),
+    getLostCount: () => lostCount,
+  };
+}
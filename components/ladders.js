@@ -0,0 +1,111 @@
+// Ladder volumes (`ladders` in the scene file): boxes in which the player
+// climbs instead of walking (see playerSetup.js).  Like trigger zones they
+// show as wireframes in the editor only.
+import * as THREE from "three";
+
+const WIREFRAME_COLOR = 0xffaa33;
+
+/**
+ * Creates the ladder volumes.
+ *
+ * Each record has the shape { config, center, forward, right, wireframe }:
+ * `forward` is the horizontal direction a climber faces (toward the
+ * ladder, -Z turned by the config's yaw) and `right` runs along its rungs.
+ *
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene
+ * @param {Array<Object>} [options.ladders] - validated ladder configs
+ * @returns {Object} ladder API: add(config), remove(id), find(point, reach),
+ *   setHelpersVisible(bool), ladders, dispose()
+ */
+export function createLadders({ scene, ladders: configs = [] }) {
+  const ladders = [];
+  let helpersVisible = true;
+
+  /**
+   * @param {Object} config - validated ladder config (sceneSchema.js)
+   * @returns {Object} the ladder
+   */
+  function add(config) {
+    const { id, position, size, yaw } = config;
+    const wireframe = new THREE.Mesh(
+      new THREE.BoxGeometry(...size),
+      new THREE.MeshBasicMaterial({
+        color: WIREFRAME_COLOR,
+        wireframe: true,
+        transparent: true,
+        opacity: 0.5,
+      }),
+    );
+    wireframe.name = `ladder:${id}`;
+    wireframe.position.set(...position);
+    wireframe.rotation.y = yaw;
+    wireframe.userData.selectable = false;
+    wireframe.userData.editorHelper = true;
+    wireframe.visible = helpersVisible;
+    scene.add(wireframe);
+
+    const ladder = {
+      config,
+      center: new THREE.Vector3(...position),
+      forward: new THREE.Vector3(-Math.sin(yaw), 0, -Math.cos(yaw)),
+      right: new THREE.Vector3(Math.cos(yaw), 0, -Math.sin(yaw)),
+      wireframe,
+    };
+    ladders.push(ladder);
+    return ladder;
+  }
+
+  function remove(id) {
+    const index = ladders.findIndex((l) => l.config.id === id);
+    if (index === -1) return;
+    const [ladder] = ladders.splice(index, 1);
+    ladder.wireframe.removeFromParent();
+    ladder.wireframe.geometry.dispose();
+    ladder.wireframe.material.dispose();
+  }
+
+  const _offset = new THREE.Vector3();
+
+  /**
+   * The ladder whose volume holds `point`, or null.
+   *
+   * @param {THREE.Vector3} point
+   * @param {number} [reach=0] - grow the volume sideways by this much (the
+   *   capsule's radius, so touching the ladder counts)
+   * @returns {Object|null}
+   */
+  function find(point, reach = 0) {
+    for (const ladder of ladders) {
+      const [width, height, depth] = ladder.config.size;
+      _offset.subVectors(point, ladder.center);
+      if (
+        Math.abs(_offset.dot(ladder.right)) <= width / 2 + reach &&
+        Math.abs(_offset.y) <= height / 2 &&
+        Math.abs(_offset.dot(ladder.forward)) <= depth / 2 + reach
+      ) {
+        return ladder;
+      }
+    }
+    return null;
+  }
+
+  // Show the volumes in the editor, hide them while playing
+  function setHelpersVisible(visible) {
+    helpersVisible = visible;
+    for (const { wireframe } of ladders) wireframe.visible = visible;
+  }
+
+  for (const config of configs) add(config);
+
+  return {
+    ladders,
+    add,
+    remove,
+    find,
+    setHelpersVisible,
+    dispose: () => {
+      for (const ladder of [...ladders]) remove(ladder.config.id);
+    },
+  };
+}
@@ -0,0 +1,126 @@
+// Light editor: "Lights" panel for adding point, spot, directional and area
+// lights to the scene, plus deleting them.  Both go through the editor's
+// undo history; settings are edited in the property inspector.
+import * as THREE from "three";
+import { LIGHT_TYPES, DEFAULT_PLACED_LIGHTS } from "./sceneSchema.js";
+import { createButton } from "./editorUI.js";
+
+// New lights appear this far above the point the editor camera orbits;
+// directional lights higher so their shadow camera covers the area
+const PLACE_HEIGHT = { directional: 8 };
+const DEFAULT_PLACE_HEIGHT = 3;
+
+/**
+ * Creates the "Lights" panel.
+ *
+ * @param {Object} options
+ * @param {Object} options.editorUI - result of createEditorUI()
+ * @param {Object} options.modeSystem - createModeSystem() instance
+ * @param {Object} options.lightRegistry - createLightRegistry() instance
+ * @returns {Object} light editor API: addLight(type), deleteLights(objects),
+ *   dispose()
+ */
+export function createLightEditor({ editorUI, modeSystem, lightRegistry }) {
+  const panel = editorUI.addPanel("Lights");
+  const { history, objectPicker, orbitControls, flashMessage } = modeSystem;
+
+  const buttons = document.createElement("div");
+  buttons.style.cssText = "display: flex; flex-wrap: wrap; gap: 4px;";
+  for (const type of LIGHT_TYPES) {
+    buttons.appendChild(
+      createButton(`+ ${type[0].toUpperCase()}${type.slice(1)}`, () =>
+        addLight(type),
+      ),
+    );
+  }
+  panel.appendChild(buttons);
+
+  const hint = document.createElement("div");
+  hint.style.cssText = "margin-top: 6px; color: #aaa; font-size: 11px;";
+  hint.textContent =
+    "Click a light's marker to select it; rotate (R) to aim spot, directional and area lights.";
+  panel.appendChild(hint);
+
+  const selectLight = (record) => objectPicker.setSelection([record.light]);
+
+  function addLight(type) {
+    const position = orbitControls.target
+      .clone()
+      .add(new THREE.Vector3(0, PLACE_HEIGHT[type] ?? DEFAULT_PLACE_HEIGHT, 0));
+    const config = {
+      ...DEFAULT_PLACED_LIGHTS[type],
+      id: lightRegistry.uniqueId(type),
+      type,
+      position: position.toArray(),
+      rotation: [-Math.PI / 2, 0, 0], // pointing down
+    };
+    const record = lightRegistry.add(config);
+    selectLight(record);
+    pushStep([record], `add ${config.id}`, { removes: false });
+    flashMessage(`Added ${type} light`);
+    return record;
+  }
+
+  // Take lights out of the scene, keeping them for undo / redo
+  function detach(records) {
+    const removed = new Set(records.map((record) => record.light));
+    objectPicker.setSelection(
+      objectPicker.getSelection().filter((obj) => !removed.has(obj)),
+    );
+    for (const record of records) {
+      lightRegistry.remove(record, { keepResources: true });
+    }
+  }
+
+  // Put detached lights back as the same objects, so earlier history steps
+  // (moves, inspector edits) still apply to them
+  function reattach(records) {
+    objectPicker.setSelection(
+      records.map((record) => lightRegistry.restore(record).light),
+    );
+  }
+
+  // Record taking `records` out (delete) or putting them in (add) as one
+  // undoable step; once the history forgets it, lights this step left
+  // detached are freed
+  function pushStep(records, label, { removes }) {
+    let done = true;
+    history.push({
+      label,
+      undo: () => {
+        (removes ? reattach : detach)(records);
+        done = false;
+      },
+      redo: () => {
+        (removes ? detach : reattach)(records);
+        done = true;
+      },
+      discard: () => {
+        if (done !== removes) return;
+        for (const record of records) lightRegistry.release(record);
+      },
+    });
+  }
+
+  // Remove the placed lights among `objects`; other objects are ignored
+  function deleteLights(objects) {
+    const records = objects
+      .filter((obj) => !obj.userData.locked)
+      .map((obj) => lightRegistry.findByObject(obj))
+      .filter(Boolean);
+    if (records.length === 0) return;
+
+    const ids = records.map((record) => record.config.id);
+    detach(records);
+    pushStep(records, `delete ${ids.join(", ")}`, { removes: true });
+    flashMessage(`Deleted ${ids.length > 1 ? `${ids.length} lights` : ids[0]}`);
+  }
+
+  return {
+    addLight,
+    deleteLights,
+    dispose: () => {
+      panel.innerHTML = "";
+    },
+  };
+}
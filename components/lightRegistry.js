@@ -0,0 +1,196 @@
+// Light registry: editor-placed lights (`lights.placed` in the scene file).
+// Owns each light's editor helper and pick icon, and turns the lights back
+// into scene-file configs for saving.
+import * as THREE from "three";
+import { RectAreaLightHelper } from "three/examples/jsm/helpers/RectAreaLightHelper.js";
+import { createPlacedLight, applyLightConfig } from "./createLights.js";
+import { serializeTransform } from "./sceneExport.js";
+
+const ICON_SIZE = 0.2; // radius of the clickable marker at each light
+
+// Three.js helper drawing a light's range / cone / direction / rectangle
+function createHelper(light) {
+  if (light.isSpotLight) return new THREE.SpotLightHelper(light);
+  if (light.isDirectionalLight) {
+    return new THREE.DirectionalLightHelper(light, 1);
+  }
+  if (light.isRectAreaLight) return new RectAreaLightHelper(light);
+  return new THREE.PointLightHelper(light, ICON_SIZE * 1.5);
+}
+
+// Small glowing marker parented to the light.  Helpers are lines, which the
+// picker can't reliably click, so this is what selects the light.
+function createIcon(color) {
+  const icon = new THREE.Mesh(
+    new THREE.OctahedronGeometry(ICON_SIZE),
+    // emissive so it glows in the light's colour whatever the lighting
+    new THREE.MeshStandardMaterial({ color: 0x000000, emissive: color }),
+  );
+  icon.name = "lightIcon";
+  icon.userData.editorHelper = true; // not a surface to place things on
+  return icon;
+}
+
+/**
+ * Creates the registry of editor-placed lights.
+ *
+ * Each record has the shape { light, helper, icon, config }.  `config` is
+ * kept in scene-file form; the light's position/rotation are read back from
+ * the light itself when saving, since the gizmo moves the light directly.
+ *
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene
+ * @returns {Object} registry API; `lights` is the live array of records
+ */
+export function createLightRegistry({ scene }) {
+  const lights = [];
+  const addCallbacks = [];
+  const removeCallbacks = [];
+  let helpersVisible = true;
+
+  /**
+   * Create a light from a placed-light config and add it to the scene.
+   *
+   * @param {Object} config - validated placed-light config
+   * @returns {Object} the new record
+   */
+  function add(config) {
+    const light = createPlacedLight(config);
+    const helper = createHelper(light);
+    helper.userData.selectable = false;
+    helper.userData.editorHelper = true;
+    helper.visible = helpersVisible;
+    const icon = createIcon(light.color);
+    icon.visible = helpersVisible;
+    light.add(icon);
+
+    scene.add(light);
+    scene.add(helper);
+
+    const record = { light, helper, icon, config: { ...config } };
+    lights.push(record);
+    addCallbacks.forEach((fn) => fn(record));
+    console.log(`[Scene] Added ${config.type} light "${config.id}"`);
+    return record;
+  }
+
+  /**
+   * Remove a light and its helper from the scene and, unless `keepResources`
+   * is set, free their resources.  A record removed with `keepResources` can
+   * be put back with restore() (editor undo) and must be release()d once it
+   * can't be.
+   *
+   * @param {Object} record
+   * @param {Object} [options]
+   * @param {boolean} [options.keepResources=false]
+   */
+  function remove(record, { keepResources = false } = {}) {
+    const index = lights.indexOf(record);
+    if (index === -1) return;
+    lights.splice(index, 1);
+
+    record.light.removeFromParent();
+    record.helper.removeFromParent();
+    if (!keepResources) release(record);
+    removeCallbacks.forEach((fn) => fn(record));
+  }
+
+  // Free a removed light's helper, icon and shadow map
+  function release(record) {
+    if (lights.includes(record)) return;
+    record.helper.dispose();
+    record.icon.geometry.dispose();
+    record.icon.material.dispose();
+    record.light.dispose();
+  }
+
+  /**
+   * Put a record removed with `keepResources` back as the same light, so
+   * editor history that refers to it still works.  If its id was taken
+   * meanwhile it gets a new one.
+   *
+   * @param {Object} record
+   * @returns {Object} the record
+   */
+  function restore(record) {
+    if (lights.includes(record)) return record;
+    if (findById(record.config.id)) {
+      record.config.id = uniqueId(record.config.type);
+    }
+    record.helper.visible = record.icon.visible = helpersVisible;
+    scene.add(record.light);
+    scene.add(record.helper);
+    lights.push(record);
+    addCallbacks.forEach((fn) => fn(record));
+    return record;
+  }
+
+  /**
+   * Change a light's settings (color, intensity, cone, size...) and keep its
+   * helper and icon in step.
+   *
+   * @param {Object} record
+   * @param {Object} changes - placed-light config fields
+   */
+  function update(record, changes) {
+    Object.assign(record.config, changes);
+    applyLightConfig(record.light, record.config);
+    record.icon.material.emissive.copy(record.light.color);
+    record.helper.update?.();
+  }
+
+  // Helpers only redraw when told; call every editor frame
+  function updateHelpers() {
+    for (const { helper } of lights) helper.update?.();
+  }
+
+  // Show helpers and icons in the editor, hide them while playing
+  function setHelpersVisible(visible) {
+    helpersVisible = visible;
+    for (const { helper, icon } of lights) {
+      helper.visible = visible;
+      icon.visible = visible;
+    }
+  }
+
+  // Scene-file configs of every light at its current placement
+  function toConfigs() {
+    return lights.map(({ light, config }) => {
+      const { position, rotation } = serializeTransform(light);
+      return { ...config, position, rotation };
+    });
+  }
+
+  // Make an id no light uses yet, e.g. "spot" -> "spot_2"
+  function uniqueId(base) {
+    const taken = new Set(lights.map((l) => l.config.id));
+    let n = 1;
+    while (taken.has(`${base}_${n}`)) n++;
+    return `${base}_${n}`;
+  }
+
+  function findById(id) {
+    return lights.find((l) => l.config.id === id) ?? null;
+  }
+
+  function findByObject(object) {
+    return lights.find((l) => l.light === object) ?? null;
+  }
+
+  return {
+    lights,
+    add,
+    remove,
+    restore,
+    release,
+    update,
+    updateHelpers,
+    setHelpersVisible,
+    toConfigs,
+    uniqueId,
+    findById,
+    findByObject,
+    onAdd: (fn) => addCallbacks.push(fn),
+    onRemove: (fn) => removeCallbacks.push(fn),
+  };
+}
@@ -3,6 +3,19 @@ import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
 import { TransformControls } from "three/examples/jsm/controls/TransformControls.js";
 import { picker } from "./picker.js";
+import { createEditorHistory } from "./editorHistory.js";
+import { createInputMap } from "./inputMap.js";
+
+// Snap increments cycled with [N]; the first of each list is the default
+const DEFAULT_SNAP_STEPS = {
+  translate: [0.1, 0.5, 1], // units
+  rotate: [15, 45, 90], // degrees
+  scale: [0.1, 0.25, 0.5], // scale factor
+};
+
+// Drop-to-floor rays start this high so objects sunk into the floor still
+// find the surface above them
+const FLOOR_RAY_HEIGHT = 1000;
 
 /**
  * Creates and manages the Editor/Play mode system with transform controls
@@ -15,6 +28,19 @@ import { picker } from "./picker.js";
  * @param {number} options.playerHeight - Player height for camera offset
  * @param {Object} options.playerSpawn - Spawn position {x, y, z}
  * @param {Object} options.physics - AmmoPhysics instance for body sync
+ * @param {Function} [options.onSaveLayout] - called on Ctrl+S in editor mode
+ * @param {Function} [options.onExportScene] - called on Ctrl+Shift+S in editor mode
+ * @param {Function} [options.onDeleteSelection] - fn(objects) on Delete/Backspace
+ * @param {Function} [options.onDuplicateSelection] - fn(objects) on Ctrl+D
+ * @param {Function} [options.onCopySelection] - fn(objects) on Ctrl+C
+ * @param {Function} [options.onPaste] - called on Ctrl+V in editor mode
+ *   (keys above are the defaults; see inputMap.js)
+ * @param {number} [options.historyDepth=100] - max undo steps kept in memory
+ * @param {THREE.Object3D} [options.floor] - terrain used by "drop to floor"
+ * @param {Object} [options.snapSteps] - increments offered for snapping while
+ *   Ctrl is held: { translate: units[], rotate: degrees[], scale: factors[] }
+ * @param {Object} [options.inputMap] - createInputMap() instance shared with
+ *   the player
  * @returns {Object} Mode system controls and state
  */
 export function createModeSystem({
@@ -26,12 +52,25 @@ export function createModeSystem({
   playerHeight,
   playerSpawn,
   physics = null,
+  onSaveLayout = null,
+  onExportScene = null,
+  onDeleteSelection = null,
+  onDuplicateSelection = null,
+  onCopySelection = null,
+  onPaste = null,
+  historyDepth = 100,
+  floor = null,
+  snapSteps = DEFAULT_SNAP_STEPS,
+  inputMap = createInputMap(),
 }) {
   let currentMode = "editor"; // "editor" or "play"
-  let selectedObject = null;
+  let selectedObject = null; // Primary selection (most recently picked)
+  let selectedObjects = []; // Full selection set (may hold several objects)
   let currentTransformMode = "translate"; // "translate", "rotate", or "scale"
   let currentAxisLock = null; // Track which axis is locked: "x", "y", "z", or null
   const modifiedObjects = new Set(); // Track all objects modified in editor mode
+  const history = createEditorHistory({ maxDepth: historyDepth });
+  const modeChangeCallbacks = [];
 
   // Set up OrbitControls for editor mode
   const orbitControls = new OrbitControls(camera, renderer.domElement);
@@ -52,6 +91,48 @@ export function createModeSystem({
   transformControls.setMode("translate");
   transformControls.setSpace("world"); // Use world space by default
 
+  // ---- Snapping ----
+  // Held Ctrl turns snapping on for the gizmo; [N] cycles the increment of
+  // the current transform mode
+  let snapHeld = false;
+  const snapIndex = { translate: 0, rotate: 0, scale: 0 };
+  const snapStep = (mode) => snapSteps[mode][snapIndex[mode]];
+
+  function applySnap() {
+    transformControls.setTranslationSnap(
+      snapHeld ? snapStep("translate") : null,
+    );
+    transformControls.setRotationSnap(
+      snapHeld ? THREE.MathUtils.degToRad(snapStep("rotate")) : null,
+    );
+    transformControls.setScaleSnap(snapHeld ? snapStep("scale") : null);
+  }
+
+  function setSnapHeld(held) {
+    if (held === snapHeld) return;
+    snapHeld = held;
+    applySnap();
+    updateTransformModeUI();
+  }
+
+  function cycleSnapStep() {
+    const steps = snapSteps[currentTransformMode];
+    snapIndex[currentTransformMode] =
+      (snapIndex[currentTransformMode] + 1) % steps.length;
+    applySnap();
+    updateTransformModeUI();
+  }
+
+  // Track the modifier from keys and from pointer moves (keyup is missed if
+  // the window loses focus while Ctrl is down)
+  const snapKeyHandler = (event) => setSnapHeld(event.ctrlKey);
+  const snapPointerHandler = (event) => setSnapHeld(event.ctrlKey);
+  const snapBlurHandler = () => setSnapHeld(false);
+  window.addEventListener("keydown", snapKeyHandler);
+  window.addEventListener("keyup", snapKeyHandler);
+  window.addEventListener("blur", snapBlurHandler);
+  renderer.domElement.addEventListener("pointermove", snapPointerHandler);
+
   // Add the transform controls gizmo helper to the scene
   // In Three.js 0.182+, TransformControls extends Controls (not Object3D)
   // so we must add getHelper() which is the actual Object3D gizmo
@@ -62,6 +143,7 @@ export function createModeSystem({
       // CRITICAL: Mark the transform helper as non-selectable to prevent
       // infinite recursion when it gets picked by the raycaster
       transformHelper.userData.selectable = false;
+      transformHelper.userData.editorHelper = true; // Ignored by pickPoint
       transformHelper.traverse((child) => {
         child.userData.selectable = false;
       });
@@ -74,9 +156,131 @@ export function createModeSystem({
     console.error("[Editor] Failed to get TransformControls helper:", e);
   }
 
-  // Disable orbit controls while dragging transform controls
+  // Snapshot of an object's transform, used for undo/redo
+  function captureTransform(object) {
+    return {
+      position: object.position.clone(),
+      quaternion: object.quaternion.clone(),
+      scale: object.scale.clone(),
+    };
+  }
+
+  function restoreTransform(object, snapshot) {
+    object.position.copy(snapshot.position);
+    object.quaternion.copy(snapshot.quaternion);
+    object.scale.copy(snapshot.scale);
+    object.updateMatrixWorld(true);
+    syncPhysicsBody(object);
+    modifiedObjects.add(object);
+    if (object === selectedObject) updateSelectionInfo();
+  }
+
+  function transformsEqual(a, b) {
+    return (
+      a.position.equals(b.position) &&
+      a.quaternion.equals(b.quaternion) &&
+      a.scale.equals(b.scale)
+    );
+  }
+
+  // Group transforms: with several objects selected, TransformControls is
+  // attached to this invisible pivot at the selection centroid and every
+  // member follows the pivot's motion.
+  const selectionPivot = new THREE.Object3D();
+  selectionPivot.name = "selectionPivot";
+  selectionPivot.userData.selectable = false;
+  selectionPivot.userData.editorHelper = true;
+  scene.add(selectionPivot);
+
+  const _pivotDelta = new THREE.Matrix4();
+  let pivotStartInverse = null; // inverse pivot matrix at drag start
+  let memberStartMatrices = null; // Map(member -> matrix at drag start)
+
+  // Objects the gizmo currently moves: the selection when the pivot is in
+  // use, otherwise whatever TransformControls is attached to
+  function transformTargets() {
+    const attached = transformControls.object;
+    if (!attached) return [];
+    return attached === selectionPivot ? selectedObjects : [attached];
+  }
+
+  // Place the pivot at the centroid of the selection with no rotation/scale
+  function recenterPivot() {
+    if (selectedObjects.length === 0) return;
+    selectionPivot.position.set(0, 0, 0);
+    for (const obj of selectedObjects) {
+      selectionPivot.position.add(obj.position);
+    }
+    selectionPivot.position.divideScalar(selectedObjects.length);
+    selectionPivot.quaternion.identity();
+    selectionPivot.scale.set(1, 1, 1);
+    selectionPivot.updateMatrixWorld(true);
+  }
+
+  // Apply the pivot's motion since drag start to every selected object
+  function applyPivotDelta() {
+    if (!pivotStartInverse || !memberStartMatrices) return;
+    selectionPivot.updateMatrixWorld(true);
+    _pivotDelta.multiplyMatrices(selectionPivot.matrixWorld, pivotStartInverse);
+    for (const [obj, startMatrix] of memberStartMatrices) {
+      obj.matrix.multiplyMatrices(_pivotDelta, startMatrix);
+      obj.matrix.decompose(obj.position, obj.quaternion, obj.scale);
+      obj.updateMatrixWorld(true);
+      syncPhysicsBody(obj);
+      modifiedObjects.add(obj);
+    }
+  }
+
+  // Transforms at the start of the current drag (null when not dragging)
+  let dragStart = null;
+
+  // Disable orbit controls while dragging transform controls, and record
+  // each completed drag as one undoable step
   transformControls.addEventListener("dragging-changed", (event) => {
     orbitControls.enabled = !event.value;
+
+    const targets = transformTargets();
+    if (targets.length === 0) return;
+    if (event.value) {
+      dragStart = new Map(targets.map((obj) => [obj, captureTransform(obj)]));
+      if (transformControls.object === selectionPivot) {
+        selectionPivot.updateMatrixWorld(true);
+        pivotStartInverse = selectionPivot.matrixWorld.clone().invert();
+        memberStartMatrices = new Map(
+          targets.map((obj) => [obj, obj.matrix.clone()]),
+        );
+      }
+      return;
+    }
+    if (!dragStart) return;
+
+    const before = dragStart;
+    const after = new Map(targets.map((obj) => [obj, captureTransform(obj)]));
+    dragStart = null;
+    pivotStartInverse = null;
+    memberStartMatrices = null;
+    // click without movement
+    if (
+      targets.every((obj) => transformsEqual(before.get(obj), after.get(obj)))
+    )
+      return;
+
+    const restoreAll = (snapshots) => {
+      for (const [obj, snapshot] of snapshots) restoreTransform(obj, snapshot);
+      if (transformControls.object === selectionPivot) {
+        recenterPivot();
+        updateSelectionInfo();
+      }
+    };
+    const label =
+      targets.length > 1 ?
+        `${transformControls.mode} ${targets.length} objects`
+      : `${transformControls.mode} ${targets[0].name || targets[0].type}`;
+    history.push({
+      label,
+      undo: () => restoreAll(before),
+      redo: () => restoreAll(after),
+    });
   });
 
   // Helper: Sync physics body with visual object transform
@@ -166,9 +370,171 @@ export function createModeSystem({
     return true;
   }
 
+  // Record the pre-edit scale of an object so syncPhysicsBody can scale the
+  // collision shape relative to it.  Must run before the first edit.
+  function rememberOriginalScale(obj) {
+    if (obj.userData._originalScale) return;
+    obj.userData._originalScale = obj.scale.clone();
+    if (obj.body?.ammo) {
+      const collisionShape = obj.body.ammo.getCollisionShape();
+      if (collisionShape) {
+        const currentScale = collisionShape.getLocalScaling();
+        obj.userData._originalPhysicsScale = {
+          x: currentScale.x(),
+          y: currentScale.y(),
+          z: currentScale.z(),
+        };
+      }
+    }
+  }
+
+  // Apply a saved transform ({position, rotation, scale} arrays, as written
+  // by sceneExport.serializeTransform) and sync the physics body to it
+  function applyTransform(object, { position, rotation, scale }) {
+    if (!object) return false;
+    rememberOriginalScale(object);
+    object.position.set(...position);
+    object.rotation.set(...rotation);
+    object.scale.set(...scale);
+    object.updateMatrixWorld(true);
+    modifiedObjects.add(object);
+    return syncPhysicsBody(object);
+  }
+
+  const isLocked = (object) => !!object.userData.locked;
+
+  // Locked objects can't be picked in the viewport or transformed
+  function setLocked(object, locked) {
+    object.userData.locked = locked;
+    if (selectedObjects.includes(object)) {
+      // re-run selection handling so the gizmo attaches/detaches
+      objectPicker.setSelection([
+        ...selectedObjects.filter((o) => o !== selectedObject),
+        selectedObject,
+      ]);
+    }
+  }
+
+  // Frame an object with the orbit camera, keeping the current view angle
+  function focusObject(object) {
+    const box = new THREE.Box3().setFromObject(object);
+    const center =
+      box.isEmpty() ?
+        object.getWorldPosition(new THREE.Vector3())
+      : box.getCenter(new THREE.Vector3());
+    const radius =
+      box.isEmpty() ? 1 : (
+        Math.max(box.getSize(new THREE.Vector3()).length() / 2, 0.5)
+      );
+    const distance =
+      (radius / Math.sin(THREE.MathUtils.degToRad(camera.fov) / 2)) * 1.2;
+    const direction = camera.position.clone().sub(orbitControls.target);
+    if (direction.lengthSq() === 0) direction.set(0, 1, 1);
+    direction.normalize();
+
+    orbitControls.target.copy(center);
+    camera.position.copy(center).addScaledVector(direction, distance);
+    orbitControls.update();
+  }
+
+  // Change an object's transform from code (e.g. the property inspector) as
+  // one undoable edit; `edit(object)` mutates position/rotation/scale
+  function editTransform(object, edit, label) {
+    if (isLocked(object)) return;
+    rememberOriginalScale(object);
+    const before = captureTransform(object);
+    edit(object);
+    object.updateMatrixWorld(true);
+    const after = captureTransform(object);
+    if (transformsEqual(before, after)) return;
+
+    syncPhysicsBody(object);
+    modifiedObjects.add(object);
+    if (object === selectedObject) updateSelectionInfo();
+    history.push({
+      label: label ?? `edit ${object.name || object.type}`,
+      undo: () => restoreTransform(object, before),
+      redo: () => restoreTransform(object, after),
+    });
+  }
+
+  // ---- Drop to floor ----
+  const floorRaycaster = new THREE.Raycaster();
+  const DOWN = new THREE.Vector3(0, -1, 0);
+
+  // Highest floor point under a bounding box's centre and corners, or null
+  // when the box isn't above the floor at all
+  function floorHeightUnder(box) {
+    const center = box.getCenter(new THREE.Vector3());
+    const footprint = [
+      [center.x, center.z],
+      [box.min.x, box.min.z],
+      [box.min.x, box.max.z],
+      [box.max.x, box.min.z],
+      [box.max.x, box.max.z],
+    ];
+    let highest = null;
+    for (const [x, z] of footprint) {
+      floorRaycaster.set(new THREE.Vector3(x, FLOOR_RAY_HEIGHT, z), DOWN);
+      const hit = floorRaycaster.intersectObject(floor, true)[0];
+      if (hit && (highest === null || hit.point.y > highest)) {
+        highest = hit.point.y;
+      }
+    }
+    return highest;
+  }
+
+  // Seat each object's bounding box on the terrain below it (one undo step)
+  function dropToFloor(objects = selectedObjects) {
+    if (!floor || objects.length === 0) return 0;
+
+    const before = new Map();
+    const after = new Map();
+    for (const object of objects) {
+      if (isLocked(object)) continue;
+      object.updateMatrixWorld(true);
+      const box = new THREE.Box3().setFromObject(object);
+      const floorY = box.isEmpty() ? null : floorHeightUnder(box);
+      if (floorY === null) {
+        console.warn(`[Editor] No floor under ${object.name || object.type}`);
+        continue;
+      }
+      rememberOriginalScale(object);
+      before.set(object, captureTransform(object));
+      object.position.y += floorY - box.min.y;
+      object.updateMatrixWorld(true);
+      syncPhysicsBody(object);
+      modifiedObjects.add(object);
+      after.set(object, captureTransform(object));
+    }
+    if (after.size === 0) {
+      flashMessage("No floor below the selection");
+      return 0;
+    }
+
+    const refresh = () => {
+      if (transformControls.object === selectionPivot) recenterPivot();
+      updateSelectionInfo();
+    };
+    const restoreAll = (snapshots) => {
+      for (const [obj, snapshot] of snapshots) restoreTransform(obj, snapshot);
+      refresh();
+    };
+    refresh();
+    history.push({
+      label: `drop ${after.size > 1 ? `${after.size} objects` : objects[0].name || objects[0].type} to floor`,
+      undo: () => restoreAll(before),
+      redo: () => restoreAll(after),
+    });
+    return after.size;
+  }
+
   // Sync physics on every transform change
   transformControls.addEventListener("objectChange", () => {
-    if (selectedObject) {
+    if (transformControls.object === selectionPivot) {
+      applyPivotDelta();
+      updateSelectionInfo();
+    } else if (selectedObject) {
       syncPhysicsBody(selectedObject);
       modifiedObjects.add(selectedObject); // Track this object was modified
       updateSelectionInfo();
@@ -181,7 +547,10 @@ export function createModeSystem({
   });
 
   // Object picker for editor mode
-  const objectPicker = picker(renderer, scene, camera);
+  // (no box selection while the pointer is over a gizmo handle)
+  const objectPicker = picker(renderer, scene, camera, {
+    canStartMarquee: () => !transformControls.axis,
+  });
 
   // Selection info UI
   const selectionInfo = document.createElement("div");
@@ -233,21 +602,31 @@ export function createModeSystem({
   `;
   document.body.appendChild(transformModeUI);
 
+  function describeSnap() {
+    const step = snapStep(currentTransformMode);
+    if (currentTransformMode === "rotate") return `${step}°`;
+    if (currentTransformMode === "scale") return `×${step}`;
+    return `${step} units`;
+  }
+
+  // Key names for on-screen hints, following rebinds
+  const key = (action) => inputMap.describe(action);
+
   function updateTransformModeUI() {
     if (currentMode === "editor" && selectedObject) {
       const modes = {
         translate: {
-          key: "G",
+          action: "transformTranslate",
           label: "Move",
           active: currentTransformMode === "translate",
         },
         rotate: {
-          key: "R",
+          action: "transformRotate",
           label: "Rotate",
           active: currentTransformMode === "rotate",
         },
         scale: {
-          key: "S",
+          action: "transformScale",
           label: "Scale",
           active: currentTransformMode === "scale",
         },
@@ -256,13 +635,17 @@ export function createModeSystem({
         <strong>Transform Mode:</strong><br>
         ${Object.entries(modes)
           .map(
-            ([mode, { key, label, active }]) =>
+            ([mode, { action, label, active }]) =>
               `<span style="color: ${active ? "#00ff00" : "#888"}; margin-right: 8px;">
-                [${key}] ${label}
+                [${key(action)}] ${label}
               </span>`,
           )
           .join("")}
-        <br><span style="color: #888; font-size: 10px;">[X/Y/Z] Axis lock | [Space] Toggle local/world</span>
+        <br><span style="color: #888; font-size: 10px;">[${key("axisX")} / ${key("axisY")} / ${key("axisZ")}] Axis lock | [${key("toggleSpace")}] Toggle local/world | [${key("undo")} / ${key("redo")}] Undo/Redo</span>
+        <br><span style="color: #888; font-size: 10px;">[Shift+Click] Add/remove | [Shift+Drag] Box select</span>
+        <br><span style="color: ${snapHeld ? "#00ff00" : "#888"};">Snap ${snapHeld ? "ON" : "[hold Ctrl]"}: ${describeSnap()}</span>
+        <span style="color: #888; font-size: 10px;">[${key("cycleSnap")}] Change step | [${key("dropToFloor")}] Drop to floor | [${key("focusSelection")}] Focus</span>
+        <br><span style="color: #888; font-size: 10px;">[${key("deleteSelection")}] Delete | [${key("duplicateSelection")}] Duplicate | [${key("copySelection")} / ${key("paste")}] Copy/Paste</span>
       `;
       transformModeUI.style.display = "block";
     } else {
@@ -280,23 +663,35 @@ export function createModeSystem({
   function updateModeIndicator() {
     modeIndicator.textContent =
       currentMode === "editor" ?
-        "EDITOR MODE (Press L for Play)"
-      : "PLAY MODE (Press L for Editor)";
+        `EDITOR MODE (Press ${key("toggleMode")} for Play | ${key("saveLayout")} save layout | ${key("exportScene")} download scene)`
+      : `PLAY MODE (Press ${key("toggleMode")} for Editor)`;
+  }
+
+  // Briefly replace the mode indicator text with a status message
+  let flashTimeout = null;
+  function flashMessage(text, duration = 2000) {
+    modeIndicator.textContent = text;
+    clearTimeout(flashTimeout);
+    flashTimeout = setTimeout(updateModeIndicator, duration);
   }
 
   function updateSelectionInfo() {
-    if (selectedObject && currentMode === "editor") {
-      const name = selectedObject.name || selectedObject.type || "Object";
-      const pos = selectedObject.position;
-      const rot = selectedObject.rotation;
-      const scl = selectedObject.scale;
+    if (selectedObjects.length > 1 && currentMode === "editor") {
+      const names = selectedObjects
+        .map((obj) => obj.name || obj.type || "Object")
+        .join(", ");
+      const pivot = selectionPivot.position;
       selectionInfo.innerHTML = `
-        <strong>Selected:</strong> ${name}<br>
-        <strong>Position:</strong> x: ${pos.x.toFixed(2)}, y: ${pos.y.toFixed(2)}, z: ${pos.z.toFixed(2)}<br>
-        <strong>Rotation:</strong> x: ${THREE.MathUtils.radToDeg(rot.x).toFixed(1)}°, y: ${THREE.MathUtils.radToDeg(rot.y).toFixed(1)}°, z: ${THREE.MathUtils.radToDeg(rot.z).toFixed(1)}°<br>
-        <strong>Scale:</strong> x: ${scl.x.toFixed(2)}, y: ${scl.y.toFixed(2)}, z: ${scl.z.toFixed(2)}
+        <strong>Selected:</strong> ${selectedObjects.length} objects<br>
+        <span style="color: #aaa;">${names}</span><br>
+        <strong>Pivot:</strong> x: ${pivot.x.toFixed(2)}, y: ${pivot.y.toFixed(2)}, z: ${pivot.z.toFixed(2)}
       `;
       selectionInfo.style.display = "block";
+    } else if (selectedObject && currentMode === "editor") {
+      // transform values live in the Properties panel (propertyInspector.js)
+      const name = selectedObject.name || selectedObject.type || "Object";
+      selectionInfo.innerHTML = `<strong>Selected:</strong> ${name}${isLocked(selectedObject) ? " (locked)" : ""}`;
+      selectionInfo.style.display = "block";
     } else {
       selectionInfo.style.display = "none";
     }
@@ -325,6 +720,7 @@ export function createModeSystem({
     updateModeIndicator();
     updateSelectionInfo();
     updateTransformModeUI();
+    modeChangeCallbacks.forEach((fn) => fn(currentMode));
   }
 
   function switchToPlayMode() {
@@ -353,6 +749,7 @@ export function createModeSystem({
     transformControls.showZ = true;
 
     selectedObject = null; // Reset local reference
+    selectedObjects = [];
     selectionInfo.style.display = "none"; // Hide selection info
     transformModeUI.style.display = "none"; // Hide transform mode UI
 
@@ -369,32 +766,40 @@ export function createModeSystem({
       player.controls.lock();
     }
     updateModeIndicator();
+    modeChangeCallbacks.forEach((fn) => fn(currentMode));
   }
 
   // Set up object selection callback
-  objectPicker.onSelect((obj) => {
-    // If there was a previously selected object, sync its physics before switching
-    if (selectedObject && selectedObject !== obj) {
-      syncPhysicsBody(selectedObject);
+  objectPicker.onSelect((obj, selection = obj ? [obj] : []) => {
+    // Sync physics of objects leaving the selection before switching
+    for (const previous of selectedObjects) {
+      if (!selection.includes(previous)) syncPhysicsBody(previous);
     }
 
     selectedObject = obj;
+    selectedObjects = selection;
 
     // Store original transform when first selected (before any edits)
-    if (obj && !obj.userData._originalScale) {
-      obj.userData._originalScale = obj.scale.clone();
-      // Also store original physics scale
-      if (obj.body?.ammo) {
-        const collisionShape = obj.body.ammo.getCollisionShape();
-        if (collisionShape) {
-          const currentScale = collisionShape.getLocalScaling();
-          obj.userData._originalPhysicsScale = {
-            x: currentScale.x(),
-            y: currentScale.y(),
-            z: currentScale.z(),
-          };
-        }
-      }
+    for (const member of selection) rememberOriginalScale(member);
+
+    // Locked objects can be inspected (e.g. picked from the outliner) but
+    // not moved, so no gizmo while one is part of the selection
+    if (selection.some(isLocked)) {
+      transformControls.detach();
+      updateSelectionInfo();
+      updateTransformModeUI();
+      console.log("[Editor] Selection includes locked objects");
+      return;
+    }
+
+    if (selection.length > 1) {
+      // Group edit: gizmo sits on the shared pivot at the selection centroid
+      recenterPivot();
+      transformControls.attach(selectionPivot);
+      updateSelectionInfo();
+      updateTransformModeUI();
+      console.log(`[Editor] Selected ${selection.length} objects`, selection);
+      return;
     }
 
     updateSelectionInfo();
@@ -425,10 +830,65 @@ export function createModeSystem({
   // Initialize in editor mode
   window.__disablePointerLock = true;
 
-  // Key listener for mode toggle and transform controls
+  // Lock the gizmo to one axis, or unlock it if already locked to that axis
+  function toggleAxisLock(axis) {
+    currentAxisLock = currentAxisLock === axis ? null : axis;
+    transformControls.showX = !currentAxisLock || currentAxisLock === "x";
+    transformControls.showY = !currentAxisLock || currentAxisLock === "y";
+    transformControls.showZ = !currentAxisLock || currentAxisLock === "z";
+  }
+
+  // Editor actions that work without a selection
+  const editorActions = {
+    saveLayout: () => onSaveLayout?.(),
+    exportScene: () => onExportScene?.(),
+    undo: () => history.undo(),
+    redo: () => history.redo(),
+    paste: () => onPaste?.(),
+  };
+
+  // Editor actions on the selection
+  const selectionActions = {
+    deleteSelection: () => onDeleteSelection?.([...selectedObjects]),
+    duplicateSelection: () => onDuplicateSelection?.([...selectedObjects]),
+    copySelection: () => onCopySelection?.([...selectedObjects]),
+    transformTranslate: () => setTransformMode("translate"),
+    transformRotate: () => setTransformMode("rotate"),
+    transformScale: () => setTransformMode("scale"),
+    axisX: () => toggleAxisLock("x"),
+    axisY: () => toggleAxisLock("y"),
+    axisZ: () => toggleAxisLock("z"),
+    clearAxisLock: () => toggleAxisLock(null),
+    toggleSpace: () => {
+      const newSpace = transformControls.space === "world" ? "local" : "world";
+      transformControls.setSpace(newSpace);
+      console.log(`[Editor] Transform space: ${newSpace}`);
+    },
+    cycleSnap: () => cycleSnapStep(),
+    focusSelection: () => focusObject(selectedObject),
+    dropToFloor: () => dropToFloor(),
+  };
+
+  // Actions whose key also has a browser default: Ctrl+S saves the page,
+  // Ctrl+D bookmarks it, Backspace navigates back, Space and End scroll
+  const PREVENT_DEFAULT = new Set([
+    "saveLayout",
+    "exportScene",
+    "undo",
+    "redo",
+    "paste",
+    "deleteSelection",
+    "duplicateSelection",
+    "toggleSpace",
+    "dropToFloor",
+  ]);
+
+  // Key listener for mode toggle and editor shortcuts (see inputMap.js)
   const keyHandler = (event) => {
-    // Mode toggle
-    if (event.code === "KeyL") {
+    const action = inputMap.match(event, currentMode);
+    if (!action) return;
+
+    if (action === "toggleMode") {
       if (currentMode === "editor") {
         switchToPlayMode();
       } else {
@@ -437,75 +897,19 @@ export function createModeSystem({
       return;
     }
 
-    // Transform mode keys (only in editor mode with object selected)
-    if (currentMode !== "editor" || !selectedObject) return;
-
-    switch (event.code) {
-      case "KeyG": // Move (Grab)
-        setTransformMode("translate");
-        break;
-      case "KeyR": // Rotate
-        setTransformMode("rotate");
-        break;
-      case "KeyS": // Scale
-        setTransformMode("scale");
-        break;
-      case "KeyX": // X axis constraint (toggle)
-        if (currentAxisLock === "x") {
-          // Already locked to X, unlock all
-          transformControls.showX = true;
-          transformControls.showY = true;
-          transformControls.showZ = true;
-          currentAxisLock = null;
-        } else {
-          transformControls.showX = true;
-          transformControls.showY = false;
-          transformControls.showZ = false;
-          currentAxisLock = "x";
-        }
-        break;
-      case "KeyY": // Y axis constraint (toggle)
-        if (currentAxisLock === "y") {
-          transformControls.showX = true;
-          transformControls.showY = true;
-          transformControls.showZ = true;
-          currentAxisLock = null;
-        } else {
-          transformControls.showX = false;
-          transformControls.showY = true;
-          transformControls.showZ = false;
-          currentAxisLock = "y";
-        }
-        break;
-      case "KeyZ": // Z axis constraint (toggle)
-        if (currentAxisLock === "z") {
-          transformControls.showX = true;
-          transformControls.showY = true;
-          transformControls.showZ = true;
-          currentAxisLock = null;
-        } else {
-          transformControls.showX = false;
-          transformControls.showY = false;
-          transformControls.showZ = true;
-          currentAxisLock = "z";
-        }
-        break;
-      case "Space": // Toggle local/world space
-        event.preventDefault();
-        const newSpace =
-          transformControls.space === "world" ? "local" : "world";
-        transformControls.setSpace(newSpace);
-        console.log(`[Editor] Transform space: ${newSpace}`);
-        break;
-      case "Escape": // Clear axis constraints / deselect
-        transformControls.showX = true;
-        transformControls.showY = true;
-        transformControls.showZ = true;
-        currentAxisLock = null;
-        break;
-    }
+    if (currentMode !== "editor") return;
+    const run =
+      editorActions[action] ?? (selectedObject && selectionActions[action]);
+    if (!run) return;
+    if (PREVENT_DEFAULT.has(action)) event.preventDefault();
+    run();
   };
   window.addEventListener("keydown", keyHandler);
+  // Refresh the on-screen key hints after a rebind
+  inputMap.onChange(() => {
+    updateModeIndicator();
+    updateTransformModeUI();
+  });
 
   // Update function to call in animation loop
   function update() {
@@ -519,8 +923,11 @@ export function createModeSystem({
     // State getters
     getMode: () => currentMode,
     getSelectedObject: () => selectedObject,
+    getSelectedObjects: () => [...selectedObjects],
+    getModifiedObjects: () => [...modifiedObjects],
     isEditorMode: () => currentMode === "editor",
     isPlayMode: () => currentMode === "play",
+    onModeChange: (fn) => modeChangeCallbacks.push(fn), // fn("editor"|"play")
 
     // Controls
     orbitControls,
@@ -533,7 +940,17 @@ export function createModeSystem({
 
     // Transform controls
     setTransformMode,
+    history,
     syncPhysicsBody,
+    applyTransform,
+    editTransform,
+    dropToFloor,
+    setLocked,
+    focusObject,
+    markModified: (object) => modifiedObjects.add(object), // include in saves
+
+    // UI feedback
+    flashMessage,
 
     // Update (call in animation loop)
     update,
@@ -541,6 +958,14 @@ export function createModeSystem({
     // Cleanup
     dispose: () => {
       window.removeEventListener("keydown", keyHandler);
+      window.removeEventListener("keydown", snapKeyHandler);
+      window.removeEventListener("keyup", snapKeyHandler);
+      window.removeEventListener("blur", snapBlurHandler);
+      renderer.domElement.removeEventListener(
+        "pointermove",
+        snapPointerHandler,
+      );
+      clearTimeout(flashTimeout);
       selectionInfo.remove();
       modeIndicator.remove();
       transformModeUI.remove();
@@ -548,6 +973,7 @@ export function createModeSystem({
       if (transformHelper) {
         scene.remove(transformHelper);
       }
+      scene.remove(selectionPivot);
       transformControls.dispose();
       orbitControls.dispose();
     },
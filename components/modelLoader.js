@@ -1,5 +1,6 @@
 import * as THREE from "three";
 import { ExtendedObject3D } from "@enable3d/ammo-physics";
+import { colliderConfig, freezeIfStatic } from "./colliders.js";
 
 // Optionally pass AmmoPhysics instance for physics bounding box
 // options object may include:
@@ -17,6 +18,12 @@ import { ExtendedObject3D } from "@enable3d/ammo-physics";
 //                      combined with the small fixed orientation that existed
 //                      previously (0, 1.2π, 0) so the default behaviour stays
 //                      unchanged unless you provide your own values.
+//   shape            – collider shape (default "hull")
+//   collisionGroup   – collision filter name, see COLLISION_PRESETS in
+//                      colliders.js (default "default")
+//   autoplay         – play the first animation clip right away (default
+//                      true); pass false when an animation controller
+//                      (animationController.js) takes over playback
 export async function loadModel(
   loader,
   url,
@@ -29,7 +36,7 @@ export async function loadModel(
   return new Promise((resolve, reject) => {
     const ANIMATION_PLAYBACK_RATE = 1.0;
 
-    loader.load(url, (gltf) => {
+    const onLoad = (gltf) => {
       const model = gltf.scene;
       let mixer = null;
       let activeAction = null;
@@ -136,37 +143,20 @@ export async function loadModel(
 
         scene.add(wrapper);
 
-        physics.add.existing(wrapper, {
-          shape: options.shape || "hull",
-          width: size.x || 1,
-          height: size.y || 1,
-          depth: size.z || 1,
-          mass,
-        });
-
-        // Set collision group/mask for loaded models
-        if (
-          wrapper.body &&
-          wrapper.body.setCollisionGroup &&
-          wrapper.body.setCollisionMask
-        ) {
-          const COLLISION_GROUP_PLAYER = 1 << 0;
-          const COLLISION_GROUP_WALL = 1 << 1;
-          const COLLISION_GROUP_GROUND = 1 << 2;
-          const COLLISION_GROUP_OBJECT = 1 << 3;
-          wrapper.body.setCollisionGroup(COLLISION_GROUP_OBJECT);
-          wrapper.body.setCollisionMask(
-            COLLISION_GROUP_PLAYER |
-              COLLISION_GROUP_GROUND |
-              COLLISION_GROUP_OBJECT,
-          );
-        }
-
-        // Freeze static bodies (mass=0) to improve physics performance
-        if (mass === 0 && wrapper.body?.ammo) {
-          // DISABLE_SIMULATION = 4, prevents physics from updating this body
-          wrapper.body.ammo.setActivationState(4);
-        }
+        // remembered so the editor can rebuild the body (see colliders.js)
+        wrapper.userData.colliderSize = size.clone();
+        physics.add.existing(
+          wrapper,
+          colliderConfig(
+            {
+              shape: options.shape || "hull",
+              mass,
+              collisionGroup: options.collisionGroup,
+            },
+            size,
+          ),
+        );
+        freezeIfStatic(wrapper, mass);
 
         collider = wrapper;
       } else {
@@ -184,6 +174,8 @@ export async function loadModel(
 
       if (gltf.animations && gltf.animations.length > 0) {
         mixer = new THREE.AnimationMixer(model);
+      }
+      if (mixer && options.autoplay !== false) {
         const clip = gltf.animations[0];
         activeAction = mixer.clipAction(clip);
         activeAction.reset();
@@ -192,6 +184,8 @@ export async function loadModel(
       }
 
       resolve({ model, mixer, activeAction, collider, clips: gltf.animations });
-    });
+    };
+
+    loader.load(url, onLoad, undefined, reject);
   });
 }
@@ -0,0 +1,358 @@
+// Model registry: the live list of loaded models shared by main.js (which
+// updates their mixers every frame) and the editor (which spawns, clones and
+// deletes them)
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { clone as cloneSkinned } from "three/examples/jsm/utils/SkeletonUtils.js";
+import { ExtendedObject3D } from "@enable3d/ammo-physics";
+import { loadModelFromConfig } from "./sceneLoader.js";
+import { colliderConfig, freezeIfStatic, rebuildBody } from "./colliders.js";
+import { createAnimationController } from "./animationController.js";
+import { serializeTransform } from "./sceneExport.js";
+
+const ANIMATION_PLAYBACK_RATE = 1.0; // 1 = source speed, <1 = slower
+
+// Apply a material override on top of the material's values as loaded, so
+// removing a field from the override restores the original
+function applyMaterialOverride(material, override = {}) {
+  material.userData.loadedValues ??= {
+    color: material.color?.getHex(),
+    emissive: material.emissive?.getHex(),
+    roughness: material.roughness,
+    metalness: material.metalness,
+  };
+  const values = { ...material.userData.loadedValues, ...override };
+  if (material.color && values.color !== undefined) {
+    material.color.setHex(values.color);
+  }
+  if (material.emissive && values.emissive !== undefined) {
+    material.emissive.setHex(values.emissive);
+  }
+  for (const key of ["roughness", "metalness"]) {
+    if (values[key] !== undefined && key in material) {
+      material[key] = values[key];
+    }
+  }
+}
+
+/**
+ * Apply a model config's render settings (visibility, shadows and material
+ * override, see sceneSchema.js) to a loaded model.  Safe to call again after
+ * the config changes.
+ *
+ * @param {THREE.Object3D} model
+ * @param {Object} config - model entry from the scene file
+ */
+export function applyModelAppearance(
+  model,
+  { visible = true, castShadow = false, receiveShadow = false, material } = {},
+) {
+  model.visible = visible;
+  model.traverse((child) => {
+    if (!child.isMesh) return;
+    child.visible = true;
+    child.castShadow = castShadow;
+    child.receiveShadow = receiveShadow;
+    for (const mat of meshMaterials(child)) {
+      if (!mat) continue;
+      mat.visible = true;
+      applyMaterialOverride(mat, material);
+    }
+  });
+}
+
+// Every material of a mesh, whether it has one or an array of them
+function meshMaterials(mesh) {
+  return Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+}
+
+// Geometries, materials and textures used by a model
+function collectResources(model, into = new Set()) {
+  model.traverse((child) => {
+    if (!child.isMesh) return;
+    into.add(child.geometry);
+    for (const material of meshMaterials(child)) {
+      if (!material) continue;
+      into.add(material);
+      for (const value of Object.values(material)) {
+        if (value?.isTexture) into.add(value);
+      }
+    }
+  });
+  return into;
+}
+
+/**
+ * Creates the registry of loaded models.
+ *
+ * Each record has the shape
+ *   { name, model, mixer, animation, collider, clips, config, origin }
+ * `name` is the model's id and `model` its loaded scene graph; `collider` is
+ * the physics wrapper around it (null for models without a body).  `mixer`
+ * and `clips` come from the file (null / empty when it has no animations)
+ * and `animation` is the controller playing them (null without clips; see
+ * animationController.js).  `config` is the model's scene-file entry and
+ * `origin` is "scene" (from the scene file / saved layout), "spawned"
+ * (added from the asset browser, saved with the layout) or "session" (a
+ * dropped local file that only lives until reload).
+ *
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene
+ * @param {Object} options.physics - AmmoPhysics instance
+ * @param {GLTFLoader} [options.loader]
+ * @returns {Object} registry API; `models` is the live array of records
+ */
+export function createModelRegistry({
+  scene,
+  physics,
+  loader = new GLTFLoader(),
+}) {
+  const models = [];
+  const removedIds = new Set(); // scene-file models deleted in the editor
+  const addCallbacks = [];
+  const removeCallbacks = [];
+
+  // The model's animation controller, or null without clips
+  function animationFor(mixer, clips, config) {
+    if (!mixer || !clips?.length) return null;
+    return createAnimationController(mixer, clips, {
+      idle: config.idleClip,
+      autoplay: config.autoplay,
+      timeScale: ANIMATION_PLAYBACK_RATE,
+    });
+  }
+
+  /**
+   * Register a loadModel result (as returned by loadModelFromConfig).
+   *
+   * @param {Object} result - { model, mixer, collider, clips, config }
+   * @param {Object} [options]
+   * @param {string} [options.origin="scene"]
+   * @returns {Object} the new record
+   */
+  function add(result, { origin = "scene" } = {}) {
+    const { model, mixer, collider, config, clips } = result;
+
+    if (model) applyModelAppearance(model, config);
+
+    // Name the collider after its id: shown in the editor, and unique so
+    // physics.destroy() (which matches bodies by name) removes only this one
+    if (collider) {
+      collider.name = config.id;
+      collider.userData.sceneId = config.id; // Links edits back to the scene file
+    }
+
+    const record = {
+      name: config.id,
+      model,
+      mixer,
+      animation: animationFor(mixer, clips, config),
+      collider,
+      clips,
+      config,
+      origin,
+    };
+    models.push(record);
+    if (origin === "scene") removedIds.delete(config.id);
+    addCallbacks.forEach((fn) => fn(record));
+    return record;
+  }
+
+  /**
+   * Remove a model from the world: its physics body and animation go, and
+   * unless `keepResources` is set so do the geometries/materials/textures no
+   * other registered model shares (duplicates share geometry with their
+   * source).  A record removed with `keepResources` can be put back with
+   * restore() (editor undo) and must be release()d once it can't be.
+   *
+   * @param {Object} record
+   * @param {Object} [options]
+   * @param {boolean} [options.keepResources=false]
+   * @returns {boolean} false if the record wasn't registered
+   */
+  function remove(record, { keepResources = false } = {}) {
+    const index = models.indexOf(record);
+    if (index === -1) return false;
+    models.splice(index, 1);
+
+    const { model, mixer, collider } = record;
+    record.animation?.dispose();
+    if (mixer) {
+      mixer.stopAllAction();
+      mixer.uncacheRoot(model);
+    }
+    if (collider?.body) physics.destroy(collider);
+    (collider ?? model)?.removeFromParent();
+    if (!keepResources) release(record);
+
+    if (record.origin === "scene") removedIds.add(record.config.id);
+    removeCallbacks.forEach((fn) => fn(record));
+    return true;
+  }
+
+  /**
+   * Free what a removed model alone uses.  Does nothing while the record is
+   * registered.
+   *
+   * @param {Object} record
+   */
+  function release({ model }) {
+    if (!model || models.some((other) => other.model === model)) return;
+    const stillUsed = new Set();
+    for (const other of models) {
+      if (other.model) collectResources(other.model, stillUsed);
+    }
+    for (const resource of collectResources(model)) {
+      if (!stillUsed.has(resource)) resource.dispose();
+    }
+  }
+
+  /**
+   * Put a record removed with `keepResources` back where it was, as the
+   * same objects, so editor history that refers to them still works.  If
+   * its id was taken meanwhile it gets a new one.
+   *
+   * @param {Object} record
+   * @returns {Object} the record
+   */
+  function restore(record) {
+    if (models.includes(record)) return record;
+    const { model, mixer, collider, clips } = record;
+    const object = collider ?? model;
+    let { config } = record;
+    if (findById(config.id)) {
+      config = { ...config, id: uniqueId(idBase(config.id)) };
+    }
+    // onAdd listeners re-apply config.transform: keep it where it was
+    record.config = { ...config, transform: serializeTransform(object) };
+    record.name = config.id;
+    if (collider) collider.name = collider.userData.sceneId = config.id;
+
+    scene.add(object);
+    if (collider) rebuildBody(physics, collider, config);
+    record.animation = animationFor(mixer, clips, config);
+
+    models.push(record);
+    if (record.origin === "scene") removedIds.delete(config.id);
+    addCallbacks.forEach((fn) => fn(record));
+    return record;
+  }
+
+  /**
+   * Clone a loaded model with its own physics body, materials and (for
+   * animated models) its own AnimationMixer playing the same clip.
+   * Geometry and textures are shared with the source.
+   *
+   * @param {Object} record - model to copy
+   * @param {Object} [options]
+   * @param {THREE.Vector3} [options.offset] - placement relative to the source
+   * @returns {Object} the new record; "session" models stay session-only,
+   *   anything else becomes "spawned" so it is saved with the layout
+   */
+  function duplicate(record, { offset = new THREE.Vector3() } = {}) {
+    const source = record.collider ?? record.model;
+    const model = cloneSkinned(record.model);
+    // own materials, so inspector tweaks don't leak back to the source
+    model.traverse((child) => {
+      if (!child.isMesh) return;
+      child.material =
+        Array.isArray(child.material) ?
+          child.material.map((m) => m.clone())
+        : child.material.clone();
+    });
+
+    const { transform, ...sourceConfig } = record.config; // placed below instead
+    const config = { ...sourceConfig, id: uniqueId(idBase(record.config.id)) };
+
+    let collider = null;
+    if (record.collider) {
+      collider = new ExtendedObject3D();
+      collider.position.copy(source.position).add(offset);
+      collider.quaternion.copy(source.quaternion);
+      collider.scale.copy(source.scale);
+      collider.userData.colliderSize =
+        record.collider.userData.colliderSize.clone();
+      collider.add(model);
+      scene.add(collider);
+      collider.updateMatrixWorld(true);
+      physics.add.existing(
+        collider,
+        colliderConfig(config, collider.userData.colliderSize),
+      );
+      freezeIfStatic(collider, config.mass);
+    } else {
+      model.position.add(offset);
+      scene.add(model);
+    }
+
+    // add() gives the copy its own controller, starting on the idle clip
+    const mixer = record.mixer ? new THREE.AnimationMixer(model) : null;
+
+    return add(
+      { model, mixer, collider, clips: record.clips, config },
+      { origin: record.origin === "session" ? "session" : "spawned" },
+    );
+  }
+
+  /**
+   * Load a model from a scene-file style config and register it.
+   *
+   * @param {Object} config - model entry (see sceneSchema.js)
+   * @param {Object} [options]
+   * @param {string} [options.url] - override URL (e.g. object URL of a dropped file)
+   * @param {string} [options.origin="spawned"]
+   * @returns {Promise<Object>} the new record
+   */
+  async function load(config, { url, origin = "spawned" } = {}) {
+    const result = await loadModelFromConfig(
+      loader,
+      config,
+      scene,
+      physics,
+      url,
+    );
+    return add(result, { origin });
+  }
+
+  // "chair_3" -> "chair", so copies of copies count up from the original
+  function idBase(id) {
+    return id.replace(/_\d+$/, "");
+  }
+
+  // Make an id that no registered (or deleted scene) model uses yet,
+  // e.g. "chair" -> "chair_2"
+  function uniqueId(base) {
+    const taken = new Set([...models.map((m) => m.config.id), ...removedIds]);
+    if (!taken.has(base)) return base;
+    let n = 2;
+    while (taken.has(`${base}_${n}`)) n++;
+    return `${base}_${n}`;
+  }
+
+  function findById(id) {
+    return models.find((m) => m.config.id === id) ?? null;
+  }
+
+  // Find the record owning an object (its collider wrapper or model root)
+  function findByObject(object) {
+    return (
+      models.find((m) => m.collider === object || m.model === object) ?? null
+    );
+  }
+
+  return {
+    models,
+    add,
+    load,
+    remove,
+    restore,
+    release,
+    duplicate,
+    uniqueId,
+    findById,
+    findByObject,
+    getRemovedIds: () => [...removedIds],
+    onAdd: (fn) => addCallbacks.push(fn),
+    onRemove: (fn) => removeCallbacks.push(fn),
+  };
+}
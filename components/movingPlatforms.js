@@ -0,0 +1,428 @@
+// Moving platforms: kinematic bodies that travel a waypoint path or play a
+// keyframed animation clip (`platforms` in the scene file): lifts, ferries,
+// turntables.  A platform is either a box built here or a loaded model.  The
+// player rides them because the character controller adds velocityAt() of
+// the ground it stands on to its own velocity.  Box platforms can be picked
+// and moved in the editor like models; toConfigs() writes their placement
+// back for saving.
+import * as THREE from "three";
+import { COLLISION_PRESETS, placeBody, readdBody } from "./colliders.js";
+import { serializeTransform } from "./sceneExport.js";
+
+const CF_STATIC_OBJECT = 1;
+const CF_KINEMATIC_OBJECT = 2;
+const DISABLE_DEACTIVATION = 4;
+
+// scene-file `mode` -> three.js loop mode for clips
+const CLIP_LOOPS = {
+  loop: THREE.LoopRepeat,
+  pingpong: THREE.LoopPingPong,
+  once: THREE.LoopOnce,
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Keyframes from the scene file as an AnimationClip of the offset object:
+// positions are offsets from the start, yaws turns about +Y (radians)
+function clipFromKeyframes(name, { times, positions, yaws }) {
+  const tracks = [
+    new THREE.VectorKeyframeTrack(".position", times, positions.flat()),
+  ];
+  if (yaws) {
+    const quaternion = new THREE.Quaternion();
+    tracks.push(
+      new THREE.QuaternionKeyframeTrack(
+        ".quaternion",
+        times,
+        yaws.flatMap((yaw) => quaternion.setFromAxisAngle(UP, yaw).toArray()),
+      ),
+    );
+  }
+  return new THREE.AnimationClip(name, -1, tracks);
+}
+
+/**
+ * Creates the moving platforms.
+ *
+ * Each platform moves an `offset` (position and turn, in world axes) away
+ * from where it stood when play mode began, so model platforms can be
+ * placed in the editor.  Waypoints are offsets too: the path runs from the
+ * start ([0, 0, 0]) through each of them.  `mode` decides what happens at
+ * the last one: "loop" heads back to the start, "pingpong" turns around,
+ * and "once" stops there (the next start() goes back: an elevator).
+ *
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene
+ * @param {Object} options.physics - AmmoPhysics instance
+ * @param {Object} [options.modelRegistry] - for platforms that move a model
+ * @param {Array<Object>} [options.platforms] - validated platform configs;
+ *   `clip` may also be a THREE.AnimationClip animating ".position" /
+ *   ".quaternion" offsets
+ * @returns {Object} platform API: add(config), remove(id), start(id),
+ *   stop(id), toggle(id), isRunning(id), captureStart(), restore(),
+ *   update(delta), velocityAt(object, point, target), toConfigs(),
+ *   platforms, dispose()
+ */
+export function createMovingPlatforms({
+  scene,
+  physics,
+  modelRegistry = null,
+  platforms: configs = [],
+}) {
+  const platforms = [];
+
+  // ---- bodies ----
+
+  function createBox({ id, size, position, rotation, color }) {
+    const mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(...size),
+      new THREE.MeshStandardMaterial({ color }),
+    );
+    mesh.name = `platform:${id}`;
+    mesh.position.set(...position);
+    mesh.rotation.set(...rotation);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    scene.add(mesh);
+    physics.add.existing(mesh, {
+      mass: 0,
+      shape: "box",
+      width: size[0],
+      height: size[1],
+      depth: size[2],
+      collisionFlags: CF_KINEMATIC_OBJECT,
+    });
+    mesh.body.ammo.setActivationState(DISABLE_DEACTIVATION);
+    return mesh;
+  }
+
+  // A model's collider, made kinematic for play mode (again, if the editor
+  // rebuilt it); its own flags are kept for restore()
+  function modelBody(platform) {
+    const record = modelRegistry?.findById(platform.config.model);
+    const object = record?.collider;
+    if (!object?.body) {
+      console.warn(
+        `[Scene] Platform "${platform.config.id}": no model "${platform.config.model}" with a collider`,
+      );
+      return null;
+    }
+    if (record.config.mass > 0) {
+      console.warn(
+        `[Scene] Platform "${platform.config.id}": model "${platform.config.model}" must have mass 0`,
+      );
+      return null;
+    }
+    const flags = object.body.ammo.getCollisionFlags();
+    if (!(flags & CF_KINEMATIC_OBJECT)) {
+      platform.savedFlags = flags;
+      readdBody(physics, object, {
+        ...COLLISION_PRESETS[record.config.collisionGroup],
+        flags: (flags & ~CF_STATIC_OBJECT) | CF_KINEMATIC_OBJECT,
+      });
+      object.body.ammo.setActivationState(DISABLE_DEACTIVATION);
+    }
+    return object;
+  }
+
+  // Give a model platform back the body it was loaded with
+  function restoreModelBody(platform) {
+    if (platform.savedFlags === null || !platform.object?.body) return;
+    const record = modelRegistry?.findById(platform.config.model);
+    readdBody(physics, platform.object, {
+      ...COLLISION_PRESETS[record?.config.collisionGroup],
+      flags: platform.savedFlags,
+    });
+    platform.object.body.ammo.setActivationState(DISABLE_DEACTIVATION);
+    platform.savedFlags = null;
+  }
+
+  // ---- motion ----
+
+  // The waypoint to head for from `index`
+  function nextIndex({ config, path }) {
+    const count = path.points.length;
+    if (config.mode === "loop") return (path.index + 1) % count;
+    return path.index + path.direction;
+  }
+
+  function arrive(platform) {
+    const { config, path } = platform;
+    path.index = nextIndex(platform);
+    path.travelled = 0;
+    path.waitLeft = config.wait;
+    const atEnd = path.index === 0 || path.index === path.points.length - 1;
+    if (config.mode !== "loop" && atEnd) {
+      path.direction = path.index === 0 ? 1 : -1;
+      if (config.mode === "once") platform.running = false;
+    }
+  }
+
+  function followPath(platform, delta) {
+    const { config, path, offset } = platform;
+    if (path.points.length < 2) return;
+    if (platform.running) {
+      let distance = config.speed * delta;
+      if (path.waitLeft > 0) {
+        const waited = Math.min(path.waitLeft, delta);
+        path.waitLeft -= waited;
+        distance = config.speed * (delta - waited);
+      }
+      // several short segments can be passed in one frame
+      for (let i = 0; distance > 0 && i <= path.points.length; i++) {
+        const from = path.points[path.index];
+        const to = path.points[nextIndex(platform)];
+        const left = from.distanceTo(to) - path.travelled;
+        if (distance < left) {
+          path.travelled += distance;
+          break;
+        }
+        distance -= left;
+        arrive(platform);
+        if (path.waitLeft > 0 || !platform.running) break;
+      }
+    }
+    const from = path.points[path.index];
+    const to = path.points[nextIndex(platform)];
+    const length = from.distanceTo(to);
+    offset.position.lerpVectors(
+      from,
+      to,
+      length > 0 ? path.travelled / length : 0,
+    );
+  }
+
+  const _turn = new THREE.Quaternion();
+
+  // Where the platform is this frame, and how fast it got there
+  function place(platform, delta) {
+    const { object, base, offset, velocity, spin, lastPosition } = platform;
+    object.position.copy(base.position).add(offset.position);
+    object.quaternion.copy(offset.quaternion).multiply(base.quaternion);
+    object.body.needUpdate = true; // kinematic: physics follows the mesh
+
+    if (delta > 0) {
+      velocity.subVectors(object.position, lastPosition).divideScalar(delta);
+      // turn since last frame as an angular velocity (axis * rad/s)
+      _turn
+        .copy(platform.lastQuaternion)
+        .invert()
+        .premultiply(object.quaternion);
+      if (_turn.w < 0) _turn.set(-_turn.x, -_turn.y, -_turn.z, -_turn.w);
+      const angle = 2 * Math.acos(Math.min(_turn.w, 1));
+      const sin = Math.sqrt(1 - Math.min(_turn.w * _turn.w, 1));
+      if (sin > 1e-6) {
+        spin.set(_turn.x, _turn.y, _turn.z).multiplyScalar(angle / sin / delta);
+      } else spin.set(0, 0, 0);
+    }
+    lastPosition.copy(object.position);
+    platform.lastQuaternion.copy(object.quaternion);
+  }
+
+  // ---- API ----
+
+  const findPlatform = (id) => {
+    const platform = platforms.find((p) => p.config.id === id);
+    if (!platform) console.warn(`[Scene] No platform "${id}"`);
+    return platform;
+  };
+
+  /**
+   * Add a platform.  Model platforms find their model at captureStart().
+   *
+   * @param {Object} config - validated platform config (sceneSchema.js)
+   * @returns {Object} the platform
+   */
+  function add(config) {
+    const offset = new THREE.Object3D();
+    const platform = {
+      config,
+      object: config.model ? null : createBox(config),
+      base: {
+        position: new THREE.Vector3(),
+        quaternion: new THREE.Quaternion(),
+      },
+      offset,
+      path: {
+        points: [[0, 0, 0], ...config.waypoints].map(
+          (p) => new THREE.Vector3(...p),
+        ),
+        index: 0,
+        direction: 1,
+        travelled: 0,
+        waitLeft: 0,
+      },
+      savedFlags: null, // a model's collision flags before it was made kinematic
+      action: null,
+      finished: false, // a "once" clip reached its end
+      running: false,
+      velocity: new THREE.Vector3(),
+      spin: new THREE.Vector3(),
+      lastPosition: new THREE.Vector3(),
+      lastQuaternion: new THREE.Quaternion(),
+    };
+    if (config.clip) {
+      const clip =
+        config.clip instanceof THREE.AnimationClip ?
+          config.clip
+        : clipFromKeyframes(`platform:${config.id}`, config.clip);
+      platform.mixer = new THREE.AnimationMixer(offset);
+      platform.action = platform.mixer.clipAction(clip);
+      platform.action.setLoop(CLIP_LOOPS[config.mode], Infinity);
+      platform.action.clampWhenFinished = true;
+      platform.mixer.addEventListener("finished", () => {
+        platform.finished = true;
+        platform.running = false;
+      });
+    }
+    platforms.push(platform);
+    return platform;
+  }
+
+  function remove(id) {
+    const index = platforms.findIndex((p) => p.config.id === id);
+    if (index === -1) return;
+    const [platform] = platforms.splice(index, 1);
+    platform.mixer?.stopAllAction();
+    if (platform.config.model) restoreModelBody(platform);
+    if (platform.config.model || !platform.object) return;
+    physics.destroy(platform.object);
+    platform.object.removeFromParent();
+    platform.object.geometry.dispose();
+    platform.object.material.dispose();
+  }
+
+  function start(id) {
+    const platform = findPlatform(id);
+    if (!platform || platform.running) return;
+    const { action } = platform;
+    if (action) {
+      // a finished "once" clip plays back the other way
+      if (platform.finished) action.timeScale = -action.timeScale;
+      platform.finished = false;
+      action.paused = false;
+      action.play();
+    }
+    platform.running = true;
+  }
+
+  function stop(id) {
+    const platform = findPlatform(id);
+    if (!platform) return;
+    platform.running = false;
+    if (platform.action) platform.action.paused = true;
+  }
+
+  // Play mode begins: platforms start from where they stand now
+  function captureStart() {
+    for (const platform of platforms) {
+      const { config, path, offset, action } = platform;
+      if (config.model) platform.object = modelBody(platform);
+      if (!platform.object) continue;
+      // moving it with the editor's gizmo resets its activation state
+      platform.object.body.ammo.setActivationState(DISABLE_DEACTIVATION);
+      platform.base.position.copy(platform.object.position);
+      platform.base.quaternion.copy(platform.object.quaternion);
+      offset.position.set(0, 0, 0);
+      offset.quaternion.identity();
+      Object.assign(path, { index: 0, direction: 1, travelled: 0 });
+      path.waitLeft = 0;
+      platform.running = false;
+      platform.finished = false;
+      if (action) {
+        action.reset();
+        action.timeScale = 1;
+        action.paused = true;
+        action.play();
+      }
+      place(platform, 0);
+      platform.velocity.set(0, 0, 0);
+      platform.spin.set(0, 0, 0);
+      if (config.autoStart) start(config.id);
+    }
+  }
+
+  // Back to the editor: platforms return to their start, and models to the
+  // static bodies they were loaded as
+  function restore() {
+    for (const platform of platforms) {
+      if (!platform.object) continue;
+      const { position, quaternion } = platform.base;
+      placeBody(platform.object, position.toArray(), quaternion.toArray());
+      restoreModelBody(platform);
+      platform.running = false;
+      platform.velocity.set(0, 0, 0);
+      platform.spin.set(0, 0, 0);
+    }
+  }
+
+  // Call every play-mode frame, before the player moves
+  function update(delta) {
+    for (const platform of platforms) {
+      if (!platform.object) continue;
+      if (platform.mixer) platform.mixer.update(delta);
+      else followPath(platform, delta);
+      place(platform, delta);
+    }
+  }
+
+  /**
+   * Scene-file configs of every platform.  Box platforms are read back at
+   * their editor placement, with any gizmo scale folded into `size`; call
+   * in the editor, not while they are moving.
+   *
+   * @returns {Array<Object>}
+   */
+  function toConfigs() {
+    return platforms.map(({ config, object }) => {
+      if (config.model || !object) return config;
+      const { position, rotation, scale } = serializeTransform(object);
+      return {
+        ...config,
+        position,
+        rotation,
+        size: config.size.map(
+          (size, i) => Math.round(size * scale[i] * 10000) / 10000,
+        ),
+      };
+    });
+  }
+
+  const _arm = new THREE.Vector3();
+
+  /**
+   * Velocity of `object` at world `point`, if it is a moving platform.
+   *
+   * @param {THREE.Object3D} object - e.g. the ground under the player
+   * @param {THREE.Vector3} point
+   * @param {THREE.Vector3} target - receives the velocity (m/s)
+   * @returns {boolean} false if `object` isn't a platform
+   */
+  function velocityAt(object, point, target) {
+    const platform = object && platforms.find((p) => p.object === object);
+    if (!platform) return false;
+    _arm.subVectors(point, platform.object.position);
+    target.crossVectors(platform.spin, _arm).add(platform.velocity);
+    return true;
+  }
+
+  for (const config of configs) add(config);
+
+  return {
+    platforms,
+    add,
+    remove,
+    start,
+    stop,
+    toggle: (id) => (findPlatform(id)?.running ? stop(id) : start(id)),
+    isRunning: (id) => Boolean(findPlatform(id)?.running),
+    captureStart,
+    restore,
+    update,
+    velocityAt,
+    toConfigs,
+    dispose: () => {
+      for (const platform of [...platforms]) remove(platform.config.id);
+    },
+  };
+}
@@ -0,0 +1,177 @@
+// Noclip: a play-testing mode where the player flies through everything.
+// The capsule becomes a kinematic body without contact response, so it
+// neither collides nor pushes things (trigger zones still notice it), and
+// is moved straight along the view with WASD plus up / down keys.  Turning
+// noclip off makes the capsule dynamic again where it is.
+import * as THREE from "three";
+import { placeBody, readdBody } from "./colliders.js";
+import { createInputMap } from "./inputMap.js";
+
+const CF_KINEMATIC_OBJECT = 2;
+const CF_NO_CONTACT_RESPONSE = 4;
+const ACTIVE_TAG = 1;
+const DISABLE_DEACTIVATION = 4;
+const SPEED_STEP = 1.25; // factor per faster / slower key press
+const MIN_SPEED = 0.5; // m/s
+const MAX_SPEED = 50;
+
+/**
+ * Creates the noclip mode for the player capsule (off until toggled).
+ * While it is on, call update() instead of the character controller.
+ *
+ * @param {Object} options
+ * @param {Object} options.physics - AmmoPhysics instance
+ * @param {THREE.Mesh} options.collider - the player capsule
+ * @param {THREE.Camera} options.camera - flying follows its view direction
+ * @param {Object} options.movement - the player's movement flags (forward,
+ *   backward, left, right, sprint, axisX, axisY)
+ * @param {Object} [options.inputMap] - createInputMap() instance
+ *   ("toggleNoclip", "flyUp", "flyDown", "flyFaster", "flySlower")
+ * @param {Function} [options.isActive] - () => true while the player is in
+ *   control; the keys are ignored otherwise
+ * @param {Object} [options.config] - validated `player.noclip` settings:
+ *   enabled, speed, sprintMultiplier
+ * @returns {Object} noclip API: update(delta), isOn(), setOn(bool),
+ *   toggle(), getSpeed(), setSpeed(mps), dispose()
+ */
+export function createNoclip({
+  physics,
+  collider,
+  camera,
+  movement,
+  inputMap = createInputMap(),
+  isActive = () => true,
+  config = {},
+}) {
+  const {
+    enabled = true,
+    speed: initialSpeed = 5,
+    sprintMultiplier = 3,
+  } = config;
+  let on = false;
+  let speed = THREE.MathUtils.clamp(initialSpeed, MIN_SPEED, MAX_SPEED);
+  let savedFlags = 0;
+  const vertical = { flyUp: false, flyDown: false };
+
+  const label = document.createElement("div");
+  label.style.cssText = `
+    position: fixed;
+    top: 16px;
+    left: 50%;
+    transform: translateX(-50%);
+    padding: 4px 10px;
+    background: rgba(0, 0, 0, 0.5);
+    color: #ddd;
+    font-family: sans-serif;
+    font-size: 12px;
+    border-radius: 4px;
+    pointer-events: none;
+    z-index: 1000;
+    display: none;
+  `;
+  document.body.appendChild(label);
+
+  function showLabel() {
+    label.style.display = on ? "" : "none";
+    label.textContent = `Noclip · ${speed.toFixed(1)} m/s (${inputMap.describe("flySlower")} / ${inputMap.describe("flyFaster")})`;
+  }
+
+  /**
+   * @param {boolean} value
+   */
+  function setOn(value) {
+    if (value === on || !collider.body) return;
+    if (value && !enabled) return;
+    on = value;
+    const body = collider.body.ammo;
+    const { x, y, z } = collider.position;
+    if (on) {
+      savedFlags = body.getCollisionFlags();
+      readdBody(physics, collider, {
+        flags: savedFlags | CF_KINEMATIC_OBJECT | CF_NO_CONTACT_RESPONSE,
+      });
+      body.setActivationState(DISABLE_DEACTIVATION);
+    } else {
+      readdBody(physics, collider, { flags: savedFlags });
+      body.forceActivationState(ACTIVE_TAG);
+      placeBody(collider, [x, y, z]); // at rest where the flight ended
+      vertical.flyUp = vertical.flyDown = false;
+    }
+    showLabel();
+    console.log(`[Player] Noclip ${on ? "on" : "off"}`);
+  }
+
+  function setSpeed(value) {
+    speed = THREE.MathUtils.clamp(value, MIN_SPEED, MAX_SPEED);
+    showLabel();
+  }
+
+  const toggle = () => setOn(!on);
+
+  const onKeyDown = (event) => {
+    if (!isActive()) return;
+    const action = inputMap.match(event, "play");
+    if (action === "toggleNoclip" && !event.repeat) toggle();
+    if (!on) return;
+    if (action === "flyUp" || action === "flyDown") vertical[action] = true;
+    if (action === "flyFaster") setSpeed(speed * SPEED_STEP);
+    if (action === "flySlower") setSpeed(speed / SPEED_STEP);
+  };
+  const onKeyUp = (event) => {
+    for (const action of inputMap.actionsForCode(event.code, "play")) {
+      if (action in vertical) vertical[action] = false;
+    }
+  };
+  window.addEventListener("keydown", onKeyDown);
+  window.addEventListener("keyup", onKeyUp);
+  inputMap.onChange(showLabel);
+
+  const _forward = new THREE.Vector3();
+  const _right = new THREE.Vector3();
+  const _move = new THREE.Vector3();
+
+  /**
+   * Fly the capsule; call every play-mode frame while noclip is on.
+   *
+   * @param {number} delta - seconds
+   */
+  function update(delta) {
+    if (!on) return;
+    camera.getWorldDirection(_forward); // pitch included: look up to rise
+    _right.crossVectors(_forward, camera.up).normalize();
+
+    _move.set(0, 0, 0);
+    if (movement.forward) _move.add(_forward);
+    if (movement.backward) _move.sub(_forward);
+    if (movement.left) _move.sub(_right);
+    if (movement.right) _move.add(_right);
+    if (_move.lengthSq() === 0) {
+      _move
+        .addScaledVector(_forward, movement.axisY)
+        .addScaledVector(_right, movement.axisX);
+    }
+    if (vertical.flyUp) _move.y += 1;
+    if (vertical.flyDown) _move.y -= 1;
+    _move.clampLength(0, 1);
+
+    const fast = movement.sprint || movement.sprintBlend > 0.5;
+    _move.multiplyScalar(speed * (fast ? sprintMultiplier : 1) * delta);
+    collider.position.add(_move);
+    collider.body.needUpdate = true; // kinematic: physics follows the mesh
+  }
+
+  return {
+    update,
+    isOn: () => on,
+    setOn,
+    toggle,
+    getSpeed: () => speed,
+    setSpeed,
+    dispose: () => {
+      setOn(false);
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("keyup", onKeyUp);
+      label.remove();
+    },
+  };
+}
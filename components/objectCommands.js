@@ -0,0 +1,220 @@
+// Object commands: delete, duplicate and copy/paste of models in the editor.
+// Each command is recorded in the editor history.  Deleted models keep their
+// objects until the history forgets the command, so undo puts back the very
+// same objects and earlier history steps (moves, inspector edits) still
+// apply to them.
+import * as THREE from "three";
+import { serializeTransform } from "./sceneExport.js";
+
+const DUPLICATE_GAP = 0.2; // space between an object and its duplicate
+
+// Enough to recreate a model from its file: its config plus current placement
+function snapshot(record) {
+  return {
+    config: {
+      ...record.config,
+      transform: serializeTransform(record.collider ?? record.model),
+    },
+    origin: record.origin,
+  };
+}
+
+// World-space bounds of a set of records
+function boundsOf(records) {
+  const box = new THREE.Box3();
+  for (const record of records) {
+    box.union(new THREE.Box3().setFromObject(record.collider ?? record.model));
+  }
+  return box;
+}
+
+/**
+ * Creates the editor's delete / duplicate / copy / paste commands.  Only
+ * models from the model registry take part; other selected objects are
+ * ignored.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {Object} options.modeSystem - createModeSystem() instance
+ * @param {Object} options.modelRegistry - createModelRegistry() instance
+ * @returns {Object} commands: deleteObjects(objects), duplicateObjects(objects),
+ *   copyObjects(objects), paste(), dispose()
+ */
+export function createObjectCommands({ renderer, modeSystem, modelRegistry }) {
+  const { history, objectPicker, flashMessage } = modeSystem;
+  const canvas = renderer.domElement;
+
+  let clipboard = []; // [{record, snapshot}] from the last Ctrl+C
+  let clipboardWidth = 0; // x extent of the copied objects
+  let pasteCount = 0; // pastes since the last copy, to fan out blind pastes
+  let lastPointerEvent = null; // paste lands under the cursor when possible
+
+  const onPointerMove = (event) => (lastPointerEvent = event);
+  canvas.addEventListener("pointermove", onPointerMove);
+
+  const recordsFor = (objects) =>
+    objects.map((obj) => modelRegistry.findByObject(obj)).filter(Boolean);
+
+  const describe = (records) =>
+    records.length > 1 ? `${records.length} objects` : records[0].config.id;
+
+  function select(records) {
+    objectPicker.setSelection(
+      records.map((record) => record.collider ?? record.model),
+    );
+  }
+
+  // Take models out of the world, keeping them for undo / redo
+  function detach(records) {
+    const objects = new Set(records.map((r) => r.collider ?? r.model));
+    objectPicker.setSelection(
+      objectPicker.getSelection().filter((obj) => !objects.has(obj)),
+    );
+    for (const record of records) {
+      modelRegistry.remove(record, { keepResources: true });
+    }
+  }
+
+  // Put detached models back as they were
+  function reattach(records) {
+    select(records.map((record) => modelRegistry.restore(record)));
+  }
+
+  // Record taking `records` out (delete) or putting them in (duplicate /
+  // paste) as one undoable step.  Once the history forgets it, the models
+  // are freed if this step is what left them detached: no other step can
+  // bring them back then.
+  function pushStep(records, label, { removes }) {
+    let done = true;
+    const remove = () => detach(records);
+    const add = () => reattach(records);
+    history.push({
+      label,
+      undo: () => {
+        (removes ? add : remove)();
+        done = false;
+      },
+      redo: () => {
+        (removes ? remove : add)();
+        done = true;
+      },
+      discard: () => {
+        if (done !== removes) return;
+        for (const record of records) modelRegistry.release(record);
+      },
+    });
+  }
+
+  function deleteObjects(objects) {
+    // locked objects are protected (see modeSystem setLocked)
+    const records = recordsFor(objects.filter((obj) => !obj.userData.locked));
+    if (records.length === 0) return;
+
+    const ids = records.map((record) => record.config.id);
+    detach(records);
+    pushStep(records, `delete ${describe(records)}`, { removes: true });
+    flashMessage(`Deleted ${describe(records)}`);
+    console.log(`[Editor] Deleted ${ids.join(", ")}`);
+  }
+
+  function duplicateObjects(objects) {
+    const records = recordsFor(objects);
+    if (records.length === 0) return;
+
+    // place the copies right beside the whole selection
+    const width = boundsOf(records).getSize(new THREE.Vector3()).x;
+    const offset = new THREE.Vector3(width + DUPLICATE_GAP, 0, 0);
+    const copies = records.map((record) =>
+      modelRegistry.duplicate(record, { offset }),
+    );
+
+    select(copies);
+    pushStep(copies, `duplicate ${describe(records)}`, { removes: false });
+    flashMessage(`Duplicated ${describe(records)}`);
+  }
+
+  function copyObjects(objects) {
+    const records = recordsFor(objects);
+    if (records.length === 0) return;
+    clipboard = records.map((record) => ({
+      record,
+      snapshot: snapshot(record),
+    }));
+    clipboardWidth = boundsOf(records).getSize(new THREE.Vector3()).x;
+    pasteCount = 0;
+    flashMessage(`Copied ${describe(records)}`);
+  }
+
+  async function paste() {
+    if (clipboard.length === 0) {
+      flashMessage("Nothing to paste");
+      return;
+    }
+    pasteCount++;
+
+    // Move the copied group so its centre lands on the surface under the
+    // cursor; without one, fan pastes out sideways like duplicates
+    const centre = new THREE.Vector3();
+    for (const { snapshot } of clipboard) {
+      centre.add(new THREE.Vector3(...snapshot.config.transform.position));
+    }
+    centre.divideScalar(clipboard.length);
+    const hit = lastPointerEvent && objectPicker.pickPoint(lastPointerEvent);
+    const offset =
+      hit ?
+        new THREE.Vector3(hit.point.x - centre.x, 0, hit.point.z - centre.z)
+      : new THREE.Vector3((clipboardWidth + DUPLICATE_GAP) * pasteCount, 0, 0);
+
+    const pending = clipboard.map(({ record, snapshot }) => {
+      const target = new THREE.Vector3(
+        ...snapshot.config.transform.position,
+      ).add(offset);
+
+      // Source still loaded: clone it in memory (keeps session files working)
+      if (modelRegistry.models.includes(record)) {
+        const source = record.collider ?? record.model;
+        return modelRegistry.duplicate(record, {
+          offset: target.sub(source.position),
+        });
+      }
+      // Source deleted since copying: load a fresh one from its file
+      if (snapshot.origin === "session") return null;
+      return modelRegistry
+        .load(
+          {
+            ...snapshot.config,
+            id: modelRegistry.uniqueId(snapshot.config.id.replace(/_\d+$/, "")),
+            transform: {
+              ...snapshot.config.transform,
+              position: target.toArray(),
+            },
+          },
+          { origin: "spawned" },
+        )
+        .catch((err) => {
+          console.error("[Editor] Could not paste model:", err);
+          return null;
+        });
+    });
+
+    const pasted = (await Promise.all(pending)).filter(Boolean);
+    if (pasted.length === 0) {
+      flashMessage("Could not paste (source file no longer available)");
+      return;
+    }
+    select(pasted);
+    pushStep(pasted, `paste ${describe(pasted)}`, { removes: false });
+    flashMessage(`Pasted ${describe(pasted)}`);
+  }
+
+  return {
+    deleteObjects,
+    duplicateObjects,
+    copyObjects,
+    paste,
+    dispose: () => {
+      canvas.removeEventListener("pointermove", onPointerMove);
+      clipboard = [];
+    },
+  };
+}
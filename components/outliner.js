@@ -0,0 +1,238 @@
+// Outliner: editor panel listing the scene's objects by category, so things
+// the viewport can't pick (hidden, tiny, occluded, walls, floor tiles, the
+// player capsule) can still be selected, hidden, locked and framed.
+
+const ROW_STYLE = `
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  padding: 2px 4px;
+  border-radius: 3px;
+  cursor: pointer;
+  white-space: nowrap;
+`;
+
+const ICON_BUTTON_STYLE = `
+  background: none;
+  border: none;
+  color: white;
+  cursor: pointer;
+  padding: 0 2px;
+  font-size: 12px;
+  width: 20px;
+`;
+
+function createIconButton(text, title, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = text;
+  button.title = title;
+  button.style.cssText = ICON_BUTTON_STYLE;
+  button.addEventListener("click", (event) => {
+    event.stopPropagation(); // don't also select the row
+    onClick(event);
+  });
+  return button;
+}
+
+/**
+ * Creates the "Outliner" panel.
+ *
+ * Groups are supplied by the caller and re-read on every refresh():
+ *   [{ label: "Models", objects: [Object3D, ...], nameOf?, collapsed? }]
+ * where nameOf(object, index) overrides the row label (default: object.name).
+ *
+ * Click a row to select (Shift+click adds/removes), double-click or ⌖ to
+ * frame it.  The eye toggle hides an object in the editor only; it is shown
+ * again in play mode and isn't saved (use the inspector's "Visible" for
+ * that).  The lock toggle stops viewport picking and gizmo edits.
+ *
+ * @param {Object} options
+ * @param {Object} options.editorUI - result of createEditorUI()
+ * @param {Object} options.modeSystem - createModeSystem() instance
+ * @param {Function} options.getGroups - returns the groups to list
+ * @returns {Object} outliner API: refresh(), dispose()
+ */
+export function createOutliner({ editorUI, modeSystem, getGroups }) {
+  const panel = editorUI.addPanel("Outliner");
+  const { objectPicker } = modeSystem;
+
+  const hiddenObjects = new Set(); // hidden with the eye toggle (editor only)
+  const collapsedGroups = new Set();
+  const rows = new Map(); // object -> row element
+  let filter = "";
+
+  const search = document.createElement("input");
+  search.type = "search";
+  search.placeholder = "Search…";
+  search.style.cssText = `
+    width: 100%;
+    box-sizing: border-box;
+    margin-bottom: 6px;
+    background: rgba(255, 255, 255, 0.1);
+    color: white;
+    border: 1px solid #555;
+    border-radius: 3px;
+    padding: 2px 4px;
+  `;
+  search.addEventListener("input", () => {
+    filter = search.value.trim().toLowerCase();
+    refresh();
+  });
+  panel.appendChild(search);
+
+  const tree = document.createElement("div");
+  tree.style.cssText = "max-height: 320px; overflow-y: auto;";
+  panel.appendChild(tree);
+
+  const defaultName = (object) => object.name || object.type;
+
+  function setHidden(object, hidden) {
+    if (hidden) hiddenObjects.add(object);
+    else hiddenObjects.delete(object);
+    object.visible = !hidden;
+  }
+
+  // Editor-only hiding: show everything while playing
+  modeSystem.onModeChange((mode) => {
+    for (const object of hiddenObjects) object.visible = mode !== "editor";
+  });
+
+  function selectFromRow(object, event) {
+    const selection = objectPicker.getSelection();
+    if (event.shiftKey) {
+      objectPicker.setSelection(
+        selection.includes(object) ?
+          selection.filter((o) => o !== object)
+        : [...selection, object],
+      );
+    } else {
+      objectPicker.setSelection([object]);
+    }
+  }
+
+  function createRow(object, name) {
+    const row = document.createElement("div");
+    row.style.cssText = ROW_STYLE;
+
+    const visibility = createIconButton(
+      hiddenObjects.has(object) ? "◌" : "👁",
+      "Show/hide in the editor",
+      () => {
+        setHidden(object, !hiddenObjects.has(object));
+        refresh();
+      },
+    );
+    const lock = createIconButton(
+      object.userData.locked ? "🔒" : "🔓",
+      "Lock/unlock",
+      () => {
+        modeSystem.setLocked(object, !object.userData.locked);
+        refresh();
+      },
+    );
+
+    const label = document.createElement("span");
+    label.textContent = name;
+    label.style.cssText = `
+      flex: 1;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      color: ${hiddenObjects.has(object) ? "#777" : "white"};
+    `;
+
+    const focus = createIconButton("⌖", "Focus camera", () =>
+      modeSystem.focusObject(object),
+    );
+
+    row.append(visibility, lock, label, focus);
+    row.addEventListener("click", (event) => selectFromRow(object, event));
+    row.addEventListener("dblclick", () => modeSystem.focusObject(object));
+    return row;
+  }
+
+  function createGroupHeader(label, count, collapsed) {
+    const header = document.createElement("div");
+    header.textContent = `${collapsed ? "▸" : "▾"} ${label} (${count})`;
+    header.style.cssText = `
+      margin-top: 4px;
+      color: #8cf;
+      font-weight: bold;
+      cursor: pointer;
+      user-select: none;
+    `;
+    header.addEventListener("click", () => {
+      if (collapsedGroups.has(label)) collapsedGroups.delete(label);
+      else collapsedGroups.add(label);
+      refresh();
+    });
+    return header;
+  }
+
+  function highlightSelection(selection = objectPicker.getSelection()) {
+    for (const [object, row] of rows) {
+      row.style.background =
+        selection.includes(object) ? "rgba(255, 255, 0, 0.2)" : "transparent";
+    }
+  }
+
+  function refresh() {
+    tree.innerHTML = "";
+    rows.clear();
+
+    const listed = new Set();
+    for (const {
+      label,
+      objects,
+      nameOf = defaultName,
+      collapsed = false,
+    } of getGroups()) {
+      // groups start in their declared state; header clicks toggle it
+      if (collapsed && !collapsedGroups.has(`init:${label}`)) {
+        collapsedGroups.add(`init:${label}`);
+        collapsedGroups.add(label);
+      }
+      const present = objects
+        .filter(Boolean)
+        .map((object, index) => ({ object, name: nameOf(object, index) }));
+      const matches = present.filter(({ name }) =>
+        name.toLowerCase().includes(filter),
+      );
+      present.forEach(({ object }) => listed.add(object));
+      if (filter && matches.length === 0) continue;
+
+      // searching shows every match regardless of collapsed groups
+      const isCollapsed = !filter && collapsedGroups.has(label);
+      tree.appendChild(createGroupHeader(label, present.length, isCollapsed));
+      if (isCollapsed) continue;
+      for (const { object, name } of matches) {
+        const row = createRow(object, name);
+        row.style.marginLeft = "8px";
+        rows.set(object, row);
+        tree.appendChild(row);
+      }
+    }
+
+    // forget objects that are gone (deleted models)
+    for (const object of hiddenObjects) {
+      if (!listed.has(object)) hiddenObjects.delete(object);
+    }
+    highlightSelection();
+  }
+
+  objectPicker.onSelect((obj, selection = obj ? [obj] : []) =>
+    highlightSelection(selection),
+  );
+
+  refresh();
+
+  return {
+    refresh,
+    dispose: () => {
+      for (const object of hiddenObjects) object.visible = true;
+      hiddenObjects.clear();
+      rows.clear();
+      panel.innerHTML = "";
+    },
+  };
+}
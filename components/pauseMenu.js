@@ -0,0 +1,325 @@
+// Pause menu: in play mode, releasing the mouse (Esc) or pressing the pause
+// key opens an overlay that stops the game and holds the player's settings
+// (mouse sensitivity, field of view, invert-Y, volume, graphics quality).
+// Settings are kept in localStorage; the camera and mouse ones are applied
+// whenever play starts or resumes.
+import {
+  createButton,
+  createCheckbox,
+  createFieldRow,
+  createSelect,
+} from "./editorUI.js";
+
+export const DEFAULT_PLAY_SETTINGS = {
+  mouseSensitivity: 1, // PointerLockControls.pointerSpeed
+  fov: 75, // degrees, vertical
+  invertY: false,
+  volume: 1, // 0..1, scene action sounds
+  quality: "high",
+};
+
+// Pixel ratio cap and shadows per graphics quality setting
+export const GRAPHICS_QUALITY = {
+  low: { pixelRatio: 0.75, shadows: false },
+  medium: { pixelRatio: 1, shadows: true },
+  high: { pixelRatio: 2, shadows: true },
+};
+
+// Ignore the pause key this soon after pausing: Esc both releases pointer
+// lock (which pauses) and, in some browsers, arrives as a keydown after it
+const PAUSE_KEY_GUARD = 250; // ms
+
+/**
+ * Slider with its current value shown beside it.
+ *
+ * @param {Object} options
+ * @param {number} options.value
+ * @param {number} options.min
+ * @param {number} options.max
+ * @param {number} options.step
+ * @param {Function} options.format - fn(number) => text shown beside it
+ * @param {Function} options.onInput - fn(number) while dragging
+ * @returns {HTMLElement}
+ */
+function createSlider({ value, min, max, step, format, onInput }) {
+  const wrapper = document.createElement("span");
+  wrapper.style.cssText = "display: flex; align-items: center; gap: 6px;";
+  const input = document.createElement("input");
+  input.type = "range";
+  input.min = String(min);
+  input.max = String(max);
+  input.step = String(step);
+  input.value = String(value);
+  input.style.width = "120px";
+  const text = document.createElement("span");
+  text.style.cssText = "width: 36px; text-align: right; color: #ccc;";
+  text.textContent = format(value);
+  input.addEventListener("input", () => {
+    const parsed = parseFloat(input.value);
+    text.textContent = format(parsed);
+    onInput(parsed);
+  });
+  wrapper.append(input, text);
+  return wrapper;
+}
+
+/**
+ * Creates the pause menu (hidden until play is paused).
+ *
+ * While paused, animate() should skip physics, the player and animation
+ * mixers (see isPaused()).  Leaving play mode closes the menu.
+ *
+ * @param {Object} options
+ * @param {THREE.PerspectiveCamera} options.camera
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {THREE.Scene} options.scene - materials are refreshed when shadows
+ *   are turned on or off
+ * @param {Object} options.controls - the PointerLockControls
+ * @param {Object} options.modeSystem - createModeSystem() instance
+ * @param {Object} [options.actions] - createSceneActions() instance (volume)
+ * @param {Object} options.inputMap - createInputMap() instance ("pause")
+ * @param {Function} [options.canLockPointer] - () => false when resuming
+ *   shouldn't capture the mouse (touch controls)
+ * @param {string} [options.storageKey="playSettings"] - localStorage key
+ * @returns {Object} pause menu API: isPaused(), pause(), resume(),
+ *   getSettings(), dispose()
+ */
+export function createPauseMenu({
+  camera,
+  renderer,
+  scene,
+  controls,
+  modeSystem,
+  actions = null,
+  inputMap,
+  canLockPointer = () => true,
+  storageKey = "playSettings",
+}) {
+  const settings = { ...DEFAULT_PLAY_SETTINGS, ...load() };
+  if (!(settings.quality in GRAPHICS_QUALITY)) {
+    settings.quality = DEFAULT_PLAY_SETTINGS.quality;
+  }
+  const editorFov = camera.fov;
+  let paused = false;
+  let pausedAt = 0;
+
+  function load() {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey)) ?? {};
+    } catch (err) {
+      console.warn("[Player] Could not read saved settings:", err);
+      return {};
+    }
+  }
+
+  function save() {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(settings));
+    } catch (err) {
+      console.warn("[Player] Could not save settings:", err);
+    }
+  }
+
+  // ---- applying settings ----
+
+  function applyQuality() {
+    const { pixelRatio, shadows } = GRAPHICS_QUALITY[settings.quality];
+    renderer.setPixelRatio(Math.min(pixelRatio, window.devicePixelRatio));
+    if (renderer.shadowMap.enabled !== shadows) {
+      renderer.shadowMap.enabled = shadows;
+      // shaders are compiled with or without shadow support
+      scene.traverse((object) => {
+        const materials = [object.material ?? []].flat();
+        materials.forEach((material) => (material.needsUpdate = true));
+      });
+    }
+  }
+
+  // Settings that only matter in play mode (the editor camera keeps its fov)
+  function applyPlaySettings() {
+    controls.pointerSpeed = settings.mouseSensitivity;
+    controls.invertY = settings.invertY;
+    camera.fov = settings.fov;
+    camera.updateProjectionMatrix();
+  }
+
+  function applyAll() {
+    actions?.setVolume(settings.volume);
+    applyQuality();
+  }
+
+  // ---- DOM ----
+
+  const overlay = document.createElement("div");
+  overlay.style.cssText = `
+    position: fixed;
+    inset: 0;
+    background: rgba(0, 0, 0, 0.55);
+    display: none;
+    align-items: center;
+    justify-content: center;
+    z-index: 1200;
+  `;
+  const menu = document.createElement("div");
+  menu.style.cssText = `
+    width: min(320px, 90vw);
+    padding: 16px 20px;
+    background: rgba(0, 0, 0, 0.85);
+    color: white;
+    font-family: sans-serif;
+    font-size: 13px;
+    border-radius: 6px;
+  `;
+  const title = document.createElement("div");
+  title.textContent = "Paused";
+  title.style.cssText =
+    "font-size: 18px; font-weight: bold; margin-bottom: 12px;";
+  menu.appendChild(title);
+
+  // Update one setting, save, and apply it straight away so the effect shows
+  const set = (key, apply) => (value) => {
+    settings[key] = value;
+    save();
+    apply();
+  };
+
+  menu.appendChild(
+    createFieldRow(
+      "Mouse sensitivity",
+      createSlider({
+        value: settings.mouseSensitivity,
+        min: 0.1,
+        max: 3,
+        step: 0.05,
+        format: (v) => v.toFixed(2),
+        onInput: set("mouseSensitivity", applyPlaySettings),
+      }),
+    ),
+  );
+  menu.appendChild(
+    createFieldRow(
+      "Field of view",
+      createSlider({
+        value: settings.fov,
+        min: 50,
+        max: 110,
+        step: 1,
+        format: (v) => `${v}°`,
+        onInput: set("fov", applyPlaySettings),
+      }),
+    ),
+  );
+  menu.appendChild(
+    createFieldRow(
+      "Invert Y",
+      createCheckbox({
+        checked: settings.invertY,
+        onChange: set("invertY", applyPlaySettings),
+      }),
+    ),
+  );
+  menu.appendChild(
+    createFieldRow(
+      "Volume",
+      createSlider({
+        value: settings.volume,
+        min: 0,
+        max: 1,
+        step: 0.05,
+        format: (v) => `${Math.round(v * 100)}%`,
+        onInput: set("volume", () => actions?.setVolume(settings.volume)),
+      }),
+    ),
+  );
+  menu.appendChild(
+    createFieldRow(
+      "Graphics",
+      createSelect({
+        options: Object.keys(GRAPHICS_QUALITY),
+        value: settings.quality,
+        onChange: set("quality", applyQuality),
+      }),
+    ),
+  );
+
+  const buttons = document.createElement("div");
+  buttons.style.cssText =
+    "display: flex; justify-content: space-between; margin-top: 14px;";
+  buttons.append(
+    createButton("Resume", () => resume()),
+    createButton("Return to editor", () => modeSystem.switchToEditorMode()),
+  );
+  menu.appendChild(buttons);
+
+  overlay.appendChild(menu);
+  document.body.appendChild(overlay);
+
+  // ---- pause / resume ----
+
+  function pause() {
+    if (paused || !modeSystem.isPlayMode()) return;
+    paused = true;
+    pausedAt = performance.now();
+    overlay.style.display = "flex";
+    // the pause menu replaces the "click for first-person" hint
+    const hint = document.getElementById("pointer-lock-hint");
+    if (hint) hint.style.display = "none";
+    if (controls.isLocked) controls.unlock();
+    console.log("[Player] Paused");
+  }
+
+  function close() {
+    paused = false;
+    overlay.style.display = "none";
+  }
+
+  function resume() {
+    if (!paused) return;
+    close();
+    applyPlaySettings();
+    console.log("[Player] Resumed");
+    if (!canLockPointer()) return;
+    // shown until the lock takes (the browser may refuse it right after Esc)
+    const hint = document.getElementById("pointer-lock-hint");
+    if (hint) hint.style.display = "";
+    controls.lock();
+  }
+
+  // Esc releases pointer lock without a key event reaching the page
+  const onUnlock = () => {
+    if (modeSystem.isPlayMode()) pause();
+  };
+  controls.addEventListener("unlock", onUnlock);
+
+  const onKeyDown = (event) => {
+    if (event.repeat || !modeSystem.isPlayMode()) return;
+    if (inputMap.match(event, "play") !== "pause") return;
+    if (!paused) pause();
+    else if (performance.now() - pausedAt > PAUSE_KEY_GUARD) resume();
+  };
+  window.addEventListener("keydown", onKeyDown);
+
+  modeSystem.onModeChange((mode) => {
+    if (mode === "play") {
+      applyPlaySettings();
+    } else {
+      close();
+      camera.fov = editorFov;
+      camera.updateProjectionMatrix();
+    }
+  });
+
+  applyAll();
+
+  return {
+    isPaused: () => paused,
+    pause,
+    resume,
+    getSettings: () => ({ ...settings }),
+    dispose: () => {
+      controls.removeEventListener("unlock", onUnlock);
+      window.removeEventListener("keydown", onKeyDown);
+      overlay.remove();
+    },
+  };
+}
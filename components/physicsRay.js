@@ -0,0 +1,63 @@
+// Physics ray: closest hit along a segment in the Ammo world, for queries
+// that must see exactly what the player collides with (ground checks, the
+// third-person camera's spring arm).  Shared by characterController.js and
+// thirdPersonCamera.js.
+import * as THREE from "three";
+
+const NO_CONTACT_RESPONSE = 4; // Ammo collision flag of trigger ghosts
+
+/**
+ * Creates a reusable physics ray.
+ *
+ * Trigger ghosts never stop the ray, nor do the `ignore`d objects.
+ *
+ * @param {Object} options
+ * @param {Object} options.physics - AmmoPhysics instance
+ * @param {Function} [options.ignore] - () => objects the ray passes through
+ *   (the player's capsule...)
+ * @returns {Object} ray API: cast(from, to) => { point, normal, distance,
+ *   object } for the closest hit, or null; dispose()
+ */
+export function createPhysicsRay({ physics, ignore = () => [] }) {
+  const raycaster = physics.add.raycaster("allHits");
+  const _hit = new THREE.Vector3();
+
+  /**
+   * @param {THREE.Vector3} from
+   * @param {THREE.Vector3} to
+   * @returns {{point: THREE.Vector3, normal: THREE.Vector3, distance: number,
+   *   object: THREE.Object3D|undefined}|null}
+   */
+  function cast(from, to) {
+    raycaster.setRayFromWorld(from.x, from.y, from.z);
+    raycaster.setRayToWorld(to.x, to.y, to.z);
+    raycaster.rayTest();
+    if (!raycaster.hasHit()) return null;
+    const objects = raycaster.getCollisionObjects();
+    const points = raycaster.getHitPointsWorld();
+    const normals = raycaster.getHitNormalsWorld();
+    const ignored = ignore();
+    let closest = null;
+    let closestDistance = Infinity;
+    objects.forEach((object, i) => {
+      if (ignored.includes(object)) return;
+      const flags = object?.body?.ammo.getCollisionFlags() ?? 0;
+      if (flags & NO_CONTACT_RESPONSE) return;
+      const { x, y, z } = points[i];
+      const distance = from.distanceTo(_hit.set(x, y, z));
+      if (distance < closestDistance) {
+        closest = i;
+        closestDistance = distance;
+      }
+    });
+    if (closest === null) return null;
+    return {
+      point: new THREE.Vector3().copy(points[closest]),
+      normal: new THREE.Vector3().copy(normals[closest]).normalize(),
+      distance: closestDistance,
+      object: objects[closest],
+    };
+  }
+
+  return { cast, dispose: () => raycaster.destroy() };
+}
@@ -1,5 +1,7 @@
 import * as THREE from "three";
 
+const HIGHLIGHT_COLOR = 0xffff00; // box around selected objects
+
 /**
  * Sets up basic raycasting behaviour on a renderer/canvas so the caller can
  * track which objects are hovered or clicked.  This mirrors the tutorial
@@ -17,7 +19,28 @@ import * as THREE from "three";
  *       over an object (null when it leaves everything).
  *   - onClick(fn): register a callback(fn(object, intersection)) invoked when
  *       the canvas is clicked/tapped and an object was hit.
+ *   - onSelect(fn): register a callback(fn(primary|null, selection[])) invoked
+ *       whenever the selection set changes.  `primary` is the most recently
+ *       selected object.
+ *   - getSelection() / setSelection(objects) / clearSelection(): inspect or
+ *       replace the selection set programmatically.  setSelection accepts
+ *       objects the viewport can't pick (e.g. chosen from the outliner).
+ *   - pickPoint(event): world-space hit under the pointer on any visible
+ *       surface (floor included), for placing objects.
  *   - dispose(): remove all event listeners when the picker is no longer needed.
+ *
+ * Selection: click selects a single object, Shift-click adds/removes objects
+ * from the selection, and Shift-drag on empty space draws a selection box
+ * that adds every object whose centre falls inside it.  Selected objects
+ * are outlined with a yellow box.
+ *
+ * options:
+ *   pickInterval     - ms between hover raycasts (default 50)
+ *   selectableFilter - fn(object) => boolean deciding what can be picked
+ *                      (default: skips userData.selectable === false,
+ *                      userData.locked and hidden objects)
+ *   canStartMarquee  - fn() => boolean; return false to suppress the
+ *                      selection box (e.g. while hovering a gizmo)
  */
 export function picker(renderer, scene, camera, options = {}) {
   const canvas = renderer.domElement;
@@ -33,14 +56,19 @@ export function picker(renderer, scene, camera, options = {}) {
   const PICK_INTERVAL = options.pickInterval ?? 50;
 
   // filter function to determine if an object is selectable
-  // by default, exclude objects marked with userData.selectable = false
+  // by default, exclude objects marked with userData.selectable = false,
+  // locked objects (userData.locked) and hidden ones
   const selectableFilter =
     options.selectableFilter ||
     ((obj) => {
-      // Check if object or any parent is marked as not selectable
+      // Check if object or any parent is not selectable, locked or hidden
       let current = obj;
       while (current) {
-        if (current.userData && current.userData.selectable === false) {
+        if (
+          current.userData?.selectable === false ||
+          current.userData?.locked ||
+          !current.visible
+        ) {
           return false;
         }
         current = current.parent;
@@ -61,11 +89,12 @@ export function picker(renderer, scene, camera, options = {}) {
   // object currently under the pointer (hovered)
   let hoveredObject = null;
 
-  // object that has been selected via click; only one at a time
-  let selectedObject = null;
-  // the specific mesh used for highlighting (may be a child of selectedObject)
-  let selectedHighlightMesh = null;
-  let selectedObjectSavedColor = 0;
+  // objects that have been selected via click / box selection
+  const selectedObjects = new Set();
+  // most recently selected object; what single-object tools operate on
+  let primaryObject = null;
+  // selected object -> the box drawn around it
+  const highlights = new Map();
 
   const hoverCallbacks = [];
   const clickCallbacks = [];
@@ -85,6 +114,49 @@ export function picker(renderer, scene, camera, options = {}) {
     pickPosition.y = (pos.y / canvas.height) * -2 + 1; // flip Y
   }
 
+  // true unless the object or one of its parents is hidden
+  function isShown(obj) {
+    for (let current = obj; current; current = current.parent) {
+      if (!current.visible) return false;
+    }
+    return true;
+  }
+
+  // true for meshes the user can actually see (skips hidden/fully
+  // transparent meshes such as the player capsule, and editor gizmos)
+  function isVisibleSurface(obj) {
+    if (!obj.isMesh) return false;
+    const materials =
+      Array.isArray(obj.material) ? obj.material : [obj.material];
+    const seen = materials.some(
+      (m) => m && m.visible !== false && !(m.transparent && m.opacity === 0),
+    );
+    if (!seen || !isShown(obj)) return false;
+    for (let current = obj; current; current = current.parent) {
+      if (current.userData?.editorHelper) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Raycast from a pointer/drag event against every visible surface,
+   * including non-selectable ones like the floor and walls.  Used to place
+   * objects in the world.
+   *
+   * @param {MouseEvent} event - anything with clientX/clientY
+   * @returns {Object|null} the first THREE intersection, or null
+   */
+  function pickPoint(event) {
+    const pos = getCanvasRelativePosition(event);
+    const ndc = {
+      x: (pos.x / canvas.width) * 2 - 1,
+      y: (pos.y / canvas.height) * -2 + 1,
+    };
+    raycaster.setFromCamera(ndc, camera);
+    const intersects = raycaster.intersectObjects(scene.children, true);
+    return intersects.find((hit) => isVisibleSurface(hit.object)) ?? null;
+  }
+
   function clearPickPosition() {
     pickPosition.x = -100000;
     pickPosition.y = -100000;
@@ -95,25 +167,30 @@ export function picker(renderer, scene, camera, options = {}) {
     hoverCallbacks.forEach((fn) => fn(object));
   }
 
-  function notifySelection(object) {
-    selectCallbacks.forEach((fn) => fn(object));
+  function notifySelection() {
+    const selection = [...selectedObjects];
+    selectCallbacks.forEach((fn) => fn(primaryObject, selection));
   }
 
-  // raycast at the given normalized position and report hover
-  function pick(normalizedPosition) {
-    if (!enabled) return null;
+  // raycast at a normalized position; returns the first selectable root
+  // object and the intersection that hit it
+  function raycastSelectable(normalizedPosition) {
     raycaster.setFromCamera(normalizedPosition, camera);
     const intersects = raycaster.intersectObjects(scene.children, true);
-
-    // Find first selectable object
-    let obj = null;
     for (const intersect of intersects) {
+      if (!isShown(intersect.object)) continue; // raycasts ignore .visible
       const root = rootFromObject(intersect.object);
       if (selectableFilter(root)) {
-        obj = root;
-        break;
+        return { object: root, intersect };
       }
     }
+    return { object: null, intersect: null };
+  }
+
+  // raycast at the given normalized position and report hover
+  function pick(normalizedPosition) {
+    if (!enabled) return null;
+    const { object: obj } = raycastSelectable(normalizedPosition);
 
     if (obj !== hoveredObject) {
       hoveredObject = obj;
@@ -156,30 +233,101 @@ export function picker(renderer, scene, camera, options = {}) {
     if (pointerMoved) return;
 
     setPickPosition(event);
-    raycaster.setFromCamera(pickPosition, camera);
-    const intersects = raycaster.intersectObjects(scene.children, true);
-
-    // Find first selectable object
-    let obj = null;
-    let hitIntersect = null;
-    for (const intersect of intersects) {
-      const root = rootFromObject(intersect.object);
-      if (selectableFilter(root)) {
-        obj = root;
-        hitIntersect = intersect;
-        break;
-      }
-    }
+    const { object: obj, intersect: hitIntersect } =
+      raycastSelectable(pickPosition);
 
     if (obj) {
       clickCallbacks.forEach((fn) => fn(obj, hitIntersect));
-      toggleSelection(obj);
-    } else {
+      if (event.shiftKey) {
+        toggleInSelection(obj);
+      } else {
+        toggleSelection(obj);
+      }
+    } else if (!event.shiftKey) {
       // click on empty space or non-selectable should clear selection
       toggleSelection(null);
     }
   }
 
+  // ---- box (marquee) selection ----
+  const marqueeElement = document.createElement("div");
+  marqueeElement.style.cssText = `
+    position: fixed;
+    border: 1px dashed #ffff00;
+    background: rgba(255, 255, 0, 0.08);
+    pointer-events: none;
+    z-index: 1000;
+    display: none;
+  `;
+  document.body.appendChild(marqueeElement);
+
+  let marqueeStart = null;
+
+  function marqueeRect(event) {
+    return {
+      left: Math.min(marqueeStart.x, event.clientX),
+      top: Math.min(marqueeStart.y, event.clientY),
+      right: Math.max(marqueeStart.x, event.clientX),
+      bottom: Math.max(marqueeStart.y, event.clientY),
+    };
+  }
+
+  // Runs in the capture phase so it can keep OrbitControls (which pans on
+  // Shift+drag) from seeing the pointer when a selection box starts.
+  function onMarqueePointerDown(e) {
+    if (!enabled || e.button !== 0 || !e.shiftKey) return;
+    if (options.canStartMarquee && !options.canStartMarquee()) return;
+    setPickPosition(e);
+    if (raycastSelectable(pickPosition).object) return; // Shift-click toggles
+    e.stopImmediatePropagation();
+    marqueeStart = { x: e.clientX, y: e.clientY };
+  }
+
+  function onMarqueePointerMove(e) {
+    if (!marqueeStart) return;
+    const rect = marqueeRect(e);
+    marqueeElement.style.left = `${rect.left}px`;
+    marqueeElement.style.top = `${rect.top}px`;
+    marqueeElement.style.width = `${rect.right - rect.left}px`;
+    marqueeElement.style.height = `${rect.bottom - rect.top}px`;
+    marqueeElement.style.display = "block";
+  }
+
+  const _boxCenter = new THREE.Vector3();
+  const _bounds = new THREE.Box3();
+
+  function onMarqueePointerUp(e) {
+    if (!marqueeStart) return;
+    const rect = marqueeRect(e);
+    marqueeStart = null;
+    marqueeElement.style.display = "none";
+    // too small to be a box; the click handler deals with it
+    if (rect.right - rect.left < 5 && rect.bottom - rect.top < 5) return;
+
+    const canvasRect = canvas.getBoundingClientRect();
+    const inside = [];
+    for (const child of scene.children) {
+      if (!child.visible || !selectableFilter(child)) continue;
+      _bounds.setFromObject(child);
+      if (_bounds.isEmpty()) continue; // lights, cameras, empty groups
+      _bounds.getCenter(_boxCenter).project(camera);
+      if (_boxCenter.z > 1) continue; // behind the camera
+      const x = canvasRect.left + ((_boxCenter.x + 1) / 2) * canvasRect.width;
+      const y = canvasRect.top + ((1 - _boxCenter.y) / 2) * canvasRect.height;
+      if (
+        x >= rect.left &&
+        x <= rect.right &&
+        y >= rect.top &&
+        y <= rect.bottom
+      ) {
+        inside.push(child);
+      }
+    }
+    if (inside.length > 0) {
+      setSelection([...selectedObjects, ...inside]);
+    }
+  }
+
   function onMouseMove(e) {
     if (!enabled) return;
     setPickPosition(e);
@@ -211,6 +359,11 @@ export function picker(renderer, scene, camera, options = {}) {
   canvas.addEventListener("mouseout", onMouseOut);
   canvas.addEventListener("mouseleave", onMouseOut);
   canvas.addEventListener("click", onClickEvent);
+  canvas.addEventListener("pointerdown", onMarqueePointerDown, {
+    capture: true,
+  });
+  window.addEventListener("pointermove", onMarqueePointerMove);
+  window.addEventListener("pointerup", onMarqueePointerUp);
 
   canvas.addEventListener("touchstart", onTouchStart, { passive: false });
   canvas.addEventListener("touchmove", onTouchMove);
@@ -235,67 +388,86 @@ export function picker(renderer, scene, camera, options = {}) {
     canvas.removeEventListener("mouseout", onMouseOut);
     canvas.removeEventListener("mouseleave", onMouseOut);
     canvas.removeEventListener("click", onClickEvent);
+    canvas.removeEventListener("pointerdown", onMarqueePointerDown, {
+      capture: true,
+    });
+    window.removeEventListener("pointermove", onMarqueePointerMove);
+    window.removeEventListener("pointerup", onMarqueePointerUp);
+    marqueeElement.remove();
     canvas.removeEventListener("touchstart", onTouchStart);
     canvas.removeEventListener("touchmove", onTouchMove);
     canvas.removeEventListener("touchend", onMouseOut);
   }
 
+  // Draw a box around a selected object.  Its materials are left alone, so
+  // colour edits in the property inspector and the selection never fight.
+  function highlight(obj) {
+    const box = new THREE.BoxHelper(obj, HIGHLIGHT_COLOR);
+    box.userData.selectable = false;
+    box.userData.editorHelper = true;
+    box.raycast = () => {}; // never picked or placed on
+    box.frustumCulled = false; // its bounds are stale until the next update
+    box.onBeforeRender = () => box.update(); // follows gizmo drags
+    scene.add(box);
+    highlights.set(obj, box);
+  }
+
+  function unhighlight(obj) {
+    const box = highlights.get(obj);
+    if (!box) return;
+    box.removeFromParent();
+    box.geometry.dispose();
+    box.material.dispose();
+    highlights.delete(obj);
+  }
+
   /**
-   * Select or deselect the given object.  Passing `null` clears the current
-   * selection.  Only one object can be selected at a time.
+   * Replace the selection with the given objects (duplicates ignored).  The
+   * last object becomes the primary selection.
    */
-  // find a mesh with an emissive material inside the hierarchy
-  function findHighlightMesh(o) {
-    if (o.material && o.material.emissive !== undefined) {
-      return o;
+  function setSelection(objects) {
+    const list = objects.filter(Boolean);
+    const next = new Set(list);
+    for (const obj of selectedObjects) {
+      if (!next.has(obj)) {
+        unhighlight(obj);
+        selectedObjects.delete(obj);
+      }
     }
-    for (const child of o.children || []) {
-      const found = findHighlightMesh(child);
-      if (found) return found;
+    for (const obj of next) {
+      if (!selectedObjects.has(obj)) {
+        selectedObjects.add(obj);
+        highlight(obj);
+      }
     }
-    return null;
+    primaryObject = list.length > 0 ? list[list.length - 1] : null;
+    notifySelection();
   }
 
+  /**
+   * Single-object click behaviour: select only `obj`, or clear the selection
+   * if `obj` is already the sole selected object.  Passing `null` clears.
+   */
   function toggleSelection(obj) {
-    // Helper to safely check if a mesh has emissive material
-    const hasEmissive = (mesh) => mesh?.material?.emissive !== undefined;
-
-    if (selectedObject === obj) {
-      // deselect: restore previous mesh if available
-      if (selectedHighlightMesh && hasEmissive(selectedHighlightMesh)) {
-        selectedHighlightMesh.material.emissive.setHex(
-          selectedObjectSavedColor,
-        );
-      }
-      selectedObject = null;
-      selectedHighlightMesh = null;
-      selectedObjectSavedColor = 0;
-      notifySelection(null);
-      return;
-    }
-
-    // clear previous
-    if (selectedHighlightMesh && hasEmissive(selectedHighlightMesh)) {
-      selectedHighlightMesh.material.emissive.setHex(selectedObjectSavedColor);
+    if (selectedObjects.size === 1 && selectedObjects.has(obj)) {
+      setSelection([]);
+    } else {
+      setSelection(obj ? [obj] : []);
     }
+  }
 
-    if (obj) {
-      selectedObject = obj;
-      selectedHighlightMesh = findHighlightMesh(obj) || obj;
-      if (selectedHighlightMesh && hasEmissive(selectedHighlightMesh)) {
-        selectedObjectSavedColor =
-          selectedHighlightMesh.material.emissive.getHex();
-        selectedHighlightMesh.material.emissive.setHex(0xffff00);
-      } else {
-        selectedHighlightMesh = null;
-        selectedObjectSavedColor = 0;
+  // Shift-click behaviour: add `obj` to the selection or remove it
+  function toggleInSelection(obj) {
+    if (selectedObjects.has(obj)) {
+      const remaining = [...selectedObjects].filter((o) => o !== obj);
+      // keep the current primary if it is still selected
+      if (primaryObject && primaryObject !== obj) {
+        remaining.push(primaryObject);
       }
+      setSelection(remaining);
     } else {
-      selectedObject = null;
-      selectedHighlightMesh = null;
-      selectedObjectSavedColor = 0;
+      setSelection([...selectedObjects, obj]);
     }
-    notifySelection(selectedObject);
   }
 
   function setEnabled(val) {
@@ -309,15 +481,13 @@ export function picker(renderer, scene, camera, options = {}) {
     return enabled;
   }
 
-  // Clear current selection (deselect any selected object)
+  // Clear current selection (deselect every selected object)
   function clearSelection() {
-    if (selectedHighlightMesh) {
-      selectedHighlightMesh.material.emissive.setHex(selectedObjectSavedColor);
-    }
-    selectedObject = null;
-    selectedHighlightMesh = null;
-    selectedObjectSavedColor = 0;
-    notifySelection(null);
+    setSelection([]);
+  }
+
+  function getSelection() {
+    return [...selectedObjects];
   }
 
   return {
@@ -329,5 +499,8 @@ export function picker(renderer, scene, camera, options = {}) {
     setEnabled,
     isEnabled,
     clearSelection,
+    setSelection,
+    getSelection,
+    pickPoint,
   };
 }
@@ -1,5 +1,12 @@
 import * as THREE from "three";
-import { firstPersonSetup } from "./firstPersonSetup.js";
+import { firstPersonSetup, MOVE_ACTIONS } from "./firstPersonSetup.js";
+import { placeBody } from "./colliders.js";
+import { killPlaneHeight } from "./killPlane.js";
+import { createInputMap } from "./inputMap.js";
+import { createCharacterController } from "./characterController.js";
+import { createPlayerStance } from "./playerStance.js";
+import { createPhysicsRay } from "./physicsRay.js";
+import { createNoclip } from "./noclip.js";
 
 // encapsulates all of the player/physics initialization that used to live in
 // main.js.  The only argument the caller normally needs to supply is the
@@ -17,6 +24,12 @@ import { firstPersonSetup } from "./firstPersonSetup.js";
 //   renderer      - THREE.Renderer used by firstPersonSetup (required)
 //   capsuleRadius - number, default 0.4
 //   floorLevel    - number, default 0 (used by firstPersonSetup)
+//   inputMap      - createInputMap() instance for the movement keys
+//   ladders       - createLadders() instance; inside a ladder's volume the
+//                   player climbs instead of walking
+//
+// playerOptions.stance holds the crouch / prone settings (playerStance.js),
+// playerOptions.noclip the fly mode's (noclip.js)
 //
 export async function createPlayer({
   scene,
@@ -28,6 +41,9 @@ export async function createPlayer({
   capsuleRadius = 0.4,
   floorLevel = 0,
   playerOptions = {},
+  // createInputMap() instance; the default bindings if omitted
+  inputMap = createInputMap(),
+  ladders = null,
   // optional spawn position to place the player at a specific location
   spawnPosition = null, // {x,y,z} or null to compute from terrain
 } = {}) {
@@ -57,8 +73,20 @@ export async function createPlayer({
   const WALK_ACCELERATION = playerOptions.walkAcceleration ?? 5;
   const SPRINT_ACCELERATION = playerOptions.sprintAcceleration ?? 10;
   const MOVEMENT_DAMPING = 20;
+  const PLAYER_MASS = 80;
   // allow shifting the camera vertically relative to collider
   const CAMERA_Y_OFFSET = playerOptions.cameraYOffset ?? 0;
+  // how quickly the camera sinks / rises to a new stance's eye height
+  const STANCE_CAMERA_SMOOTHING = 10;
+  // spawn points stand the player on ground found this far above / below
+  const SPAWN_GROUND_ABOVE = 0.5;
+  const SPAWN_GROUND_BELOW = 2;
+  const SPAWN_CLEARANCE = 0.05; // gap left under the feet when spawning
+  // jumping off a ladder: seconds before it can be grabbed again, and the
+  // share of the jump speed used to push away from it (and up)
+  const LADDER_REGRAB_TIME = 0.4;
+  const LADDER_JUMP_OFF = 0.6;
+  const LADDER_FOOT_SKIN = 0.1; // ground this close under the feet ends a climb down
 
   // state used by movement code and returned for debugging if caller wants it
   const movement = {
@@ -69,29 +97,32 @@ export async function createPlayer({
     jump: false,
     canJump: true,
     sprint: false,
+    crouch: false, // held
+    prone: false, // toggled
+    // analog input (gamepadInput.js, touchControls.js): stick right/forward
+    // in -1..1, and how far between walk and sprint speed to go, 0..1
+    axisX: 0,
+    axisY: 0,
+    sprintBlend: 0,
+    // a controller / the touch controls are driving the player, so it moves
+    // without pointer lock
+    gamepad: false,
+    touch: false,
   };
 
-  // keep track of when the capsule last touched ground for jump logic
-  let lastGroundedAt = 0;
-
-  // keyboard input helpers (WASD + jump/sprint)
+  // keyboard input helpers: input map actions -> movement flags
   const onKeyDown = (e) => {
-    if (e.code === "KeyW") movement.forward = true;
-    if (e.code === "KeyS") movement.backward = true;
-    if (e.code === "KeyA") movement.left = true;
-    if (e.code === "KeyD") movement.right = true;
-    if (e.code === "ShiftLeft" || e.code === "ShiftRight")
-      movement.sprint = true;
-    if (e.code === "Space") movement.jump = true;
+    const action = inputMap.match(e, "play");
+    if (action === "prone" && !e.repeat) movement.prone = !movement.prone;
+    const key = MOVE_ACTIONS[action];
+    if (key) movement[key] = true;
+    if (key === "crouch") movement.prone = false; // crouch gets up from prone
   };
+  // release by physical key, so letting go of Shift first doesn't leave W on
   const onKeyUp = (e) => {
-    if (e.code === "KeyW") movement.forward = false;
-    if (e.code === "KeyS") movement.backward = false;
-    if (e.code === "KeyA") movement.left = false;
-    if (e.code === "KeyD") movement.right = false;
-    if (e.code === "ShiftLeft" || e.code === "ShiftRight")
-      movement.sprint = false;
-    if (e.code === "Space") movement.jump = false;
+    for (const action of inputMap.actionsForCode(e.code, "play")) {
+      if (MOVE_ACTIONS[action]) movement[MOVE_ACTIONS[action]] = false;
+    }
   };
   window.addEventListener("keydown", onKeyDown);
   window.addEventListener("keyup", onKeyUp);
@@ -147,7 +178,7 @@ export async function createPlayer({
       radius: capsuleRadius,
       height: playerCapsuleHeight,
       ...playerStart,
-      mass: 80,
+      mass: PLAYER_MASS,
     },
     { lambert: { color: 0x00ff00, transparent: true, opacity: 0 } },
   );
@@ -215,7 +246,7 @@ export async function createPlayer({
     playerCollider.body &&
     typeof playerCollider.body.setRestitution === "function"
   ) {
-    playerCollider.body.setRestitution(2); // Low restitution to prevent bouncing
+    playerCollider.body.setRestitution(0); // No bounce, so landings stay grounded
   }
 
   // Enable CCD (Continuous Collision Detection) to prevent tunneling through ground
@@ -248,25 +279,160 @@ export async function createPlayer({
     terrainBounds: heightBounds,
     terrainData,
     dynamicCapsule: playerCollider,
+    inputMap,
+  });
+
+  // capsule center to its lowest point; changes with the stance
+  let halfHeight = playerCapsuleHeight / 2 + capsuleRadius;
+
+  // ground detection, slopes, steps and jump timing
+  const controller = createCharacterController({
+    physics,
+    collider: playerCollider,
+    radius: capsuleRadius,
+    halfHeight,
+    jumpSpeed: JUMP_SPEED,
+    config: playerOptions.controller,
+  });
+
+  // crouching / lying prone: a shorter capsule, lower eyes, slower walking
+  const standingHeight = playerCapsuleHeight + 2 * capsuleRadius;
+  let cameraYOffset = CAMERA_Y_OFFSET;
+  const stance = createPlayerStance({
+    physics,
+    collider: playerCollider,
+    radius: capsuleRadius,
+    height: standingHeight,
+    mass: PLAYER_MASS,
+    config: playerOptions.stance,
+    onResize: ({ radius, halfHeight: half, shift }) => {
+      halfHeight = half;
+      controller.setShape({ radius, halfHeight });
+      cameraYOffset -= shift; // the eyes stay put, then ease to the new height
+    },
+  });
+  // camera offset from the capsule's center in a stance: eye height above
+  // the feet scales with the capsule's height
+  const stanceCameraOffset = (s) => {
+    const h = stance.heightOf(s);
+    return (
+      (standingHeight / 2 + CAMERA_Y_OFFSET) * (h / standingHeight) - h / 2
+    );
+  };
+
+  // Move the capsule (and its physics body) to a world position, stopping
+  // it; `yaw` (radians) optionally turns the view to face that way
+  function teleport(position, yaw) {
+    placeBody(playerCollider, position);
+    movement.jump = false;
+    if (typeof yaw === "number") {
+      camera.quaternion.setFromEuler(new THREE.Euler(0, yaw, 0, "YXZ"));
+    }
+    // eyes there now, not on the next update
+    camera.position.copy(playerCollider.position);
+    camera.position.y += cameraYOffset;
+  }
+
+  const groundRay = createPhysicsRay({
+    physics,
+    ignore: () => [playerCollider],
   });
+  const _from = new THREE.Vector3();
+  const _to = new THREE.Vector3();
+
+  // Stand the player at a spawn point ({position, yaw}, position at the
+  // feet): on the ground just under it if there is some, so a marker placed
+  // slightly into or above the floor still works
+  function spawnAt({ position: [x, y, z], yaw }) {
+    _from.set(x, y + SPAWN_GROUND_ABOVE, z);
+    const ground = groundRay.cast(_from, _to.set(x, y - SPAWN_GROUND_BELOW, z));
+    const feetY = ground ? ground.point.y : y;
+    teleport([x, feetY + halfHeight + SPAWN_CLEARANCE, z], yaw);
+  }
+
+  // Where falling out of the world puts the player: a spawn point, or null
+  // for the start position
+  let respawnPoint = null;
 
   // Reusable vectors to avoid allocations in update loop (GC optimization)
   const _forward = new THREE.Vector3();
   const _right = new THREE.Vector3();
   const _velocity = new THREE.Vector3();
 
-  // update() will be called every frame by the caller; it drives physics based
-  // movement, jumping, and keeps the camera/controller synced with the capsule.
-  function update(delta) {
-    if (
-      !playerCollider ||
-      !player ||
-      !player.controls ||
-      !player.controls.isLocked
-    ) {
+  // keyboard, controller or touch input is driving the player
+  const inControl = () =>
+    player.controls.isLocked || movement.gamepad || movement.touch;
+
+  // fly through everything while play testing
+  const noclip = createNoclip({
+    physics,
+    collider: playerCollider,
+    camera,
+    movement,
+    inputMap,
+    isActive: inControl,
+    config: playerOptions.noclip,
+  });
+
+  // ladders: the one being climbed (gravity is off meanwhile) and when the
+  // player last jumped off one
+  let ladder = null;
+  let jumpedOffLadderAt = -Infinity;
+  const gravityY = physics.physicsWorld.getGravity().y();
+
+  function setLadder(next) {
+    if (next === ladder) return;
+    if (!ladder) playerCollider.body.setGravity(0, 0, 0);
+    if (!next) playerCollider.body.setGravity(0, gravityY, 0);
+    ladder = next;
+  }
+
+  // The ladder to climb this frame, or null: one whose volume the capsule
+  // is in, unless it just jumped off, stands at the foot of a ladder without
+  // walking toward it, or climbed down onto the ground
+  function ladderToClimb(wish) {
+    const now = performance.now() / 1000;
+    if (!ladders || now - jumpedOffLadderAt < LADDER_REGRAB_TIME) return null;
+    const found = ladders.find(playerCollider.position, capsuleRadius);
+    if (!found) return null;
+    const toward = wish.dot(found.forward);
+    if (found !== ladder) {
+      return controller.isGrounded() && toward <= 0 ? null : found;
+    }
+    if (toward < 0) {
+      const { x, y, z } = playerCollider.position;
+      _from.set(x, y, z);
+      const below = _to.set(x, y - halfHeight - LADDER_FOOT_SKIN, z);
+      if (groundRay.cast(_from, below)) return null;
+    }
+    return found;
+  }
+
+  // Climb: toward the ladder goes up, away from it down, sideways along the
+  // rungs; a jump lets go, pushing off
+  function climb(wish, walkSpeed) {
+    const body = playerCollider.body;
+    if (movement.jump) {
+      movement.jump = false;
+      jumpedOffLadderAt = performance.now() / 1000;
+      const push = JUMP_SPEED * LADDER_JUMP_OFF;
+      body.setVelocity(
+        -ladder.forward.x * push,
+        push,
+        -ladder.forward.z * push,
+      );
+      setLadder(null);
       return;
     }
+    const rate = ladder.config.speed / walkSpeed;
+    const up = wish.dot(ladder.forward) * rate;
+    const side = wish.dot(ladder.right) * rate;
+    body.setVelocity(ladder.right.x * side, up, ladder.right.z * side);
+  }
 
+  // Walk the capsule for this frame: stance, velocity, jumps; returns the
+  // stance taken
+  function walk() {
     // movement vectors relative to camera orientation (reusing pre-allocated vectors)
     camera.getWorldDirection(_forward);
     _forward.y = 0;
@@ -277,69 +443,102 @@ export async function createPlayer({
     _velocity.set(0, 0, 0);
     const walkSpeed = player?.config?.walkAcceleration;
     const sprintSpeed = player?.config?.sprintAcceleration;
-    const speed = movement.sprint ? sprintSpeed : walkSpeed;
+    const wanted =
+      movement.prone ? "prone"
+      : movement.crouch ? "crouch"
+      : "stand";
+    const taken = stance.update(wanted);
+    // no sprinting unless standing
+    const speed =
+      taken === "stand" ?
+        THREE.MathUtils.lerp(
+          walkSpeed,
+          sprintSpeed,
+          movement.sprint ? 1 : movement.sprintBlend,
+        )
+      : walkSpeed * stance.speedFactor();
     if (movement.forward) _velocity.add(_forward);
     if (movement.backward) _velocity.sub(_forward);
     if (movement.left) _velocity.sub(_right);
     if (movement.right) _velocity.add(_right);
-    if (_velocity.lengthSq() > 0 && typeof speed === "number")
-      _velocity.normalize().multiplyScalar(speed);
+    if (_velocity.lengthSq() > 0) {
+      if (Number.isFinite(speed)) _velocity.normalize().multiplyScalar(speed);
+    } else if (movement.axisX || movement.axisY) {
+      // stick: how far it is pushed sets the fraction of full speed
+      _velocity
+        .addScaledVector(_forward, movement.axisY)
+        .addScaledVector(_right, movement.axisX)
+        .clampLength(0, 1);
+      if (Number.isFinite(speed)) _velocity.multiplyScalar(speed);
+    }
 
     const body = playerCollider.body;
     if (body) {
       // Safety check: teleport player back up if they fell through the ground
-      const minY = (heightBounds?.min ?? -10) - 30;
+      const minY = killPlaneHeight(heightBounds, playerOptions.killPlaneY);
       if (playerCollider.position.y < minY) {
         console.warn("[Player] Fell through ground, resetting position");
-        body.setVelocity(0, 0, 0);
-        // Properly reset physics body position using Ammo.js transform
-        if (body.ammo) {
-          const transform = new Ammo.btTransform();
-          transform.setIdentity();
-          transform.setOrigin(
-            new Ammo.btVector3(playerStart.x, playerStart.y + 2, playerStart.z),
-          );
-          body.ammo.setWorldTransform(transform);
-          body.ammo.getMotionState().setWorldTransform(transform);
-          body.ammo.setLinearVelocity(new Ammo.btVector3(0, 0, 0));
-          body.ammo.setAngularVelocity(new Ammo.btVector3(0, 0, 0));
-          body.ammo.activate();
-        }
-        playerCollider.position.set(
-          playerStart.x,
-          playerStart.y + 2,
-          playerStart.z,
-        );
-        body.needUpdate = true;
+        if (respawnPoint) spawnAt(respawnPoint);
+        else teleport([playerStart.x, playerStart.y + 2, playerStart.z]);
       }
 
-      const currentVel = body.velocity;
-      body.setVelocity(_velocity.x, currentVel.y, _velocity.z);
-      const now = performance.now();
-      const isGroundedNow = Math.abs(currentVel.y) < 1.0;
-      if (isGroundedNow) lastGroundedAt = now;
-      const canJumpNow = now - lastGroundedAt < 120;
-      if (movement.jump && canJumpNow) {
-        // use the configured jump speed so caller can adjust gravity
-        body.setVelocity(_velocity.x, JUMP_SPEED, _velocity.z);
+      const climbing = ladderToClimb(_velocity);
+      setLadder(climbing);
+      if (climbing) {
+        climb(_velocity, walkSpeed);
+        return taken;
+      }
+
+      // a press is remembered by the controller (jump buffering), so
+      // consume it here; key repeat re-sends it while the key is held
+      if (movement.jump) {
+        if (taken !== "prone") controller.requestJump();
         movement.jump = false;
-        lastGroundedAt = 0;
       }
+      controller.update(_velocity);
     }
+    return taken;
+  }
 
-    // make camera / controls follow the capsule, with optional vertical offset
-    camera.position.copy(playerCollider.position);
-    if (CAMERA_Y_OFFSET) {
-      camera.position.y += CAMERA_Y_OFFSET;
+  // update() will be called every frame by the caller; it drives physics based
+  // movement, jumping, and keeps the camera/controller synced with the capsule.
+  function update(delta) {
+    if (!playerCollider || !player?.controls || !inControl()) return;
+
+    let taken = stance.getStance();
+    if (noclip.isOn()) {
+      noclip.update(delta);
+      movement.jump = false; // not saved up for landing afterwards
+      setLadder(null);
+    } else {
+      taken = walk();
     }
+
+    // make camera / controls follow the capsule, with optional vertical
+    // offset eased toward the stance's eye height
+    cameraYOffset +=
+      (stanceCameraOffset(taken) - cameraYOffset) *
+      (1 - Math.exp(-STANCE_CAMERA_SMOOTHING * delta));
+    camera.position.copy(playerCollider.position);
+    camera.position.y += cameraYOffset;
     if (player.controls.getObject) {
       player.controls.getObject().position.copy(playerCollider.position);
-      if (CAMERA_Y_OFFSET) {
-        player.controls.getObject().position.y += CAMERA_Y_OFFSET;
-      }
+      player.controls.getObject().position.y += cameraYOffset;
     }
   }
 
   // caller may want the movement object or update routine too
-  return { playerCollider, player, PLAYER_HEIGHT, movement, update };
+  return {
+    playerCollider,
+    player,
+    PLAYER_HEIGHT,
+    movement,
+    update,
+    teleport,
+    spawnAt,
+    setRespawnPoint: (point) => (respawnPoint = point),
+    controller,
+    stance,
+    noclip,
+  };
 }
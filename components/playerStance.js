@@ -0,0 +1,178 @@
+// Player stance: standing, crouching and lying prone.  Changing stance swaps
+// the player capsule's Ammo shape for a shorter or taller one, keeping the
+// feet where they are, and getting up first checks that nothing static
+// (the room's ceiling, a shelf, a low beam...) is in the way of the head.
+import * as THREE from "three";
+import { readdBody } from "./colliders.js";
+import { createPhysicsRay } from "./physicsRay.js";
+
+export const STANCES = ["stand", "crouch", "prone"];
+
+const HEADROOM_SKIN = 0.02; // room needed above the head to get up
+// headroom probes: capsule center plus four points around it (fractions of
+// the radius), as for the character controller's ground probes
+const PROBE_OFFSETS = [
+  [0, 0],
+  [0.7, 0],
+  [-0.7, 0],
+  [0, 0.7],
+  [0, -0.7],
+];
+
+/**
+ * Creates the stance system for the player capsule.
+ *
+ * Stance heights are fractions of the standing height; the capsule's radius
+ * shrinks too when a stance is lower than its diameter.
+ *
+ * @param {Object} options
+ * @param {Object} options.physics - AmmoPhysics instance
+ * @param {THREE.Mesh} options.collider - the player capsule
+ * @param {number} options.radius - standing capsule radius
+ * @param {number} options.height - standing capsule height, end to end
+ * @param {number} options.mass - the capsule body's mass
+ * @param {Object} [options.config] - validated `player.stance` settings:
+ *   crouchHeight, proneHeight, crouchSpeed, proneSpeed, allowProne
+ * @param {Function} [options.onResize] - fn({stance, radius, halfHeight,
+ *   shift}) after the capsule changed size; `shift` is how far its center
+ *   moved up (negative: down)
+ * @returns {Object} stance API: update(wanted), getStance(),
+ *   speedFactor(), heightOf(stance), canStand(stance), dispose()
+ */
+export function createPlayerStance({
+  physics,
+  collider,
+  radius,
+  height,
+  mass,
+  config = {},
+  onResize = () => {},
+}) {
+  const {
+    crouchHeight = 0.6,
+    proneHeight = 0.3,
+    crouchSpeed = 0.5,
+    proneSpeed = 0.25,
+    allowProne = true,
+  } = config;
+  const heights = {
+    stand: height,
+    crouch: height * crouchHeight,
+    prone: height * proneHeight,
+  };
+  const speeds = { stand: 1, crouch: crouchSpeed, prone: proneSpeed };
+  const { cast: castRay, dispose } = createPhysicsRay({
+    physics,
+    ignore: () => [collider],
+  });
+
+  let stance = "stand";
+  let halfHeight = height / 2;
+  let currentRadius = radius;
+
+  const heightOf = (s) => heights[s];
+  const radiusFor = (total) => Math.min(radius, total / 2);
+
+  const _from = new THREE.Vector3();
+  const _to = new THREE.Vector3();
+
+  /**
+   * Is there room to change to `next` where the player is?  Only static
+   * bodies count: anything that moves is pushed aside by the capsule.
+   *
+   * @param {string} next - one of STANCES
+   * @returns {boolean}
+   */
+  function canStand(next) {
+    const { x, y, z } = collider.position;
+    const top = y - halfHeight + heights[next] + HEADROOM_SKIN;
+    if (top <= y + halfHeight) return true; // getting lower
+    const probeRadius = radiusFor(heights[next]);
+    for (const [ox, oz] of PROBE_OFFSETS) {
+      _from.set(x + ox * probeRadius, y, z + oz * probeRadius);
+      const hit = castRay(_from, _to.set(_from.x, top, _from.z));
+      if (hit?.object?.body?.ammo.isStaticObject()) return false;
+    }
+    return true;
+  }
+
+  // Swap the capsule's shape, keeping its feet in place
+  function resize(next) {
+    const body = collider.body?.ammo;
+    if (!body) return;
+    const total = heights[next];
+    const newRadius = radiusFor(total);
+    const cylinder = Math.max(total - 2 * newRadius, 0);
+
+    const oldShape = body.getCollisionShape();
+    const shape = new Ammo.btCapsuleShape(newRadius, cylinder);
+    shape.setMargin(oldShape.getMargin());
+    const inertia = new Ammo.btVector3(0, 0, 0);
+    shape.calculateLocalInertia(mass, inertia);
+
+    // Ammo only picks up a new shape (and drops the old one's contacts)
+    // when the body is added to the world again
+    const shift = total / 2 - halfHeight;
+    readdBody(physics, collider, {
+      change: () => {
+        body.setCollisionShape(shape);
+        body.setMassProps(mass, inertia);
+        body.updateInertiaTensor();
+        body.setCcdSweptSphereRadius(newRadius * 0.8);
+
+        const transform = body.getWorldTransform();
+        const origin = transform.getOrigin();
+        origin.setY(origin.y() + shift);
+        body.setWorldTransform(transform);
+        body.getMotionState().setWorldTransform(transform);
+      },
+    });
+    collider.position.y += shift;
+    body.activate();
+    Ammo.destroy(oldShape);
+    Ammo.destroy(inertia);
+
+    // the (invisible) mesh follows, for the avatar and the physics debugger
+    collider.geometry.dispose();
+    collider.geometry = new THREE.CapsuleGeometry(newRadius, cylinder);
+
+    stance = next;
+    halfHeight = total / 2;
+    currentRadius = newRadius;
+    onResize({ stance, radius: currentRadius, halfHeight, shift });
+  }
+
+  /**
+   * Move toward the wanted stance; call every play-mode frame before the
+   * character controller.  Getting up to a stance there's no room for
+   * stops at the highest one that fits.
+   *
+   * @param {string} wanted - one of STANCES
+   * @returns {string} the stance now taken
+   */
+  function update(wanted) {
+    if (wanted === "prone" && !allowProne) wanted = "crouch";
+    if (wanted === stance) return stance;
+    const order = STANCES.indexOf(wanted);
+    // getting up: try the wanted stance, then each lower one down to the
+    // current stance
+    for (let i = order; i < STANCES.indexOf(stance); i++) {
+      if (canStand(STANCES[i])) {
+        resize(STANCES[i]);
+        return stance;
+      }
+    }
+    if (order > STANCES.indexOf(stance)) resize(wanted);
+    return stance;
+  }
+
+  return {
+    update,
+    getStance: () => stance,
+    // fraction of walking speed in the current stance
+    speedFactor: () => speeds[stance],
+    heightOf,
+    canStand,
+    dispose,
+  };
+}
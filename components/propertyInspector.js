@@ -0,0 +1,410 @@
+// Property inspector: editor panel for the selected object's transform,
+// physics body and appearance.  Edits apply immediately, keep the Ammo body
+// in sync and go through the editor's undo history.
+import * as THREE from "three";
+import { COLLIDER_SHAPES } from "./sceneSchema.js";
+import { COLLISION_PRESETS, rebuildBody } from "./colliders.js";
+import { applyModelAppearance } from "./modelRegistry.js";
+import {
+  createFieldRow,
+  createNumberInput,
+  createSelect,
+  createCheckbox,
+  createColorInput,
+  createButton,
+} from "./editorUI.js";
+
+const AXES = ["x", "y", "z"];
+
+// config fields that need a new physics body when they change
+const BODY_FIELDS = ["shape", "mass", "collisionGroup"];
+
+// What the transform inputs show: rotation in degrees, everything rounded
+const TRANSFORM_FIELDS = {
+  position: { step: 0.1, read: (o, axis) => o.position[axis] },
+  rotation: {
+    step: 5,
+    read: (o, axis) => THREE.MathUtils.radToDeg(o.rotation[axis]),
+  },
+  scale: { step: 0.1, min: 0.001, read: (o, axis) => o.scale[axis] },
+};
+
+const format = (value) => String(Math.round(value * 1000) / 1000);
+
+// First material with PBR parameters, used to show current material values
+function findStandardMaterial(model) {
+  let found = null;
+  model.traverse((child) => {
+    if (found || !child.isMesh) return;
+    const materials =
+      Array.isArray(child.material) ? child.material : [child.material];
+    found = materials.find((m) => m?.isMeshStandardMaterial) ?? null;
+  });
+  return found;
+}
+
+function createSectionTitle(text) {
+  const title = document.createElement("div");
+  title.textContent = text;
+  title.style.cssText = `
+    margin: 8px 0 2px;
+    color: #8cf;
+    font-weight: bold;
+  `;
+  return title;
+}
+
+/**
+ * Creates the "Properties" panel.
+ *
+ * Shows the transform of any single selected object; models from the model
+ * registry additionally get mass, collider shape, collision group,
+ * visibility, shadow and material settings, and placed lights get their
+ * colour, intensity, range, cone and shadow settings.  Changes are written
+ * to the model's / light's config so they are saved with the layout /
+ * exported scene.
+ *
+ * @param {Object} options
+ * @param {Object} options.editorUI - result of createEditorUI()
+ * @param {Object} options.modeSystem - createModeSystem() instance
+ * @param {Object} options.modelRegistry - createModelRegistry() instance
+ * @param {Object} [options.lightRegistry] - createLightRegistry() instance
+ * @param {Object} options.physics - AmmoPhysics instance
+ * @returns {Object} inspector API: update() (call every editor frame),
+ *   refresh(), dispose()
+ */
+export function createPropertyInspector({
+  editorUI,
+  modeSystem,
+  modelRegistry,
+  lightRegistry = null,
+  physics,
+}) {
+  const panel = editorUI.addPanel("Properties");
+  const { history, objectPicker } = modeSystem;
+
+  let selected = null; // single selected object, or null
+  let transformInputs = []; // [{input, read}] refreshed by update()
+
+  // ---- model edits ----
+
+  function applyModelChanges(record, changes) {
+    Object.assign(record.config, changes);
+    if (BODY_FIELDS.some((field) => field in changes) && record.collider) {
+      rebuildBody(physics, record.collider, record.config);
+    }
+    if (record.model) applyModelAppearance(record.model, record.config);
+    if (record.collider) modeSystem.markModified(record.collider);
+    if (record.collider === selected) render();
+  }
+
+  // Change fields of a model's config as one undoable edit
+  function editModel(record, changes, label) {
+    const before = Object.fromEntries(
+      Object.keys(changes).map((field) => [field, record.config[field]]),
+    );
+    applyModelChanges(record, changes);
+    history.push({
+      label: `${label} ${record.config.id}`,
+      undo: () => applyModelChanges(record, before),
+      redo: () => applyModelChanges(record, changes),
+    });
+
+    const { shape, mass } = record.config;
+    if (shape === "concave" && mass > 0) {
+      modeSystem.flashMessage(
+        "Concave colliders only behave correctly with mass 0 (static)",
+        3000,
+      );
+    }
+  }
+
+  function editMaterial(record, field, value) {
+    editModel(
+      record,
+      { material: { ...record.config.material, [field]: value } },
+      `set ${field} of`,
+    );
+  }
+
+  // ---- light edits ----
+
+  function applyLightChanges(record, changes) {
+    lightRegistry.update(record, changes);
+    if (record.light === selected) render();
+  }
+
+  function editLight(record, changes, label) {
+    const before = Object.fromEntries(
+      Object.keys(changes).map((field) => [field, record.config[field]]),
+    );
+    applyLightChanges(record, changes);
+    history.push({
+      label: `${label} ${record.config.id}`,
+      undo: () => applyLightChanges(record, before),
+      redo: () => applyLightChanges(record, changes),
+    });
+  }
+
+  // ---- panel contents ----
+
+  function addTransformRows(object) {
+    for (const [property, { step, min, read }] of Object.entries(
+      TRANSFORM_FIELDS,
+    )) {
+      const group = document.createElement("span");
+      group.style.cssText = "display: flex; gap: 2px;";
+      for (const axis of AXES) {
+        const input = createNumberInput({
+          value: format(read(object, axis)),
+          step,
+          min,
+          onChange: (value) =>
+            modeSystem.editTransform(object, (target) => {
+              target[property][axis] =
+                property === "rotation" ?
+                  THREE.MathUtils.degToRad(value)
+                : value;
+            }),
+        });
+        input.style.width = "56px";
+        input.title = `${property} ${axis}`;
+        group.appendChild(input);
+        transformInputs.push({ input, read: () => read(object, axis) });
+      }
+      const label = property[0].toUpperCase() + property.slice(1);
+      panel.appendChild(createFieldRow(label, group));
+    }
+    panel.appendChild(
+      createButton("Drop to floor", () => modeSystem.dropToFloor([object])),
+    );
+  }
+
+  function addPhysicsRows(record) {
+    const { config } = record;
+    panel.appendChild(createSectionTitle("Physics"));
+    panel.appendChild(
+      createFieldRow(
+        "Mass",
+        createNumberInput({
+          value: config.mass,
+          step: 1,
+          min: 0,
+          onChange: (mass) => editModel(record, { mass }, "set mass of"),
+        }),
+      ),
+    );
+    panel.appendChild(
+      createFieldRow(
+        "Collider",
+        createSelect({
+          options: COLLIDER_SHAPES,
+          value: config.shape,
+          onChange: (shape) => editModel(record, { shape }, "set collider of"),
+        }),
+      ),
+    );
+    panel.appendChild(
+      createFieldRow(
+        "Collision",
+        createSelect({
+          options: Object.keys(COLLISION_PRESETS),
+          value: config.collisionGroup ?? "default",
+          onChange: (collisionGroup) =>
+            editModel(record, { collisionGroup }, "set collision group of"),
+        }),
+      ),
+    );
+  }
+
+  function addAppearanceRows(record) {
+    const { config } = record;
+    panel.appendChild(createSectionTitle("Appearance"));
+    for (const [field, label] of [
+      ["visible", "Visible"],
+      ["castShadow", "Cast shadow"],
+      ["receiveShadow", "Receive shadow"],
+    ]) {
+      panel.appendChild(
+        createFieldRow(
+          label,
+          createCheckbox({
+            checked: config[field] ?? field === "visible",
+            onChange: (value) =>
+              editModel(record, { [field]: value }, `set ${field} of`),
+          }),
+        ),
+      );
+    }
+
+    const material = record.model && findStandardMaterial(record.model);
+    if (!material) return;
+    const override = config.material ?? {};
+    const preview = (field, value) =>
+      applyModelAppearance(record.model, {
+        ...config,
+        material: { ...override, [field]: value },
+      });
+
+    for (const [field, label] of [
+      ["color", "Color"],
+      ["emissive", "Emissive"],
+    ]) {
+      panel.appendChild(
+        createFieldRow(
+          label,
+          createColorInput({
+            value:
+              override[field] ??
+              material.userData.loadedValues?.[field] ??
+              material[field].getHex(),
+            onInput: (value) => preview(field, value),
+            onChange: (value) => editMaterial(record, field, value),
+          }),
+        ),
+      );
+    }
+    for (const [field, label] of [
+      ["roughness", "Roughness"],
+      ["metalness", "Metalness"],
+    ]) {
+      panel.appendChild(
+        createFieldRow(
+          label,
+          createNumberInput({
+            value: format(override[field] ?? material[field]),
+            step: 0.05,
+            min: 0,
+            max: 1,
+            onChange: (value) => editMaterial(record, field, value),
+          }),
+        ),
+      );
+    }
+  }
+
+  function addLightRows(record) {
+    const { config } = record;
+    panel.appendChild(createSectionTitle(`Light (${config.type})`));
+    panel.appendChild(
+      createFieldRow(
+        "Color",
+        createColorInput({
+          value: config.color,
+          onInput: (color) => record.light.color.set(color),
+          onChange: (color) => editLight(record, { color }, "set color of"),
+        }),
+      ),
+    );
+    for (const [
+      field,
+      label,
+      { step = 0.1, min = 0, max, toInput, fromInput },
+    ] of [
+      ["intensity", "Intensity", { step: 1 }],
+      ["distance", "Distance", { step: 1 }],
+      ["decay", "Decay", {}],
+      [
+        "angle",
+        "Angle (°)",
+        {
+          step: 1,
+          min: 1,
+          max: 90,
+          toInput: THREE.MathUtils.radToDeg,
+          fromInput: THREE.MathUtils.degToRad,
+        },
+      ],
+      ["penumbra", "Penumbra", { step: 0.05, max: 1 }],
+      ["width", "Width", { min: 0.01 }],
+      ["height", "Height", { min: 0.01 }],
+    ]) {
+      if (config[field] === undefined) continue; // not used by this type
+      panel.appendChild(
+        createFieldRow(
+          label,
+          createNumberInput({
+            value: format(toInput ? toInput(config[field]) : config[field]),
+            step,
+            min,
+            max,
+            onChange: (value) =>
+              editLight(
+                record,
+                { [field]: fromInput ? fromInput(value) : value },
+                `set ${field} of`,
+              ),
+          }),
+        ),
+      );
+    }
+    if (config.castShadow !== undefined) {
+      panel.appendChild(
+        createFieldRow(
+          "Cast shadow",
+          createCheckbox({
+            checked: config.castShadow,
+            onChange: (castShadow) =>
+              editLight(record, { castShadow }, "set castShadow of"),
+          }),
+        ),
+      );
+    }
+  }
+
+  function render(selection = selected ? [selected] : []) {
+    panel.innerHTML = "";
+    transformInputs = [];
+
+    if (selection.length > 1) {
+      panel.textContent = `${selection.length} objects selected`;
+      return;
+    }
+    if (!selected) {
+      panel.textContent = "Nothing selected";
+      return;
+    }
+
+    const record = modelRegistry.findByObject(selected);
+    const lightRecord = lightRegistry?.findByObject(selected);
+    const title = document.createElement("div");
+    title.textContent =
+      (record ?? lightRecord)?.config.id ?? (selected.name || selected.type);
+    title.style.cssText = "font-weight: bold; margin-bottom: 4px;";
+    panel.appendChild(title);
+
+    addTransformRows(selected);
+    if (record) {
+      addPhysicsRows(record);
+      addAppearanceRows(record);
+    }
+    if (lightRecord) addLightRows(lightRecord);
+  }
+
+  objectPicker.onSelect((obj, selection = obj ? [obj] : []) => {
+    selected = selection.length === 1 ? obj : null;
+    render(selection);
+  });
+
+  // Pull transform values from the object (gizmo drags, undo) into the
+  // inputs, leaving the one being typed into alone
+  function update() {
+    for (const { input, read } of transformInputs) {
+      if (input === document.activeElement) continue;
+      const value = format(read());
+      if (input.value !== value) input.value = value;
+    }
+  }
+
+  render();
+
+  return {
+    update,
+    refresh: () => render(),
+    dispose: () => {
+      panel.innerHTML = "";
+      transformInputs = [];
+      selected = null;
+    },
+  };
+}
@@ -0,0 +1,181 @@
+// Scene actions: the small vocabulary of effects that scene files can attach
+// to trigger zones and model interactions (play a clip, switch a light, show
+// an info card, play a sound, teleport the player...).  See ACTION_SPECS in
+// sceneSchema.js for each action's fields.
+
+/**
+ * Creates the action runner shared by the trigger and interaction systems.
+ * Every context entry is optional; actions that need a missing one warn and
+ * do nothing.
+ *
+ * @param {Object} context
+ * @param {Object} [context.modelRegistry] - for playClip / toggleAnimation
+ * @param {Object} [context.lightRegistry] - for setLight
+ * @param {Object} [context.infoCard] - createInfoCard() instance
+ * @param {Function} [context.teleport] - fn(position, yaw) moving the player
+ * @param {Object} [context.spawnRegistry] - createSpawnRegistry() instance,
+ *   for teleport-to-spawn and checkpoint
+ * @param {Function} [context.spawnAt] - fn(spawnConfig) placing the player
+ *   at a spawn point
+ * @param {Function} [context.setCheckpoint] - fn(spawnConfig) where the
+ *   player respawns after falling
+ * @param {Object} [context.platforms] - createMovingPlatforms() instance
+ * @returns {Object} runner API: run(action, event), runAll(actions, event),
+ *   setVolume(0..1), dispose()
+ */
+export function createSceneActions({
+  modelRegistry = null,
+  lightRegistry = null,
+  infoCard = null,
+  teleport = null,
+  spawnRegistry = null,
+  spawnAt = null,
+  setCheckpoint = null,
+  platforms = null,
+} = {}) {
+  const sounds = new Map(); // src -> HTMLAudioElement, reused between plays
+  let masterVolume = 1;
+
+  // The model an action names, defaulting to the one interacted with
+  function modelFor(action, event) {
+    const id = action.model ?? event.model?.config.id;
+    const record = id && modelRegistry?.findById(id);
+    if (!record?.animation) {
+      console.warn(`[Scene] Action ${action.type}: no animated model "${id}"`);
+      return null;
+    }
+    return record;
+  }
+
+  // Current config of the spawn point an action names
+  function spawnFor(type, id) {
+    const record = spawnRegistry?.findById(id);
+    if (!record) {
+      console.warn(`[Scene] Action ${type}: no spawn point "${id}"`);
+      return null;
+    }
+    return spawnRegistry.toConfig(record);
+  }
+
+  const handlers = {
+    // one-shots (loop: false) return to the model's idle clip afterwards
+    playClip(action, event) {
+      const record = modelFor(action, event);
+      record?.animation.play(action.clip, {
+        loop: action.loop,
+        fade: action.fade,
+      });
+    },
+
+    toggleAnimation(action, event) {
+      const record = modelFor(action, event);
+      if (!record) return;
+      const { animation } = record;
+      const clip = animation.findClip(action.clip);
+      if (animation.getCurrent()?.clip === clip?.name) {
+        animation.playIdle({ fade: action.fade });
+      } else {
+        animation.play(action.clip, { loop: action.loop, fade: action.fade });
+      }
+    },
+
+    setLight({ light, intensity, visible }) {
+      const record = lightRegistry?.findById(light);
+      if (!record) {
+        console.warn(`[Scene] Action setLight: no placed light "${light}"`);
+        return;
+      }
+      // runtime change only: the light's saved config stays as edited
+      if (intensity !== undefined) record.light.intensity = intensity;
+      if (visible !== undefined) record.light.visible = visible;
+    },
+
+    infoCard({ title, text, image }) {
+      if (!infoCard) {
+        console.warn("[Scene] Action infoCard: no info card UI");
+        return;
+      }
+      infoCard.show({ title, text, image });
+    },
+
+    playSound({ src, volume }) {
+      let sound = sounds.get(src);
+      if (!sound) {
+        sound = new Audio(src);
+        sounds.set(src, sound);
+      }
+      sound.volume = volume * masterVolume;
+      sound.currentTime = 0;
+      sound.play().catch((err) => {
+        console.warn(`[Scene] Could not play sound "${src}":`, err);
+      });
+    },
+
+    teleport({ position, spawn, yaw }) {
+      if (spawn !== undefined) {
+        const point = spawnFor("teleport", spawn);
+        if (point) spawnAt?.({ ...point, yaw: yaw ?? point.yaw });
+        return;
+      }
+      if (!teleport) {
+        console.warn("[Scene] Action teleport: no player to move");
+        return;
+      }
+      teleport(position, yaw);
+    },
+
+    checkpoint({ spawn }) {
+      const point = spawnFor("checkpoint", spawn);
+      if (!point) return;
+      setCheckpoint?.(point);
+      console.log(`[Scene] Checkpoint: "${spawn}"`);
+    },
+
+    platform({ platform, command }) {
+      if (!platforms) {
+        console.warn("[Scene] Action platform: no moving platforms");
+        return;
+      }
+      platforms[command](platform);
+    },
+
+    log({ message }, { source, object }) {
+      const who = object ? ` (${object.name || object.type})` : "";
+      console.log(`[Scene] ${source}${who}: ${message}`);
+    },
+  };
+
+  /**
+   * Run one action.
+   *
+   * @param {Object} action - validated action config ({type, ...})
+   * @param {Object} [event] - what caused it: { source (label for logs),
+   *   object (the player or model involved), model (interacted model record) }
+   */
+  function run(action, event = {}) {
+    const handler = handlers[action.type];
+    if (!handler) {
+      console.warn(`[Scene] Unknown action "${action.type}"`);
+      return;
+    }
+    try {
+      handler(action, { source: "action", ...event });
+    } catch (err) {
+      console.error(`[Scene] Action ${action.type} failed:`, err);
+    }
+  }
+
+  function runAll(actions, event) {
+    for (const action of actions) run(action, event);
+  }
+
+  return {
+    run,
+    runAll,
+    setVolume: (volume) => (masterVolume = volume),
+    dispose: () => {
+      for (const sound of sounds.values()) sound.pause();
+      sounds.clear();
+    },
+  };
+}
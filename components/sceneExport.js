@@ -0,0 +1,237 @@
+// Scene export: serialize editor changes back into the scene file format and
+// persist them between sessions (localStorage) or as a downloadable file.
+import { SCENE_VERSION } from "./sceneSchema.js";
+
+const LAYOUT_STORAGE_PREFIX = "sceneLayout:";
+const LAYOUT_VERSION = 1;
+
+// model config fields the editor can change (besides the transform)
+const EDITABLE_MODEL_FIELDS = [
+  "mass",
+  "shape",
+  "collisionGroup",
+  "visible",
+  "castShadow",
+  "receiveShadow",
+  "material",
+];
+
+// keep exported files readable: 4 decimals is well below a millimetre
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Capture an object's local transform in the scene file's `transform` format.
+ *
+ * @param {THREE.Object3D} object
+ * @returns {{position: number[], rotation: number[], scale: number[]}}
+ */
+export function serializeTransform(object) {
+  const { position, rotation, scale } = object;
+  return {
+    position: [position.x, position.y, position.z].map(round),
+    rotation: [rotation.x, rotation.y, rotation.z].map(round),
+    scale: [scale.x, scale.y, scale.z].map(round),
+  };
+}
+
+/**
+ * Collect the editor's changes as a layout:
+ *   - `models`: overrides for scene-file models that were modified, keyed by
+ *     id (matched via the record's config)
+ *   - `added`: full configs for models spawned from the asset browser or
+ *     duplicated in the editor
+ *   - `removed`: ids of scene-file models deleted in the editor
+ *   - `lights`: every editor-placed light (replaces `lights.placed`), or
+ *     null to keep the scene file's
+ *   - `spawnPoints`: every spawn point (replaces `spawnPoints`), or null to
+ *     keep the scene file's
+ *   - `platforms`: every moving platform (replaces `platforms`), or null to
+ *     keep the scene file's
+ * Session-only models (dropped local files) are never included.
+ *
+ * @param {Array<Object>} models - model registry records ({collider, config, origin})
+ * @param {Set<THREE.Object3D>|Array<THREE.Object3D>} modifiedObjects
+ * @param {Array<string>} [removedIds] - modelRegistry.getRemovedIds()
+ * @param {Array<Object>|null} [lights] - lightRegistry.toConfigs()
+ * @param {Array<Object>|null} [spawnPoints] - spawnRegistry.toConfigs()
+ * @param {Array<Object>|null} [platforms] - movingPlatforms toConfigs()
+ * @returns {{models: Object<string, Object>, added: Array<Object>, removed: Array<string>, lights: Array<Object>|null, spawnPoints: Array<Object>|null, platforms: Array<Object>|null}}
+ */
+export function collectLayout(
+  models,
+  modifiedObjects,
+  removedIds = [],
+  lights = null,
+  spawnPoints = null,
+  platforms = null,
+) {
+  const modified = new Set(modifiedObjects);
+  const layout = {
+    models: {},
+    added: [],
+    removed: [...removedIds],
+    lights,
+    spawnPoints,
+    platforms,
+  };
+  for (const { collider, config, origin = "scene" } of models) {
+    if (!collider || !config) continue;
+    if (origin === "spawned") {
+      layout.added.push({ ...config, transform: serializeTransform(collider) });
+    } else if (origin === "scene" && modified.has(collider)) {
+      layout.models[config.id] = { transform: serializeTransform(collider) };
+      for (const field of EDITABLE_MODEL_FIELDS) {
+        if (config[field] !== undefined) {
+          layout.models[config.id][field] = config[field];
+        }
+      }
+    }
+  }
+  return layout;
+}
+
+/**
+ * Merge a layout into a scene description, returning a new object.
+ * Overrides for ids that no longer exist in the scene are ignored.
+ *
+ * @param {Object} sceneData - validated scene description
+ * @param {Object} layout - result of collectLayout()/loadLayout()
+ * @returns {Object} scene description ready for validateScene()/download
+ */
+export function applyLayout(
+  sceneData,
+  {
+    models = {},
+    added = [],
+    removed = [],
+    lights = null,
+    spawnPoints = null,
+    platforms = null,
+  },
+) {
+  return {
+    ...sceneData,
+    version: SCENE_VERSION,
+    lights: lights ? { ...sceneData.lights, placed: lights } : sceneData.lights,
+    spawnPoints: spawnPoints ?? sceneData.spawnPoints,
+    platforms: platforms ?? sceneData.platforms,
+    models: [
+      ...sceneData.models
+        .filter((model) => !removed.includes(model.id))
+        .map((model) =>
+          models[model.id] ? { ...model, ...models[model.id] } : model,
+        ),
+      ...added,
+    ],
+  };
+}
+
+/**
+ * Save a layout for a scene to localStorage.
+ *
+ * @param {string} sceneName
+ * @param {Object} layout - result of collectLayout()
+ * @returns {boolean} false if storage is unavailable (private mode, quota)
+ */
+export function saveLayout(
+  sceneName,
+  {
+    models,
+    added,
+    removed = [],
+    lights = null,
+    spawnPoints = null,
+    platforms = null,
+  },
+) {
+  try {
+    localStorage.setItem(
+      LAYOUT_STORAGE_PREFIX + sceneName,
+      JSON.stringify({
+        version: LAYOUT_VERSION,
+        savedAt: new Date().toISOString(),
+        models,
+        added,
+        removed,
+        lights,
+        spawnPoints,
+        platforms,
+      }),
+    );
+    return true;
+  } catch (err) {
+    console.warn("[Editor] Could not save layout to localStorage:", err);
+    return false;
+  }
+}
+
+/**
+ * Read a previously saved layout for a scene.
+ *
+ * @param {string} sceneName
+ * @returns {{models: Object, added: Array<Object>, removed: Array<string>, lights: Array<Object>|null, spawnPoints: Array<Object>|null, platforms: Array<Object>|null}|null}
+ *   null if none saved
+ */
+export function loadLayout(sceneName) {
+  let raw;
+  try {
+    raw = localStorage.getItem(LAYOUT_STORAGE_PREFIX + sceneName);
+  } catch {
+    return null;
+  }
+  if (!raw) return null;
+
+  try {
+    const layout = JSON.parse(raw);
+    if (layout?.version !== LAYOUT_VERSION || !layout.models) {
+      console.warn(
+        `[Editor] Ignoring saved layout for "${sceneName}": unsupported format`,
+      );
+      return null;
+    }
+    return {
+      models: layout.models,
+      added: layout.added ?? [],
+      removed: layout.removed ?? [],
+      lights: layout.lights ?? null,
+      spawnPoints: layout.spawnPoints ?? null,
+      platforms: layout.platforms ?? null,
+    };
+  } catch (err) {
+    console.warn(`[Editor] Saved layout for "${sceneName}" is corrupt:`, err);
+    return null;
+  }
+}
+
+/**
+ * Forget the saved layout for a scene (next reload uses the file as-is).
+ *
+ * @param {string} sceneName
+ */
+export function clearLayout(sceneName) {
+  try {
+    localStorage.removeItem(LAYOUT_STORAGE_PREFIX + sceneName);
+  } catch {
+    // storage unavailable; nothing to clear
+  }
+}
+
+/**
+ * Offer a scene description to the user as a JSON file download.
+ *
+ * @param {Object} sceneData
+ * @param {string} [fileName] - defaults to `<scene name>.json`
+ */
+export function downloadScene(sceneData, fileName) {
+  const blob = new Blob([JSON.stringify(sceneData, null, 2) + "\n"], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName || `${sceneData.name || "scene"}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,260 @@
+// Scene loader: fetches a scene JSON file and builds the world it describes
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { createEnvironment } from "./createEnvironment.js";
+import { createRoomWalls } from "./createRoomWalls.js";
+import { createPlayer } from "./playerSetup.js";
+import { loadModel } from "./modelLoader.js";
+import { createCeilingLights } from "./createLights.js";
+import { createLadders } from "./ladders.js";
+import { validateScene, TEXTURE_MAPS } from "./sceneSchema.js";
+
+/**
+ * Fetch and validate a scene file.
+ *
+ * @param {string} url - path to the scene JSON (e.g. "/scenes/default.json")
+ * @returns {Promise<Object>} normalized scene description (see sceneSchema.js)
+ */
+export async function loadSceneFile(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    throw new Error(`[Scene] Could not fetch ${url}: ${err.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(
+      `[Scene] Could not fetch ${url}: ${response.status} ${response.statusText}`,
+    );
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (err) {
+    throw new Error(`[Scene] ${url} is not valid JSON: ${err.message}`);
+  }
+
+  return validateScene(data, url);
+}
+
+// Build the texture path object createEnvironment/createRoomWalls expect from
+// a base texture name, e.g. "planks" -> textures/floor/planks/planks_diff.jpg
+function texturePathsFor(folder, name, maps) {
+  if (!name) return {};
+  const paths = {};
+  for (const suffix of maps) {
+    paths[TEXTURE_MAPS[suffix]] =
+      `textures/${folder}/${name}/${name}_${suffix}.jpg`;
+  }
+  return paths;
+}
+
+/**
+ * Load one model described by a scene-file model entry.
+ *
+ * @param {GLTFLoader} loader
+ * @param {Object} config - validated model entry ({path, scale, mass, shape, position, rotation})
+ * @param {THREE.Scene} scene
+ * @param {Object} physics - AmmoPhysics instance
+ * @param {string} [url] - override the file URL (defaults to /models/<path>),
+ *   e.g. an object URL for a file dropped onto the canvas
+ * @returns {Promise<Object>} loadModel result plus the config
+ */
+export async function loadModelFromConfig(loader, config, scene, physics, url) {
+  const result = await loadModel(
+    loader,
+    url ?? `/models/${config.path}`,
+    config.scale,
+    new THREE.Vector3(...config.position),
+    scene,
+    physics,
+    {
+      mass: config.mass,
+      shape: config.shape,
+      collisionGroup: config.collisionGroup,
+      rotation: new THREE.Vector3(...config.rotation),
+      colliderOffset: new THREE.Vector3(0, 0, 0),
+      autoplay: false, // the model registry's animation controller plays clips
+    },
+  );
+  return { ...result, config };
+}
+
+/**
+ * Build environment, walls, lights, player and models from a validated scene
+ * description.  This is the data-driven replacement for the setup code that
+ * used to be hard-coded in main.js.
+ *
+ * @param {Object} sceneData - result of validateScene()/loadSceneFile()
+ * @param {Object} context
+ * @param {THREE.Scene} context.scene
+ * @param {Object} context.physics - AmmoPhysics instance
+ * @param {THREE.Camera} context.camera
+ * @param {THREE.WebGLRenderer} context.renderer
+ * @param {Object} [context.inputMap] - createInputMap() instance for the
+ *   player's movement keys
+ * @returns {Promise<Object>} everything main.js needs to drive the world
+ */
+export async function buildWorld(
+  sceneData,
+  { scene, physics, camera, renderer, inputMap },
+) {
+  const {
+    environment,
+    floor,
+    walls,
+    lights: lightConfig,
+    player: playerConfig,
+  } = sceneData;
+
+  renderer.toneMappingExposure = environment.exposure;
+
+  // Terrain / floor
+  const {
+    floor: floorGroup,
+    heightBounds,
+    terrainData: terrainDataLocal,
+    floorSize,
+  } = await createEnvironment(
+    scene,
+    environment.hdr,
+    texturePathsFor("floor", floor.texture, floor.maps),
+    {
+      textureRepeat: floor.textureRepeat,
+      width: floor.width,
+      depth: floor.depth,
+      segments: floor.segments,
+      heightScale: floor.heightScale,
+      heightBias: floor.heightBias,
+      textureRotations: floor.textureRotations,
+    },
+    physics,
+  );
+  const terrainData =
+    heightBounds && terrainDataLocal ? terrainDataLocal : null;
+
+  // Room walls / ceiling
+  let room = null;
+  if (walls.enabled) {
+    room = await createRoomWalls({
+      scene,
+      physics,
+      width: floorSize.width,
+      depth: floorSize.depth,
+      wallHeight: walls.height,
+      wallThickness: walls.thickness,
+      segments: walls.segments,
+      textureRepeat: walls.textureRepeat,
+      wallTextures: texturePathsFor("walls", walls.texture, walls.maps),
+      ceilingTextures: {},
+      walls: walls.sides,
+      ceiling: walls.ceiling,
+    });
+  }
+
+  // Lights
+  const lights = [];
+  if (lightConfig.ceiling) {
+    const roomSize = room?.roomSize ?? floorSize;
+    const ceilingY = room?.ceilingY ?? walls.height + walls.thickness / 2;
+    lights.push(
+      ...createCeilingLights(scene, {
+        ceilingSize: [roomSize.width, walls.thickness, roomSize.depth],
+        ceilingY,
+        wallThickness: walls.thickness,
+        ...lightConfig.ceiling,
+      }),
+    );
+  }
+  for (const config of lightConfig.point) {
+    const light = new THREE.PointLight(
+      config.color,
+      config.intensity,
+      config.distance,
+      config.decay,
+    );
+    light.position.set(...config.position);
+    light.castShadow = config.castShadow;
+    scene.add(light);
+    lights.push(light);
+  }
+
+  // Ladder volumes, climbed by the player
+  const ladders = createLadders({ scene, ladders: sceneData.ladders });
+
+  // Player
+  const playerSpawn = { ...playerConfig.spawn };
+  const playerHeight = playerConfig.height;
+  const {
+    playerCollider,
+    player,
+    movement: playerMovement,
+    update: updatePlayer,
+    teleport: teleportPlayer,
+    spawnAt: spawnPlayer,
+    setRespawnPoint,
+    controller: playerController,
+    noclip: playerNoclip,
+  } = await createPlayer({
+    scene,
+    physics,
+    heightBounds,
+    terrainData,
+    camera,
+    renderer,
+    capsuleRadius: playerConfig.capsuleRadius,
+    playerOptions: {
+      walkAcceleration: playerConfig.walkAcceleration,
+      sprintAcceleration: playerConfig.sprintAcceleration,
+      jumpSpeed: playerConfig.jumpSpeed,
+      playerHeight,
+      cameraYOffset: playerHeight + 0.03, // Camera height is at top of capsule
+      killPlaneY: sceneData.physics.killPlaneY,
+      controller: playerConfig.controller,
+      stance: playerConfig.stance,
+      noclip: playerConfig.noclip,
+    },
+    spawnPosition: playerSpawn,
+    inputMap,
+    ladders,
+  });
+  // spawn.y is optional in the file; record the height createPlayer chose
+  if (typeof playerSpawn.y !== "number") {
+    playerSpawn.y = playerCollider.position.y;
+  }
+
+  // Models: load all in parallel for faster startup.  A model that fails to
+  // load is reported and skipped rather than taking the whole world down.
+  const loader = new GLTFLoader();
+  const loadedModels = await Promise.all(
+    sceneData.models.map((config) =>
+      loadModelFromConfig(loader, config, scene, physics).catch((err) => {
+        console.error(`[Scene] Failed to load model "${config.path}":`, err);
+        return null;
+      }),
+    ),
+  );
+
+  return {
+    floor: floorGroup,
+    heightBounds,
+    terrainData,
+    floorSize,
+    room,
+    lights,
+    playerCollider,
+    player,
+    playerHeight,
+    playerSpawn,
+    updatePlayer,
+    playerMovement,
+    playerController,
+    playerNoclip,
+    spawnPlayer,
+    setRespawnPoint,
+    teleportPlayer,
+    ladders,
+    loadedModels: loadedModels.filter(Boolean),
+  };
+}
@@ -0,0 +1,1283 @@
+// Scene file schema: validation and defaults for declarative world descriptions
+//
+// A scene file is a JSON document describing everything main.js used to
+// hard-code.  Every section is optional except `version`; missing fields fall
+// back to the defaults below, which reproduce the original template world.
+//
+// {
+//   "version": 1,
+//   "name": "gallery",
+//   "environment": { "hdr": "textures/hdr/sky_night.hdr", "exposure": 0.5 },
+//   "floor": { "texture": "planks", "width": 20, "depth": 10, ... },
+//   "walls": { "texture": "corrugated_iron", "sides": { "north": false }, ... },
+//   "lights": { "ceiling": { "numLightsPerSide": 4, ... }, "point": [ ... ],
+//               "placed": [ { "id": "spot_1", "type": "spot", ... } ] },
+//   "models": [ { "id": "chair", "path": "chair/chair.gltf", "scale": 1,
+//                 "material": { "color": "#ff0000", "roughness": 0.5 }, ... } ],
+//   (a model's "interaction": { "prompt": "inspect", "actions": [ ... ] }
+//    runs actions when the player looks at it and presses E)
+//   "triggers": [ { "id": "rhino_zone", "shape": "sphere", "radius": 3,
+//                   "attachTo": "rhino",
+//                   "onEnter": [ { "type": "playClip", "model": "rhino", "clip": 1 } ],
+//                   "onExit": [ { "type": "playClip", "model": "rhino", "clip": 0 } ] } ],
+//   "spawnPoints": [ { "id": "hall", "position": [4, 0, -2], "yaw": 1.57 } ],
+//   (named places the player can be sent to; a trigger's
+//    { "type": "checkpoint", "spawn": "hall" } makes falling respawn there)
+//   "platforms": [ { "id": "lift", "size": [2, 0.2, 2], "position": [3, 0.1, 0],
+//                    "waypoints": [[0, 4, 0]], "mode": "once",
+//                    "autoStart": false } ],
+//   (kinematic platforms the player rides; a { "type": "platform",
+//    "platform": "lift" } action sends an "once" platform to its other end)
+//   "ladders": [ { "id": "hatch", "position": [0, 2, -4.8], "size": [0.8, 4, 0.5] } ],
+//   "player": { "spawn": { "x": 0, "z": 0, "y": 3 }, "walkAcceleration": 4,
+//               "grab": { "maxMass": 20, ... }, ... },
+//   "physics": { "maxSubSteps": 8, "fixedTimeStep": 0.00833, "debug": false }
+// }
+
+import { COLLISION_PRESETS } from "./colliders.js";
+
+export const SCENE_VERSION = 1;
+
+// texture suffix (as used in file names, e.g. planks_diff.jpg) -> material slot
+export const TEXTURE_MAPS = {
+  diff: "diffuseMap",
+  ao: "aoMap",
+  arm: "armMap",
+  nor: "normalMap",
+  disp: "displacementMap",
+  rough: "roughnessMap",
+};
+
+// collider shapes understood by enable3d's physics.add.existing
+export const COLLIDER_SHAPES = [
+  "box",
+  "sphere",
+  "capsule",
+  "cylinder",
+  "cone",
+  "hull",
+  "hacd",
+  "vhacd",
+  "convex",
+  "concave",
+];
+
+// trigger volume shapes and what they can detect
+export const TRIGGER_SHAPES = ["sphere", "box"];
+export const TRIGGER_TARGETS = ["player", "models"];
+
+// light types that can be placed in the editor (lights.placed)
+export const LIGHT_TYPES = ["point", "spot", "directional", "area"];
+
+// when the on-screen touch controls are used: "auto" follows the device
+export const TOUCH_MODES = ["auto", "always", "never"];
+
+// play-mode camera views (thirdPersonCamera.js)
+export const CAMERA_VIEWS = ["first", "third"];
+
+// what a moving platform does at the end of its path or clip
+// (movingPlatforms.js): head back to the start, turn around, or stop there
+export const PLATFORM_MODES = ["loop", "pingpong", "once"];
+const PLATFORM_COMMANDS = ["start", "stop", "toggle"];
+
+// what killPlane.js does with a dynamic model below physics.killPlaneY
+export const OUT_OF_BOUNDS_POLICIES = ["respawn", "remove", "freeze"];
+
+const TEXTURE_ROTATION_PRESETS = ["natural", "aligned", "none"];
+const WALL_SIDES = ["north", "south", "east", "west"];
+
+export const DEFAULT_SCENE = {
+  version: SCENE_VERSION,
+  name: "untitled",
+  environment: {
+    hdr: "",
+    exposure: 0.5,
+  },
+  floor: {
+    texture: "",
+    maps: Object.keys(TEXTURE_MAPS),
+    width: 20,
+    depth: 10,
+    textureRepeat: 1,
+    segments: 16,
+    heightScale: 0.02,
+    heightBias: 0,
+    textureRotations: "aligned",
+  },
+  walls: {
+    enabled: true,
+    texture: "",
+    maps: Object.keys(TEXTURE_MAPS),
+    height: 5,
+    thickness: 0.5,
+    segments: 10,
+    textureRepeat: 10,
+    sides: { north: true, south: true, east: true, west: true },
+    ceiling: false,
+  },
+  lights: {
+    ceiling: null,
+    point: [],
+    placed: [],
+  },
+  models: [],
+  triggers: [],
+  spawnPoints: [],
+  platforms: [],
+  ladders: [],
+  player: {
+    spawn: { x: 0, z: 0, y: 3 },
+    capsuleRadius: 0.2,
+    height: 0.6,
+    walkAcceleration: 4,
+    sprintAcceleration: 8,
+    jumpSpeed: 5,
+    // picking up dynamic models (grabSystem.js)
+    grab: {
+      enabled: true,
+      reach: 2,
+      maxMass: 20,
+      holdDistance: 1.2,
+      minThrowSpeed: 2,
+      maxThrowSpeed: 12,
+      chargeTime: 1, // seconds of holding the button for a full-power throw
+    },
+    // ground detection, slopes, steps and jump timing (characterController.js)
+    controller: {
+      maxSlope: 45, // degrees; steeper ground can't be walked up and slides
+      stepHeight: 0.15, // ledges up to this tall are stepped onto
+      coyoteTime: 0.12, // seconds after walking off an edge a jump still works
+      jumpBuffer: 0.15, // seconds a jump pressed before landing is kept
+    },
+    // crouching and lying prone (playerStance.js); heights are fractions of
+    // the standing height, speeds fractions of the walking speed
+    stance: {
+      crouchHeight: 0.6,
+      proneHeight: 0.3,
+      crouchSpeed: 0.5,
+      proneSpeed: 0.25,
+      allowProne: true,
+    },
+    // flying through walls while play testing (noclip.js)
+    noclip: {
+      enabled: true, // false: the toggle key does nothing
+      speed: 5, // m/s, changed in play with the faster / slower keys
+      sprintMultiplier: 3, // speed factor while sprint is held
+    },
+    // view the player starts in and the third-person follow camera
+    // (thirdPersonCamera.js)
+    camera: {
+      view: "first",
+      distance: 3, // spring arm length behind the head
+      shoulder: 0.4, // sideways offset, positive to the right
+      height: 0.2, // pivot above the eyes
+      smoothing: 10, // how quickly the camera catches up, per second
+    },
+    // body shown in the third-person view (avatar.js); without a model path
+    // a plain capsule stands in
+    avatar: {
+      path: null, // rigged GLTF under /models/
+      yawOffset: 0, // degrees, for models that don't face +Z
+      clips: { idle: "idle", walk: "walk", run: "run", jump: "jump" },
+    },
+    // controller settings (gamepadInput.js)
+    gamepad: {
+      lookSensitivity: 2.5, // radians per second at full stick
+      invertY: false,
+      moveDeadZone: 0.15, // stick travel ignored around the center, 0..1
+      lookDeadZone: 0.15,
+    },
+    // on-screen controls for phones and tablets (touchControls.js)
+    touch: {
+      mode: "auto", // "auto": on for coarse pointers (touch screens)
+      lookSensitivity: 0.005, // radians per pixel dragged
+      joystickSize: 120, // pixels
+    },
+  },
+  physics: {
+    maxSubSteps: 8,
+    fixedTimeStep: 1 / 120,
+    debug: false,
+    killPlaneY: null, // null: 30 below the lowest point of the terrain
+  },
+};
+
+const DEFAULT_CEILING_LIGHTS = {
+  numLightsPerSide: 4,
+  color: 0xffffff,
+  intensity: 200,
+  distance: 25,
+  decay: 2,
+  angle: Math.PI / 6.5,
+  penumbra: 0.4,
+  showHelpers: false,
+};
+
+const DEFAULT_POINT_LIGHT = {
+  color: 0xffffff,
+  intensity: 100,
+  distance: 25,
+  decay: 2,
+  castShadow: true,
+};
+
+// Defaults for editor-placed lights by type.  Rotation aims the light: spot,
+// directional and area lights shine along their local -Z axis, so the
+// default rotation points them straight down.
+export const DEFAULT_PLACED_LIGHTS = {
+  point: {
+    color: 0xffffff,
+    intensity: 100,
+    distance: 25,
+    decay: 2,
+    castShadow: false,
+  },
+  spot: {
+    color: 0xffffff,
+    intensity: 200,
+    distance: 25,
+    decay: 2,
+    angle: Math.PI / 6,
+    penumbra: 0.4,
+    castShadow: false,
+  },
+  directional: { color: 0xffffff, intensity: 2, castShadow: false },
+  area: { color: 0xffffff, intensity: 5, width: 2, height: 1 },
+};
+
+const DEFAULT_TRIGGER = {
+  shape: "sphere",
+  position: [0, 0, 0], // world position, or offset from the attachTo model
+  radius: 2,
+  size: [2, 2, 2],
+  attachTo: "",
+  detect: ["player"],
+  exitMargin: 0.5,
+  cooldown: 0,
+  once: false,
+  ghost: false,
+  onEnter: [],
+  onStay: [],
+  onExit: [],
+};
+
+const DEFAULT_PLATFORM = {
+  model: "", // id of a model (with mass 0) to move instead of a box
+  size: [2, 0.2, 2], // the box's
+  position: [0, 0, 0], // the box's center
+  rotation: [0, 0, 0],
+  color: 0x888888,
+  waypoints: [], // offsets from the start, visited in order
+  speed: 1, // m/s along the waypoints
+  wait: 1, // seconds stopped at each waypoint
+  clip: null, // keyframes instead of waypoints: { times, positions, yaws }
+  mode: "pingpong",
+  autoStart: true, // false: still until a "platform" action starts it
+};
+
+// The volume should reach about half the player's height above the floor
+// the ladder leads to, so climbing out of its top lands on that floor
+const DEFAULT_LADDER = {
+  position: [0, 0, 0], // volume center
+  size: [0.8, 3, 0.5],
+  yaw: 0, // the way a climber faces (radians about +Y; 0 looks toward -Z)
+  speed: 2, // climbing speed, m/s
+};
+
+const DEFAULT_MODEL = {
+  scale: 1,
+  mass: 10,
+  shape: "hull",
+  collisionGroup: "default",
+  position: [0, 0, 0],
+  rotation: [0, 0, 0],
+  visible: true,
+  castShadow: false,
+  receiveShadow: false,
+  idleClip: 0, // animation clip played on load and after one-shots
+  autoplay: true,
+  outOfBounds: "respawn", // what the kill plane does when it falls out
+};
+
+// ---- field checkers ----
+// Each checker returns an error message (string) or null when the value is ok.
+
+const describe = (value) =>
+  value === undefined ? "undefined" : JSON.stringify(value);
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+const checks = {
+  number: (v) => (isNumber(v) ? null : `expected a number, got ${describe(v)}`),
+  positive: (v) =>
+    isNumber(v) && v > 0 ?
+      null
+    : `expected a positive number, got ${describe(v)}`,
+  nonNegative: (v) =>
+    isNumber(v) && v >= 0 ? null : `expected a number >= 0, got ${describe(v)}`,
+  integer: (v) =>
+    Number.isInteger(v) && v > 0 ?
+      null
+    : `expected a positive integer, got ${describe(v)}`,
+  string: (v) =>
+    typeof v === "string" ? null : `expected a string, got ${describe(v)}`,
+  boolean: (v) =>
+    typeof v === "boolean" ? null : (
+      `expected true or false, got ${describe(v)}`
+    ),
+  // colours may be written as 0xffffff (number) or "#ffffff" (string)
+  color: (v) =>
+    (
+      (isNumber(v) && v >= 0 && v <= 0xffffff) ||
+      (typeof v === "string" && /^#[0-9a-f]{6}$/i.test(v))
+    ) ?
+      null
+    : `expected a colour (number or "#rrggbb"), got ${describe(v)}`,
+  // a share of something that can't be zero, 0 < v <= 1
+  fraction: (v) =>
+    isNumber(v) && v > 0 && v <= 1 ?
+      null
+    : `expected a number above 0 and at most 1, got ${describe(v)}`,
+  unitInterval: (v) =>
+    isNumber(v) && v >= 0 && v <= 1 ?
+      null
+    : `expected a number between 0 and 1, got ${describe(v)}`,
+  vec3: (v) =>
+    Array.isArray(v) && v.length === 3 && v.every(isNumber) ?
+      null
+    : `expected an array of 3 numbers, got ${describe(v)}`,
+  // fields whose default is null accept null back (exported scenes)
+  nullable: (rule) => (v) => (v === null ? null : rule(v)),
+  oneOf: (options) => (v) =>
+    options.includes(v) ? null : (
+      `expected one of ${options.map((o) => `"${o}"`).join(", ")}, got ${describe(v)}`
+    ),
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Merge `value` over `defaults` and validate every field named in `rules`.
+ * Unknown keys are reported so typos ("widht") don't silently fall back to
+ * defaults.
+ */
+function validateSection(path, value, defaults, rules, errors) {
+  if (value === undefined) return { ...defaults };
+  if (!isPlainObject(value)) {
+    errors.push(`${path}: expected an object, got ${describe(value)}`);
+    return { ...defaults };
+  }
+
+  for (const key of Object.keys(value)) {
+    if (!(key in rules)) {
+      errors.push(
+        `${path}.${key}: unknown field (allowed: ${Object.keys(rules).join(", ")})`,
+      );
+    }
+  }
+
+  const result = { ...defaults };
+  for (const [key, rule] of Object.entries(rules)) {
+    if (value[key] === undefined) continue;
+    const message = rule(value[key]);
+    if (typeof message === "string") {
+      errors.push(`${path}.${key}: ${message}`);
+    } else {
+      result[key] = value[key];
+    }
+  }
+  return result;
+}
+
+function normalizeColor(value) {
+  return typeof value === "string" ? parseInt(value.slice(1), 16) : value;
+}
+
+const textureMapsRule = (v) =>
+  Array.isArray(v) && v.every((m) => m in TEXTURE_MAPS) ?
+    null
+  : `expected an array containing any of ${Object.keys(TEXTURE_MAPS)
+      .map((m) => `"${m}"`)
+      .join(", ")}, got ${describe(v)}`;
+
+const textureRotationsRule = (v) =>
+  (
+    TEXTURE_ROTATION_PRESETS.includes(v) ||
+    (Array.isArray(v) && v.length > 0 && v.every(isNumber))
+  ) ?
+    null
+  : `expected "natural", "aligned", "none" or an array of angles in radians, got ${describe(v)}`;
+
+// Editor-saved placement: absolute wrapper transform that overrides the
+// position/rotation computed by loadModel (see sceneExport.js)
+const transformRule = (v) =>
+  (
+    isPlainObject(v) &&
+    ["position", "rotation", "scale"].every(
+      (key) => checks.vec3(v[key]) === null,
+    )
+  ) ?
+    null
+  : `expected { position: [x,y,z], rotation: [x,y,z], scale: [x,y,z] }, got ${describe(v)}`;
+
+// Optional per-model material override, applied to every mesh of the model
+const MATERIAL_OVERRIDE_RULES = {
+  color: checks.color,
+  emissive: checks.color,
+  roughness: checks.unitInterval,
+  metalness: checks.unitInterval,
+};
+
+const materialRule = (v) => {
+  if (!isPlainObject(v)) return `expected an object, got ${describe(v)}`;
+  const problems = [];
+  for (const [key, value] of Object.entries(v)) {
+    const rule = MATERIAL_OVERRIDE_RULES[key];
+    const message =
+      rule ?
+        rule(value)
+      : `unknown field (allowed: ${Object.keys(MATERIAL_OVERRIDE_RULES).join(", ")})`;
+    if (message) problems.push(`${key}: ${message}`);
+  }
+  return problems.length > 0 ? problems.join("; ") : null;
+};
+
+// animation clip reference: index into the model's clips, or clip name
+const clipRule = (v) =>
+  (Number.isInteger(v) && v >= 0) || typeof v === "string" ?
+    null
+  : `expected a clip index or name, got ${describe(v)}`;
+
+function validateModel(model, index, errors) {
+  const path = `models[${index}]`;
+  if (!isPlainObject(model)) {
+    errors.push(`${path}: expected an object, got ${describe(model)}`);
+    return null;
+  }
+  if (typeof model.path !== "string" || model.path.length === 0) {
+    errors.push(`${path}.path: required, expected a file path under /models`);
+  }
+  const result = validateSection(
+    path,
+    model,
+    { ...DEFAULT_MODEL, id: `model_${index}` },
+    {
+      id: checks.string,
+      path: checks.string,
+      scale: checks.positive,
+      mass: checks.nonNegative,
+      shape: checks.oneOf(COLLIDER_SHAPES),
+      collisionGroup: checks.oneOf(Object.keys(COLLISION_PRESETS)),
+      position: checks.vec3,
+      rotation: checks.vec3,
+      transform: transformRule,
+      visible: checks.boolean,
+      castShadow: checks.boolean,
+      receiveShadow: checks.boolean,
+      material: materialRule,
+      idleClip: clipRule,
+      autoplay: checks.boolean,
+      outOfBounds: checks.oneOf(OUT_OF_BOUNDS_POLICIES),
+      interaction: (v) =>
+        isPlainObject(v) ? null : `expected an object, got ${describe(v)}`,
+    },
+    errors,
+  );
+  if (result.interaction) {
+    result.interaction = validateInteraction(
+      result.interaction,
+      `${path}.interaction`,
+      errors,
+    );
+  }
+  if (result.material) {
+    const { color, emissive } = result.material;
+    result.material = { ...result.material };
+    if (color !== undefined) result.material.color = normalizeColor(color);
+    if (emissive !== undefined) {
+      result.material.emissive = normalizeColor(emissive);
+    }
+  }
+  return result;
+}
+
+function validatePointLight(light, index, errors) {
+  const path = `lights.point[${index}]`;
+  if (!isPlainObject(light) || light.position === undefined) {
+    errors.push(`${path}.position: required, expected an array of 3 numbers`);
+  }
+  const result = validateSection(
+    path,
+    light,
+    { ...DEFAULT_POINT_LIGHT, position: [0, 0, 0] },
+    {
+      position: checks.vec3,
+      color: checks.color,
+      intensity: checks.nonNegative,
+      distance: checks.nonNegative,
+      decay: checks.nonNegative,
+      castShadow: checks.boolean,
+    },
+    errors,
+  );
+  result.color = normalizeColor(result.color);
+  return result;
+}
+
+// Fields each placed light type accepts besides id/type/position/rotation
+const PLACED_LIGHT_RULES = {
+  point: {
+    color: checks.color,
+    intensity: checks.nonNegative,
+    distance: checks.nonNegative,
+    decay: checks.nonNegative,
+    castShadow: checks.boolean,
+  },
+  spot: {
+    color: checks.color,
+    intensity: checks.nonNegative,
+    distance: checks.nonNegative,
+    decay: checks.nonNegative,
+    angle: (v) =>
+      isNumber(v) && v > 0 && v <= Math.PI / 2 ?
+        null
+      : `expected an angle in radians between 0 and PI/2, got ${describe(v)}`,
+    penumbra: checks.unitInterval,
+    castShadow: checks.boolean,
+  },
+  directional: {
+    color: checks.color,
+    intensity: checks.nonNegative,
+    castShadow: checks.boolean,
+  },
+  area: {
+    color: checks.color,
+    intensity: checks.nonNegative,
+    width: checks.positive,
+    height: checks.positive,
+  },
+};
+
+function validatePlacedLight(light, index, errors) {
+  const path = `lights.placed[${index}]`;
+  if (!isPlainObject(light) || !LIGHT_TYPES.includes(light.type)) {
+    errors.push(
+      `${path}.type: required, expected one of ${LIGHT_TYPES.map((t) => `"${t}"`).join(", ")}`,
+    );
+    return null;
+  }
+  const result = validateSection(
+    path,
+    light,
+    {
+      ...DEFAULT_PLACED_LIGHTS[light.type],
+      id: `${light.type}_${index}`,
+      position: [0, 3, 0],
+      rotation: [-Math.PI / 2, 0, 0],
+    },
+    {
+      id: checks.string,
+      type: checks.oneOf(LIGHT_TYPES),
+      position: checks.vec3,
+      rotation: checks.vec3,
+      ...PLACED_LIGHT_RULES[light.type],
+    },
+    errors,
+  );
+  result.color = normalizeColor(result.color);
+  return result;
+}
+
+// Actions that triggers and model interactions can run (see sceneActions.js).
+// Fields of each type; `required` ones have no default.
+const ACTION_SPECS = {
+  playClip: {
+    required: ["model", "clip"],
+    defaults: { fade: 0.3, loop: true },
+    rules: {
+      model: checks.string,
+      clip: clipRule,
+      fade: checks.nonNegative,
+      loop: checks.boolean,
+    },
+  },
+  setLight: {
+    required: ["light"],
+    defaults: {},
+    rules: {
+      light: checks.string,
+      intensity: checks.nonNegative,
+      visible: checks.boolean,
+    },
+  },
+  // play `clip` if it isn't playing, otherwise go back to the idle clip;
+  // `model` defaults to the interacted model
+  toggleAnimation: {
+    required: ["clip"],
+    defaults: { fade: 0.3, loop: true },
+    rules: {
+      model: checks.string,
+      clip: clipRule,
+      fade: checks.nonNegative,
+      loop: checks.boolean,
+    },
+  },
+  infoCard: {
+    required: ["title"],
+    defaults: { text: "", image: "" },
+    rules: { title: checks.string, text: checks.string, image: checks.string },
+  },
+  // `src` is a URL relative to the site root, e.g. "sounds/bell.mp3"
+  playSound: {
+    required: ["src"],
+    defaults: { volume: 1 },
+    rules: { src: checks.string, volume: checks.unitInterval },
+  },
+  // move the player to `position` (capsule center) or to the spawn point
+  // named by `spawn`; `yaw` (radians) turns the view as well, overriding
+  // the spawn point's
+  teleport: {
+    required: [],
+    requireOne: ["position", "spawn"],
+    defaults: {},
+    rules: { position: checks.vec3, spawn: checks.string, yaw: checks.number },
+  },
+  // start, stop or toggle the moving platform with id `platform`
+  platform: {
+    required: ["platform"],
+    defaults: { command: "toggle" },
+    rules: {
+      platform: checks.string,
+      command: checks.oneOf(PLATFORM_COMMANDS),
+    },
+  },
+  // falling out of the world respawns the player at spawn point `spawn`
+  // for the rest of the play session
+  checkpoint: {
+    required: ["spawn"],
+    defaults: {},
+    rules: { spawn: checks.string },
+  },
+  log: {
+    required: ["message"],
+    defaults: {},
+    rules: { message: checks.string },
+  },
+};
+
+export const ACTION_TYPES = Object.keys(ACTION_SPECS);
+
+function validateAction(action, path, errors) {
+  const spec = isPlainObject(action) && ACTION_SPECS[action.type];
+  if (!spec) {
+    errors.push(
+      `${path}.type: required, expected one of ${ACTION_TYPES.map((t) => `"${t}"`).join(", ")}`,
+    );
+    return null;
+  }
+  for (const field of spec.required) {
+    if (action[field] === undefined) errors.push(`${path}.${field}: required`);
+  }
+  const given = (spec.requireOne ?? []).filter((f) => action[f] !== undefined);
+  if (spec.requireOne && given.length !== 1) {
+    errors.push(
+      `${path}: expected exactly one of ${spec.requireOne.join(", ")}, got ${given.length}`,
+    );
+  }
+  return validateSection(
+    path,
+    action,
+    spec.defaults,
+    { type: checks.string, ...spec.rules },
+    errors,
+  );
+}
+
+const actionListRule = (v) =>
+  Array.isArray(v) ? null : `expected an array of actions, got ${describe(v)}`;
+
+// Model `interaction`: what happens when the player looks at the model in
+// play mode and presses E
+function validateInteraction(interaction, path, errors) {
+  const result = validateSection(
+    path,
+    interaction,
+    { prompt: "interact", reach: null, actions: [] },
+    {
+      prompt: checks.string,
+      reach: checks.nullable(checks.positive),
+      actions: actionListRule,
+    },
+    errors,
+  );
+  result.actions = result.actions
+    .map((action, i) => validateAction(action, `${path}.actions[${i}]`, errors))
+    .filter(Boolean);
+  return result;
+}
+
+function validateTrigger(trigger, index, errors) {
+  const path = `triggers[${index}]`;
+  const result = validateSection(
+    path,
+    trigger,
+    { ...DEFAULT_TRIGGER, id: `trigger_${index}` },
+    {
+      id: checks.string,
+      shape: checks.oneOf(TRIGGER_SHAPES),
+      position: checks.vec3,
+      radius: checks.positive,
+      size: (v) =>
+        checks.vec3(v) ?? (v.every((n) => n > 0) ? null : "sizes must be > 0"),
+      attachTo: checks.string,
+      detect: (v) =>
+        Array.isArray(v) && v.every((t) => TRIGGER_TARGETS.includes(t)) ?
+          null
+        : `expected an array containing any of ${TRIGGER_TARGETS.map((t) => `"${t}"`).join(", ")}, got ${describe(v)}`,
+      exitMargin: checks.nonNegative,
+      cooldown: checks.nonNegative,
+      once: checks.boolean,
+      ghost: checks.boolean,
+      onEnter: actionListRule,
+      onStay: actionListRule,
+      onExit: actionListRule,
+    },
+    errors,
+  );
+  for (const event of ["onEnter", "onStay", "onExit"]) {
+    result[event] = result[event]
+      .map((action, i) =>
+        validateAction(action, `${path}.${event}[${i}]`, errors),
+      )
+      .filter(Boolean);
+  }
+  return result;
+}
+
+// Spawn point: where the player can be placed, standing at `position`
+// (feet) and facing `yaw` (radians about +Y; 0 looks toward -Z)
+function validateSpawnPoint(spawn, index, errors) {
+  const path = `spawnPoints[${index}]`;
+  if (isPlainObject(spawn) && spawn.position === undefined) {
+    errors.push(`${path}.position: required`);
+  }
+  return validateSection(
+    path,
+    spawn,
+    { id: `spawn_${index + 1}`, position: [0, 0, 0], yaw: 0 },
+    { id: checks.string, position: checks.vec3, yaw: checks.number },
+    errors,
+  );
+}
+
+const positiveSizeRule = (v) =>
+  checks.vec3(v) ?? (v.every((n) => n > 0) ? null : "sizes must be > 0");
+
+// platform `clip`: keyframe times (seconds) with an offset from the start
+// and optionally a turn about +Y for each
+const keyframesRule = (v) => {
+  if (!isPlainObject(v)) {
+    return `expected {times, positions, yaws?}, got ${describe(v)}`;
+  }
+  const unknown = Object.keys(v).filter(
+    (key) => !["times", "positions", "yaws"].includes(key),
+  );
+  if (unknown.length > 0) {
+    return `unknown fields ${unknown.join(", ")} (allowed: times, positions, yaws)`;
+  }
+  const { times, positions, yaws } = v;
+  const increasing =
+    Array.isArray(times) &&
+    times.length >= 2 &&
+    times.every((t, i) => isNumber(t) && (i === 0 ? t >= 0 : t > times[i - 1]));
+  if (!increasing) {
+    return `times: expected at least 2 increasing numbers >= 0, got ${describe(times)}`;
+  }
+  const perTime = (list, check) =>
+    Array.isArray(list) &&
+    list.length === times.length &&
+    list.every((item) => check(item) === null);
+  if (!perTime(positions, checks.vec3)) {
+    return `positions: expected ${times.length} arrays of 3 numbers (one per time), got ${describe(positions)}`;
+  }
+  if (yaws !== undefined && !perTime(yaws, checks.number)) {
+    return `yaws: expected ${times.length} numbers (one per time), got ${describe(yaws)}`;
+  }
+  return null;
+};
+
+function validatePlatform(platform, index, errors) {
+  const path = `platforms[${index}]`;
+  const result = validateSection(
+    path,
+    platform,
+    { ...DEFAULT_PLATFORM, id: `platform_${index + 1}` },
+    {
+      id: checks.string,
+      model: checks.string,
+      size: positiveSizeRule,
+      position: checks.vec3,
+      rotation: checks.vec3,
+      color: checks.color,
+      waypoints: (v) =>
+        Array.isArray(v) && v.every((p) => checks.vec3(p) === null) ?
+          null
+        : `expected an array of [x, y, z] offsets, got ${describe(v)}`,
+      speed: checks.positive,
+      wait: checks.nonNegative,
+      clip: checks.nullable(keyframesRule),
+      mode: checks.oneOf(PLATFORM_MODES),
+      autoStart: checks.boolean,
+    },
+    errors,
+  );
+  if (result.clip && result.waypoints.length > 0) {
+    errors.push(`${path}: use either waypoints or clip, not both`);
+  }
+  result.color = normalizeColor(result.color);
+  return result;
+}
+
+function validateLadder(ladder, index, errors) {
+  return validateSection(
+    `ladders[${index}]`,
+    ladder,
+    { ...DEFAULT_LADDER, id: `ladder_${index + 1}` },
+    {
+      id: checks.string,
+      position: checks.vec3,
+      size: positiveSizeRule,
+      yaw: checks.number,
+      speed: checks.positive,
+    },
+    errors,
+  );
+}
+
+/**
+ * Validate a parsed scene description and fill in defaults.
+ *
+ * @param {Object} data - parsed JSON scene description
+ * @param {string} [source="scene"] - label used in error messages (file name)
+ * @returns {Object} normalized scene with every section present
+ * @throws {Error} listing every invalid field when validation fails
+ */
+export function validateScene(data, source = "scene") {
+  const errors = [];
+
+  if (!isPlainObject(data)) {
+    throw new Error(`[Scene] ${source}: expected a JSON object at top level`);
+  }
+
+  if (data.version === undefined) {
+    errors.push(`version: required (current version is ${SCENE_VERSION})`);
+  } else if (data.version !== SCENE_VERSION) {
+    errors.push(
+      `version: unsupported version ${describe(data.version)} (this build reads version ${SCENE_VERSION})`,
+    );
+  }
+
+  const topLevel = [
+    "version",
+    "name",
+    "environment",
+    "floor",
+    "walls",
+    "lights",
+    "models",
+    "triggers",
+    "spawnPoints",
+    "platforms",
+    "ladders",
+    "player",
+    "physics",
+  ];
+  for (const key of Object.keys(data)) {
+    if (!topLevel.includes(key)) {
+      errors.push(`${key}: unknown section (allowed: ${topLevel.join(", ")})`);
+    }
+  }
+
+  if (data.name !== undefined && typeof data.name !== "string") {
+    errors.push(`name: expected a string, got ${describe(data.name)}`);
+  }
+
+  const environment = validateSection(
+    "environment",
+    data.environment,
+    DEFAULT_SCENE.environment,
+    { hdr: checks.string, exposure: checks.nonNegative },
+    errors,
+  );
+
+  const floor = validateSection(
+    "floor",
+    data.floor,
+    DEFAULT_SCENE.floor,
+    {
+      texture: checks.string,
+      maps: textureMapsRule,
+      width: checks.positive,
+      depth: checks.positive,
+      textureRepeat: checks.positive,
+      segments: checks.integer,
+      heightScale: checks.number,
+      heightBias: checks.number,
+      textureRotations: textureRotationsRule,
+    },
+    errors,
+  );
+
+  const walls = validateSection(
+    "walls",
+    data.walls,
+    DEFAULT_SCENE.walls,
+    {
+      enabled: checks.boolean,
+      texture: checks.string,
+      maps: textureMapsRule,
+      height: checks.positive,
+      thickness: checks.positive,
+      segments: checks.integer,
+      textureRepeat: checks.positive,
+      sides: (v) => {
+        const valid =
+          isPlainObject(v) &&
+          Object.entries(v).every(
+            ([side, on]) =>
+              WALL_SIDES.includes(side) && typeof on === "boolean",
+          );
+        return valid ? null : (
+            `expected { ${WALL_SIDES.map((side) => `${side}: boolean`).join(", ")} }, got ${describe(v)}`
+          );
+      },
+      ceiling: checks.boolean,
+    },
+    errors,
+  );
+  walls.sides = { ...DEFAULT_SCENE.walls.sides, ...walls.sides };
+
+  const lights = validateSection(
+    "lights",
+    data.lights,
+    DEFAULT_SCENE.lights,
+    {
+      ceiling: (v) =>
+        v === null || isPlainObject(v) ?
+          null
+        : `expected an object or null, got ${describe(v)}`,
+      point: (v) =>
+        Array.isArray(v) ? null : `expected an array, got ${describe(v)}`,
+      placed: (v) =>
+        Array.isArray(v) ? null : `expected an array, got ${describe(v)}`,
+    },
+    errors,
+  );
+  if (lights.ceiling) {
+    lights.ceiling = validateSection(
+      "lights.ceiling",
+      lights.ceiling,
+      DEFAULT_CEILING_LIGHTS,
+      {
+        numLightsPerSide: checks.integer,
+        color: checks.color,
+        intensity: checks.nonNegative,
+        distance: checks.nonNegative,
+        decay: checks.nonNegative,
+        angle: checks.positive,
+        penumbra: checks.nonNegative,
+        showHelpers: checks.boolean,
+      },
+      errors,
+    );
+    lights.ceiling.color = normalizeColor(lights.ceiling.color);
+  }
+  lights.point = lights.point.map((light, i) =>
+    validatePointLight(light, i, errors),
+  );
+  lights.placed = lights.placed
+    .map((light, i) => validatePlacedLight(light, i, errors))
+    .filter(Boolean);
+  const lightIds = new Set();
+  for (const light of lights.placed) {
+    if (lightIds.has(light.id)) {
+      errors.push(`lights.placed: duplicate id "${light.id}"`);
+    }
+    lightIds.add(light.id);
+  }
+
+  let models = [];
+  if (data.models !== undefined && !Array.isArray(data.models)) {
+    errors.push(`models: expected an array, got ${describe(data.models)}`);
+  } else if (data.models) {
+    models = data.models
+      .map((model, i) => validateModel(model, i, errors))
+      .filter(Boolean);
+    const seen = new Set();
+    for (const model of models) {
+      if (seen.has(model.id)) {
+        errors.push(`models: duplicate id "${model.id}"`);
+      }
+      seen.add(model.id);
+    }
+  }
+
+  let triggers = [];
+  if (data.triggers !== undefined && !Array.isArray(data.triggers)) {
+    errors.push(`triggers: expected an array, got ${describe(data.triggers)}`);
+  } else if (data.triggers) {
+    triggers = data.triggers.map((trigger, i) =>
+      validateTrigger(trigger, i, errors),
+    );
+    const seen = new Set();
+    for (const trigger of triggers) {
+      if (seen.has(trigger.id)) {
+        errors.push(`triggers: duplicate id "${trigger.id}"`);
+      }
+      seen.add(trigger.id);
+    }
+  }
+
+  let spawnPoints = [];
+  if (data.spawnPoints !== undefined && !Array.isArray(data.spawnPoints)) {
+    errors.push(
+      `spawnPoints: expected an array, got ${describe(data.spawnPoints)}`,
+    );
+  } else if (data.spawnPoints) {
+    spawnPoints = data.spawnPoints.map((spawn, i) =>
+      validateSpawnPoint(spawn, i, errors),
+    );
+    const seen = new Set();
+    for (const spawn of spawnPoints) {
+      if (seen.has(spawn.id)) {
+        errors.push(`spawnPoints: duplicate id "${spawn.id}"`);
+      }
+      seen.add(spawn.id);
+    }
+  }
+
+  let platforms = [];
+  if (data.platforms !== undefined && !Array.isArray(data.platforms)) {
+    errors.push(
+      `platforms: expected an array, got ${describe(data.platforms)}`,
+    );
+  } else if (data.platforms) {
+    platforms = data.platforms.map((platform, i) =>
+      validatePlatform(platform, i, errors),
+    );
+    const seen = new Set();
+    for (const platform of platforms) {
+      if (seen.has(platform.id)) {
+        errors.push(`platforms: duplicate id "${platform.id}"`);
+      }
+      seen.add(platform.id);
+    }
+  }
+
+  let ladders = [];
+  if (data.ladders !== undefined && !Array.isArray(data.ladders)) {
+    errors.push(`ladders: expected an array, got ${describe(data.ladders)}`);
+  } else if (data.ladders) {
+    ladders = data.ladders.map((ladder, i) =>
+      validateLadder(ladder, i, errors),
+    );
+    const seen = new Set();
+    for (const ladder of ladders) {
+      if (seen.has(ladder.id)) {
+        errors.push(`ladders: duplicate id "${ladder.id}"`);
+      }
+      seen.add(ladder.id);
+    }
+  }
+
+  const player = validateSection(
+    "player",
+    data.player,
+    DEFAULT_SCENE.player,
+    {
+      spawn: (v) => {
+        if (!isPlainObject(v)) return `expected {x, z, y?}, got ${describe(v)}`;
+        if (!isNumber(v.x) || !isNumber(v.z)) {
+          return `x and z are required numbers, got ${describe(v)}`;
+        }
+        if (v.y !== undefined && !isNumber(v.y)) {
+          return `y must be a number when given, got ${describe(v.y)}`;
+        }
+        return null;
+      },
+      capsuleRadius: checks.positive,
+      height: checks.positive,
+      walkAcceleration: checks.nonNegative,
+      sprintAcceleration: checks.nonNegative,
+      jumpSpeed: checks.nonNegative,
+      grab: (v) =>
+        isPlainObject(v) ? null : `expected an object, got ${describe(v)}`,
+      controller: (v) =>
+        isPlainObject(v) ? null : `expected an object, got ${describe(v)}`,
+      stance: (v) =>
+        isPlainObject(v) ? null : `expected an object, got ${describe(v)}`,
+      noclip: (v) =>
+        isPlainObject(v) ? null : `expected an object, got ${describe(v)}`,
+      camera: (v) =>
+        isPlainObject(v) ? null : `expected an object, got ${describe(v)}`,
+      avatar: (v) =>
+        isPlainObject(v) ? null : `expected an object, got ${describe(v)}`,
+      gamepad: (v) =>
+        isPlainObject(v) ? null : `expected an object, got ${describe(v)}`,
+      touch: (v) =>
+        isPlainObject(v) ? null : `expected an object, got ${describe(v)}`,
+    },
+    errors,
+  );
+  player.grab = validateSection(
+    "player.grab",
+    data.player?.grab,
+    DEFAULT_SCENE.player.grab,
+    {
+      enabled: checks.boolean,
+      reach: checks.positive,
+      maxMass: checks.positive,
+      holdDistance: checks.positive,
+      minThrowSpeed: checks.nonNegative,
+      maxThrowSpeed: checks.nonNegative,
+      chargeTime: checks.positive,
+    },
+    errors,
+  );
+  player.controller = validateSection(
+    "player.controller",
+    data.player?.controller,
+    DEFAULT_SCENE.player.controller,
+    {
+      maxSlope: (v) =>
+        isNumber(v) && v > 0 && v < 90 ?
+          null
+        : `expected an angle between 0 and 90, got ${describe(v)}`,
+      stepHeight: checks.nonNegative,
+      coyoteTime: checks.nonNegative,
+      jumpBuffer: checks.nonNegative,
+    },
+    errors,
+  );
+  player.stance = validateSection(
+    "player.stance",
+    data.player?.stance,
+    DEFAULT_SCENE.player.stance,
+    {
+      crouchHeight: checks.fraction,
+      proneHeight: checks.fraction,
+      crouchSpeed: checks.fraction,
+      proneSpeed: checks.fraction,
+      allowProne: checks.boolean,
+    },
+    errors,
+  );
+  player.noclip = validateSection(
+    "player.noclip",
+    data.player?.noclip,
+    DEFAULT_SCENE.player.noclip,
+    {
+      enabled: checks.boolean,
+      speed: checks.positive,
+      sprintMultiplier: checks.positive,
+    },
+    errors,
+  );
+  player.camera = validateSection(
+    "player.camera",
+    data.player?.camera,
+    DEFAULT_SCENE.player.camera,
+    {
+      view: checks.oneOf(CAMERA_VIEWS),
+      distance: checks.positive,
+      shoulder: checks.number,
+      height: checks.number,
+      smoothing: checks.positive,
+    },
+    errors,
+  );
+  player.avatar = validateSection(
+    "player.avatar",
+    data.player?.avatar,
+    DEFAULT_SCENE.player.avatar,
+    {
+      path: (v) =>
+        v === null || typeof v === "string" ?
+          null
+        : `expected a model path or null, got ${describe(v)}`,
+      yawOffset: checks.number,
+      clips: (v) => {
+        if (!isPlainObject(v)) {
+          return `expected {idle, walk, run, jump}, got ${describe(v)}`;
+        }
+        const bad = Object.entries(v).find(([, clip]) => clipRule(clip));
+        return bad ? `${bad[0]}: ${clipRule(bad[1])}` : null;
+      },
+    },
+    errors,
+  );
+  player.avatar.clips = {
+    ...DEFAULT_SCENE.player.avatar.clips,
+    ...player.avatar.clips,
+  };
+  player.gamepad = validateSection(
+    "player.gamepad",
+    data.player?.gamepad,
+    DEFAULT_SCENE.player.gamepad,
+    {
+      lookSensitivity: checks.positive,
+      invertY: checks.boolean,
+      moveDeadZone: checks.unitInterval,
+      lookDeadZone: checks.unitInterval,
+    },
+    errors,
+  );
+  player.touch = validateSection(
+    "player.touch",
+    data.player?.touch,
+    DEFAULT_SCENE.player.touch,
+    {
+      mode: checks.oneOf(TOUCH_MODES),
+      lookSensitivity: checks.positive,
+      joystickSize: checks.positive,
+    },
+    errors,
+  );
+
+  const physics = validateSection(
+    "physics",
+    data.physics,
+    DEFAULT_SCENE.physics,
+    {
+      maxSubSteps: checks.integer,
+      fixedTimeStep: checks.positive,
+      debug: checks.boolean,
+      killPlaneY: checks.nullable(checks.number),
+    },
+    errors,
+  );
+
+  if (errors.length > 0) {
+    throw new Error(
+      `[Scene] ${source} is invalid:\n  - ${errors.join("\n  - ")}`,
+    );
+  }
+
+  return {
+    version: SCENE_VERSION,
+    name: data.name ?? DEFAULT_SCENE.name,
+    environment,
+    floor,
+    walls,
+    lights,
+    models,
+    triggers,
+    spawnPoints,
+    platforms,
+    ladders,
+    player,
+    physics,
+  };
+}
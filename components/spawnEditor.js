@@ -0,0 +1,179 @@
+// Spawn editor: "Spawn points" panel for adding and deleting named spawn
+// points, and for choosing where the player starts when play mode begins
+// (where they left off, the scene's start, a spawn point, or "spawn here":
+// the point the editor camera orbits).
+import * as THREE from "three";
+import { createButton, createFieldRow, createSelect } from "./editorUI.js";
+
+// "Play from" choices besides the spawn points themselves
+const PLAY_FROM = {
+  current: "Where the player is",
+  start: "Scene start",
+  target: "Here (camera target)",
+};
+
+/**
+ * Creates the "Spawn points" panel.
+ *
+ * Entering play mode also clears any checkpoint from the last session.
+ *
+ * @param {Object} options
+ * @param {Object} options.editorUI - result of createEditorUI()
+ * @param {Object} options.modeSystem - createModeSystem() instance
+ * @param {Object} options.spawnRegistry - createSpawnRegistry() instance
+ * @param {THREE.Camera} options.camera - the editor camera (new spawn
+ *   points face the way it looks)
+ * @param {Function} options.spawnAt - fn({position, yaw}) standing the
+ *   player at a spawn point
+ * @param {Function} options.teleport - fn(position, yaw) moving the capsule
+ * @param {{x: number, y: number, z: number}} options.playerSpawn - the
+ *   scene's start position (capsule center)
+ * @param {Function} [options.setRespawnPoint] - fn(spawnConfig|null)
+ * @returns {Object} spawn editor API: addSpawn(), deleteSpawns(objects),
+ *   getPlayFrom(), setPlayFrom(choice), dispose()
+ */
+export function createSpawnEditor({
+  editorUI,
+  modeSystem,
+  spawnRegistry,
+  camera,
+  spawnAt,
+  teleport,
+  playerSpawn,
+  setRespawnPoint = () => {},
+}) {
+  const panel = editorUI.addPanel("Spawn points", { collapsed: true });
+  const { history, objectPicker, orbitControls, flashMessage } = modeSystem;
+  let playFrom = "current"; // PLAY_FROM key or "spawn:<id>"
+
+  panel.appendChild(createButton("+ Spawn point", () => addSpawn()));
+
+  const select = createSelect({
+    options: [],
+    value: playFrom,
+    onChange: (value) => (playFrom = value),
+  });
+  select.style.width = "150px";
+  panel.appendChild(createFieldRow("Play from", select));
+
+  const hint = document.createElement("div");
+  hint.style.cssText = "margin-top: 6px; color: #aaa; font-size: 11px;";
+  hint.textContent =
+    "New spawn points appear at the camera target, facing away from the camera; rotate (R) to turn one.";
+  panel.appendChild(hint);
+
+  function refresh() {
+    select.textContent = "";
+    const choices = [
+      ...Object.entries(PLAY_FROM),
+      ...spawnRegistry.spawns.map(({ config }) => [
+        `spawn:${config.id}`,
+        `Spawn "${config.id}"`,
+      ]),
+    ];
+    for (const [value, label] of choices) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    }
+    // a deleted spawn point can't be played from
+    if (!choices.some(([value]) => value === playFrom)) playFrom = "current";
+    select.value = playFrom;
+  }
+  spawnRegistry.onAdd(refresh);
+  spawnRegistry.onRemove(refresh);
+  refresh();
+
+  const _euler = new THREE.Euler(0, 0, 0, "YXZ");
+  const cameraYaw = () => _euler.setFromQuaternion(camera.quaternion, "YXZ").y;
+
+  const selectSpawn = (record) => objectPicker.setSelection([record.marker]);
+
+  function addSpawn() {
+    const config = {
+      id: spawnRegistry.uniqueId(),
+      position: orbitControls.target.toArray(),
+      yaw: cameraYaw(),
+    };
+    const record = spawnRegistry.add(config);
+    selectSpawn(record);
+
+    history.push({
+      label: `add ${config.id}`,
+      undo: () => {
+        const current = spawnRegistry.findById(config.id);
+        if (current) spawnRegistry.remove(current);
+      },
+      redo: () => selectSpawn(spawnRegistry.add(config)),
+    });
+    flashMessage(`Added spawn point ${config.id}`);
+    return record;
+  }
+
+  // Remove the spawn points among `objects`; other objects are ignored
+  function deleteSpawns(objects) {
+    const records = objects
+      .filter((obj) => !obj.userData.locked)
+      .map((obj) => spawnRegistry.findByObject(obj))
+      .filter(Boolean);
+    if (records.length === 0) return;
+
+    const configs = records.map((record) => spawnRegistry.toConfig(record));
+    const ids = configs.map((config) => config.id);
+    const removeAll = () => {
+      for (const id of ids) {
+        const record = spawnRegistry.findById(id);
+        if (record) spawnRegistry.remove(record);
+      }
+    };
+
+    const removed = new Set(records.map((record) => record.marker));
+    objectPicker.setSelection(
+      objectPicker.getSelection().filter((obj) => !removed.has(obj)),
+    );
+    removeAll();
+    history.push({
+      label: `delete ${ids.join(", ")}`,
+      undo: () =>
+        objectPicker.setSelection(
+          configs.map((config) => spawnRegistry.add(config).marker),
+        ),
+      redo: removeAll,
+    });
+    flashMessage(
+      `Deleted ${ids.length > 1 ? `${ids.length} spawn points` : ids[0]}`,
+    );
+  }
+
+  // Place the player for the new play session
+  function placePlayer() {
+    if (playFrom === "start") {
+      teleport([playerSpawn.x, playerSpawn.y, playerSpawn.z]);
+    } else if (playFrom === "target") {
+      spawnAt({ position: orbitControls.target.toArray(), yaw: cameraYaw() });
+    } else if (playFrom.startsWith("spawn:")) {
+      const record = spawnRegistry.findById(playFrom.slice("spawn:".length));
+      if (record) spawnAt(spawnRegistry.toConfig(record));
+    }
+  }
+
+  modeSystem.onModeChange((mode) => {
+    if (mode !== "play") return;
+    setRespawnPoint(null);
+    placePlayer();
+  });
+
+  return {
+    addSpawn,
+    deleteSpawns,
+    getPlayFrom: () => playFrom,
+    setPlayFrom: (choice) => {
+      playFrom = choice;
+      refresh();
+    },
+    dispose: () => {
+      panel.innerHTML = "";
+    },
+  };
+}
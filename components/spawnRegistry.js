@@ -0,0 +1,139 @@
+// Spawn registry: named spawn points (`spawnPoints` in the scene file).  Each
+// one is an editor marker (a disc on the ground with an arrow showing which
+// way the player will face) that can be picked and moved with the gizmo,
+// and is turned back into a scene-file config for saving.
+import * as THREE from "three";
+import { serializeTransform } from "./sceneExport.js";
+
+const MARKER_RADIUS = 0.3;
+const MARKER_COLOR = 0x33cc66;
+
+// Disc with an arrow along -Z, the way the camera looks at yaw 0
+function createMarker(id) {
+  const marker = new THREE.Group();
+  marker.name = id;
+  // emissive so it stands out whatever the lighting
+  const material = new THREE.MeshStandardMaterial({
+    color: 0x000000,
+    emissive: MARKER_COLOR,
+  });
+  const disc = new THREE.Mesh(
+    new THREE.CylinderGeometry(MARKER_RADIUS, MARKER_RADIUS, 0.02, 24),
+    material,
+  );
+  disc.position.y = 0.01;
+  const arrow = new THREE.Mesh(
+    new THREE.ConeGeometry(MARKER_RADIUS * 0.4, MARKER_RADIUS, 12),
+    material,
+  );
+  arrow.rotation.x = -Math.PI / 2; // tip toward -Z
+  arrow.position.set(0, 0.05, -MARKER_RADIUS * 1.3);
+  marker.add(disc, arrow);
+  marker.traverse((o) => (o.userData.editorHelper = true)); // not a surface
+  return marker;
+}
+
+/**
+ * Creates the registry of spawn points.
+ *
+ * Each record has the shape { marker, config }.  The marker's position and
+ * heading are read back when saving, since the gizmo moves it directly.
+ *
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene
+ * @returns {Object} registry API; `spawns` is the live array of records
+ */
+export function createSpawnRegistry({ scene }) {
+  const spawns = [];
+  const addCallbacks = [];
+  const removeCallbacks = [];
+  let markersVisible = true;
+
+  /**
+   * Create a spawn point's marker from its config.
+   *
+   * @param {Object} config - validated spawn point config
+   * @returns {Object} the new record
+   */
+  function add(config) {
+    const marker = createMarker(config.id);
+    marker.position.fromArray(config.position);
+    marker.rotation.y = config.yaw;
+    marker.visible = markersVisible;
+    scene.add(marker);
+
+    const record = { marker, config: { ...config } };
+    spawns.push(record);
+    addCallbacks.forEach((fn) => fn(record));
+    console.log(`[Scene] Added spawn point "${config.id}"`);
+    return record;
+  }
+
+  /**
+   * @param {Object} record
+   */
+  function remove(record) {
+    const index = spawns.indexOf(record);
+    if (index === -1) return;
+    spawns.splice(index, 1);
+
+    record.marker.removeFromParent();
+    record.marker.traverse((o) => o.geometry?.dispose());
+    record.marker.children[0].material.dispose();
+    removeCallbacks.forEach((fn) => fn(record));
+  }
+
+  const _euler = new THREE.Euler(0, 0, 0, "YXZ");
+
+  /**
+   * A spawn point where its marker stands now (markers tilted with the
+   * rotate gizmo only keep their heading).
+   *
+   * @param {Object} record
+   * @returns {{id: string, position: number[], yaw: number}}
+   */
+  function toConfig({ marker, config }) {
+    _euler.setFromQuaternion(marker.quaternion, "YXZ");
+    return {
+      ...config,
+      position: serializeTransform(marker).position,
+      yaw: Math.round(_euler.y * 10000) / 10000,
+    };
+  }
+
+  // Show markers in the editor, hide them while playing
+  function setMarkersVisible(visible) {
+    markersVisible = visible;
+    for (const { marker } of spawns) marker.visible = visible;
+  }
+
+  // Make an id no spawn point uses yet, e.g. "spawn_2"
+  function uniqueId(base = "spawn") {
+    const taken = new Set(spawns.map((s) => s.config.id));
+    let n = 1;
+    while (taken.has(`${base}_${n}`)) n++;
+    return `${base}_${n}`;
+  }
+
+  function findById(id) {
+    return spawns.find((s) => s.config.id === id) ?? null;
+  }
+
+  function findByObject(object) {
+    return spawns.find((s) => s.marker === object) ?? null;
+  }
+
+  return {
+    spawns,
+    add,
+    remove,
+    toConfig,
+    toConfigs: () => spawns.map(toConfig),
+    setMarkersVisible,
+    uniqueId,
+    findById,
+    findByObject,
+    onAdd: (fn) => addCallbacks.push(fn),
+    onRemove: (fn) => removeCallbacks.push(fn),
+  };
+}
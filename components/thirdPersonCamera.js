@@ -0,0 +1,142 @@
+// Third-person camera: in play mode the view can switch from the player's
+// eyes to a camera orbiting behind them over one shoulder.  The mouse still
+// turns the view as in first person; the camera hangs on a spring arm that
+// shortens when a wall or object would come between it and the player.
+import * as THREE from "three";
+import { createPhysicsRay } from "./physicsRay.js";
+import { createInputMap } from "./inputMap.js";
+
+const CAMERA_MARGIN = 0.2; // kept between the camera and what the arm hits
+const VIEWS = ["first", "third"];
+
+/**
+ * Creates the third-person camera.  Call update() every play-mode frame
+ * after the player update (which puts the camera at the player's eyes) and
+ * before anything that aims from `eye`.
+ *
+ * The camera's rotation is left to the look controls; only its position is
+ * moved.  `eye` keeps the first-person pose, so aiming (interactions,
+ * grabbing) works the same in both views.
+ *
+ * @param {Object} options
+ * @param {THREE.PerspectiveCamera} options.camera
+ * @param {Object} options.physics - AmmoPhysics instance
+ * @param {Function} [options.ignore] - () => objects the arm passes through
+ *   (the player's capsule, a carried object...)
+ * @param {Object} [options.config] - validated `player.camera` settings:
+ *   view, distance, shoulder, height, smoothing
+ * @param {Object} [options.inputMap] - createInputMap() instance (the
+ *   "toggleView" action)
+ * @param {Function} [options.isActive] - () => true while the player is in
+ *   control; the view key is ignored otherwise
+ * @returns {Object} camera API: update(delta), getView(), setView(view),
+ *   toggle(), onViewChange(fn), eye, dispose()
+ */
+export function createThirdPersonCamera({
+  camera,
+  physics,
+  ignore = () => [],
+  config = {},
+  inputMap = createInputMap(),
+  isActive = () => true,
+}) {
+  const {
+    view: initialView = "first",
+    distance = 3,
+    shoulder = 0.4,
+    height = 0.2,
+    smoothing = 10,
+  } = config;
+  const { cast: castRay, dispose: disposeRay } = createPhysicsRay({
+    physics,
+    ignore: () => ignore().filter(Boolean),
+  });
+
+  // The player's eyes, whichever view is shown
+  const eye = camera.clone();
+  let view = VIEWS.includes(initialView) ? initialView : "first";
+  let arm = distance; // current arm length, eased back out after a hit
+  let snap = true; // jump straight to the target on the next update
+  const pivot = new THREE.Vector3();
+  const viewCallbacks = [];
+
+  const _target = new THREE.Vector3();
+  const _right = new THREE.Vector3();
+  const _back = new THREE.Vector3();
+  const _shoulder = new THREE.Vector3();
+  const _end = new THREE.Vector3();
+
+  /**
+   * @param {number} delta - seconds
+   */
+  function update(delta) {
+    eye.position.copy(camera.position);
+    eye.quaternion.copy(camera.quaternion);
+    eye.updateMatrixWorld();
+    if (view !== "third") return;
+
+    // pivot above the eyes, trailing the player slightly
+    _target.copy(camera.position).y += height;
+    const follow = 1 - Math.exp(-smoothing * delta);
+    if (snap) pivot.copy(_target);
+    else pivot.lerp(_target, follow);
+
+    // over the shoulder, unless a wall is right beside the player
+    _right.set(1, 0, 0).applyQuaternion(camera.quaternion);
+    let side = shoulder;
+    if (side !== 0) {
+      _end.copy(pivot).addScaledVector(_right, side);
+      const hit = castRay(pivot, _end);
+      if (hit) {
+        side = Math.sign(side) * Math.max(hit.distance - CAMERA_MARGIN, 0);
+      }
+    }
+    _shoulder.copy(pivot).addScaledVector(_right, side);
+
+    // back along the view direction as far as nothing is in the way
+    _back.set(0, 0, 1).applyQuaternion(camera.quaternion);
+    _end.copy(_shoulder).addScaledVector(_back, distance + CAMERA_MARGIN);
+    const hit = castRay(_shoulder, _end);
+    const free = hit ? Math.max(hit.distance - CAMERA_MARGIN, 0) : distance;
+    // pull in at once so nothing is seen through, ease back out
+    if (snap || free < arm) arm = free;
+    else arm += (free - arm) * follow;
+    snap = false;
+
+    camera.position.copy(_shoulder).addScaledVector(_back, arm);
+  }
+
+  /**
+   * @param {string} next - "first" or "third"
+   */
+  function setView(next) {
+    if (!VIEWS.includes(next) || next === view) return;
+    view = next;
+    snap = true;
+    console.log(`[Player] ${view === "third" ? "Third" : "First"}-person view`);
+    viewCallbacks.forEach((fn) => fn(view));
+  }
+
+  const toggle = () => setView(view === "first" ? "third" : "first");
+
+  const onKeyDown = (event) => {
+    if (event.repeat || !isActive()) return;
+    if (inputMap.match(event, "play") === "toggleView") toggle();
+  };
+  window.addEventListener("keydown", onKeyDown);
+
+  return {
+    eye,
+    update,
+    getView: () => view,
+    setView,
+    toggle,
+    // fn(view) whenever the view switches
+    onViewChange: (fn) => viewCallbacks.push(fn),
+    dispose: () => {
+      window.removeEventListener("keydown", onKeyDown);
+      disposeRay();
+      viewCallbacks.length = 0;
+    },
+  };
+}
@@ -0,0 +1,263 @@
+// Touch controls: on-screen joystick, drag-to-look and buttons for play mode
+// on phones and tablets, where pointer lock isn't available.  They write the
+// same movement state as the keyboard, so createPlayer's update() drives the
+// capsule unchanged.
+import { lookBy } from "./firstPersonSetup.js";
+
+const COARSE_POINTER = "(pointer: coarse)";
+
+const BUTTON_STYLE = `
+  width: 64px;
+  height: 64px;
+  border-radius: 50%;
+  border: 2px solid rgba(255, 255, 255, 0.6);
+  background: rgba(0, 0, 0, 0.35);
+  color: white;
+  font-family: sans-serif;
+  font-size: 13px;
+  touch-action: none;
+  user-select: none;
+  -webkit-user-select: none;
+`;
+
+/**
+ * Creates the touch controls (hidden until play mode on a touch device).
+ *
+ * The left third of the screen holds the joystick: it appears where the
+ * thumb lands, and how far the knob is pushed sets the walking speed.
+ * Dragging anywhere else turns the view.  Buttons: Jump, Sprint (held), Use
+ * (the interaction key) and Exit (back to the editor).  In the editor a Play
+ * button stands in for the L key.
+ *
+ * @param {Object} options
+ * @param {THREE.Camera} options.camera
+ * @param {Object} options.movement - createPlayer()'s movement state
+ * @param {Object} options.controls - the PointerLockControls (pitch limits)
+ * @param {Object} options.modeSystem - createModeSystem() instance
+ * @param {Object} [options.interactions] - createInteractionSystem() instance
+ * @param {Object} [options.config] - validated `player.touch` settings
+ * @returns {Object} touch API: isActive(), dispose()
+ */
+export function createTouchControls({
+  camera,
+  movement,
+  controls,
+  modeSystem,
+  interactions = null,
+  config = {},
+}) {
+  const { mode = "auto", lookSensitivity = 0.005, joystickSize = 120 } = config;
+  const coarse = window.matchMedia(COARSE_POINTER);
+  const radius = joystickSize / 2;
+
+  let joystick = null; // { pointerId, x, y } where the thumb went down
+  let lookPointer = null; // { pointerId, x, y } last position
+
+  // ---- DOM ----
+
+  const overlay = document.createElement("div");
+  overlay.style.cssText = `
+    position: fixed;
+    inset: 0;
+    z-index: 900;
+    touch-action: none;
+    display: none;
+  `;
+
+  const base = document.createElement("div");
+  base.style.cssText = `
+    position: absolute;
+    width: ${joystickSize}px;
+    height: ${joystickSize}px;
+    margin: -${radius}px 0 0 -${radius}px;
+    border-radius: 50%;
+    border: 2px solid rgba(255, 255, 255, 0.5);
+    background: rgba(0, 0, 0, 0.25);
+    pointer-events: none;
+    display: none;
+  `;
+  const knob = document.createElement("div");
+  knob.style.cssText = `
+    position: absolute;
+    left: 50%;
+    top: 50%;
+    width: ${radius}px;
+    height: ${radius}px;
+    margin: -${radius / 2}px 0 0 -${radius / 2}px;
+    border-radius: 50%;
+    background: rgba(255, 255, 255, 0.6);
+  `;
+  base.appendChild(knob);
+  overlay.appendChild(base);
+
+  const buttons = document.createElement("div");
+  buttons.style.cssText = `
+    position: absolute;
+    right: 24px;
+    bottom: 24px;
+    display: grid;
+    grid-template-columns: repeat(2, 64px);
+    gap: 12px;
+  `;
+  overlay.appendChild(buttons);
+
+  // onDown/onUp run as the button is pressed and released
+  function addButton(label, onDown, onUp = () => {}) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.style.cssText = BUTTON_STYLE;
+    button.addEventListener("pointerdown", (event) => {
+      event.stopPropagation();
+      button.setPointerCapture(event.pointerId);
+      button.style.background = "rgba(255, 255, 255, 0.35)";
+      onDown();
+    });
+    const release = (event) => {
+      event.stopPropagation();
+      button.style.background = "rgba(0, 0, 0, 0.35)";
+      onUp();
+    };
+    button.addEventListener("pointerup", release);
+    button.addEventListener("pointercancel", release);
+    buttons.appendChild(button);
+  }
+
+  addButton("Use", () => interactions?.interact());
+  addButton(
+    "Sprint",
+    () => (movement.sprint = true),
+    () => (movement.sprint = false),
+  );
+  addButton("Exit", () => modeSystem.switchToEditorMode());
+  addButton(
+    "Jump",
+    () => (movement.jump = true),
+    () => (movement.jump = false),
+  );
+
+  document.body.appendChild(overlay);
+
+  const playButton = document.createElement("button");
+  playButton.textContent = "▶ Play";
+  playButton.style.cssText = `
+    position: fixed;
+    bottom: 16px;
+    right: 16px;
+    padding: 10px 18px;
+    border: none;
+    border-radius: 4px;
+    background: rgba(0, 0, 0, 0.7);
+    color: white;
+    font-family: sans-serif;
+    font-size: 14px;
+    z-index: 1000;
+    display: none;
+  `;
+  playButton.addEventListener("click", () => modeSystem.switchToPlayMode());
+  document.body.appendChild(playButton);
+
+  // ---- joystick and look ----
+
+  function moveKnob(dx, dy) {
+    const length = Math.hypot(dx, dy);
+    const scale = length > radius ? radius / length : 1;
+    const x = dx * scale;
+    const y = dy * scale;
+    knob.style.transform = `translate(${x}px, ${y}px)`;
+    movement.axisX = x / radius;
+    movement.axisY = -y / radius; // screen y points down
+  }
+
+  function releaseJoystick() {
+    joystick = null;
+    base.style.display = "none";
+    knob.style.transform = "";
+    movement.axisX = 0;
+    movement.axisY = 0;
+  }
+
+  const onPointerDown = (event) => {
+    if (event.clientX < window.innerWidth / 3 && !joystick) {
+      joystick = {
+        pointerId: event.pointerId,
+        x: event.clientX,
+        y: event.clientY,
+      };
+      base.style.left = `${event.clientX}px`;
+      base.style.top = `${event.clientY}px`;
+      base.style.display = "block";
+      moveKnob(0, 0);
+    } else if (!lookPointer) {
+      lookPointer = {
+        pointerId: event.pointerId,
+        x: event.clientX,
+        y: event.clientY,
+      };
+    }
+    overlay.setPointerCapture(event.pointerId);
+  };
+
+  const onPointerMove = (event) => {
+    if (joystick?.pointerId === event.pointerId) {
+      moveKnob(event.clientX - joystick.x, event.clientY - joystick.y);
+    } else if (lookPointer?.pointerId === event.pointerId) {
+      lookBy(
+        camera,
+        controls,
+        (event.clientX - lookPointer.x) * lookSensitivity,
+        (event.clientY - lookPointer.y) * lookSensitivity,
+      );
+      lookPointer.x = event.clientX;
+      lookPointer.y = event.clientY;
+    }
+  };
+
+  const onPointerUp = (event) => {
+    if (joystick?.pointerId === event.pointerId) releaseJoystick();
+    if (lookPointer?.pointerId === event.pointerId) lookPointer = null;
+  };
+
+  overlay.addEventListener("pointerdown", onPointerDown);
+  overlay.addEventListener("pointermove", onPointerMove);
+  overlay.addEventListener("pointerup", onPointerUp);
+  overlay.addEventListener("pointercancel", onPointerUp);
+
+  // ---- activation ----
+
+  const isEnabled = () =>
+    mode === "always" || (mode === "auto" && coarse.matches);
+
+  const isActive = () => isEnabled() && modeSystem.isPlayMode();
+
+  function refresh() {
+    const active = isActive();
+    overlay.style.display = active ? "block" : "none";
+    playButton.style.display =
+      isEnabled() && modeSystem.isEditorMode() ? "block" : "none";
+    movement.touch = active;
+    if (!active) {
+      releaseJoystick();
+      lookPointer = null;
+      movement.sprint = false;
+      movement.jump = false;
+      return;
+    }
+    // "Click for first-person" doesn't apply here
+    const hint = document.getElementById("pointer-lock-hint");
+    if (hint) hint.style.display = "none";
+  }
+
+  modeSystem.onModeChange(refresh);
+  coarse.addEventListener("change", refresh); // e.g. a tablet keyboard dock
+  refresh();
+
+  return {
+    isActive,
+    dispose: () => {
+      coarse.removeEventListener("change", refresh);
+      movement.touch = false;
+      overlay.remove();
+      playButton.remove();
+    },
+  };
+}
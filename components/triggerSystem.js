@@ -0,0 +1,332 @@
+// Trigger volumes: sphere/box zones that fire onEnter/onStay/onExit when the
+// player (or a model) moves through them.  Zones and their actions come from
+// the scene file's `triggers` section; code can add zones and listen to them
+// as well.  See sceneSchema.js for the config format.
+import * as THREE from "three";
+import { ExtendedObject3D } from "@enable3d/ammo-physics";
+import {
+  COLLISION_GROUP_PLAYER,
+  COLLISION_GROUP_OBJECT,
+  COLLISION_GROUP_TRIGGER,
+} from "./colliders.js";
+
+// enable3d/Bullet collision flags: static body that reports contacts but
+// doesn't push anything; kinematic for zones that follow a model
+const GHOST_FLAGS = { static: 1 | 4, kinematic: 2 | 4 };
+
+const WIREFRAME_COLOR = 0x00ffcc;
+
+const EVENT_ACTIONS = { enter: "onEnter", stay: "onStay", exit: "onExit" };
+
+/**
+ * Creates the trigger system.
+ *
+ * Each trigger tracks the objects inside it separately.  An object enters
+ * when it is inside the volume and leaves once it is `exitMargin` beyond it,
+ * so standing on the boundary doesn't flicker.  After an enter the trigger
+ * ignores new entries for `cooldown` seconds; a `once` trigger disables
+ * itself after its first visit.  `ghost` triggers detect entry with an Ammo
+ * ghost body instead (exact shape, sees any body with a matching collision
+ * group), and use the volume test plus margin only to decide when to exit.
+ *
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene
+ * @param {Object} options.physics - AmmoPhysics instance
+ * @param {THREE.Object3D} options.playerCollider
+ * @param {Object} options.modelRegistry - createModelRegistry() instance
+ * @param {Object} options.actions - createSceneActions() instance
+ * @param {Array<Object>} [options.triggers] - validated trigger configs
+ * @returns {Object} trigger API: add(config), remove(id), on(id, event, fn),
+ *   update(delta), updateHelpers(), setHelpersVisible(bool), reset(),
+ *   triggers, dispose()
+ */
+export function createTriggerSystem({
+  scene,
+  physics,
+  playerCollider,
+  modelRegistry,
+  actions,
+  triggers: configs = [],
+}) {
+  const triggers = [];
+  let elapsed = 0;
+  let helpersVisible = true;
+
+  // ---- volumes ----
+
+  // Model the trigger follows, or null
+  const attachedObject = (trigger) => {
+    if (!trigger.config.attachTo) return null;
+    const record = modelRegistry.findById(trigger.config.attachTo);
+    return record ? (record.collider ?? record.model) : null;
+  };
+
+  // Where the volume is this frame; false if its model is gone
+  function placeVolume(trigger) {
+    const offset = trigger.config.position;
+    if (!trigger.config.attachTo) {
+      trigger.center.set(...offset);
+      return true;
+    }
+    const anchor = attachedObject(trigger);
+    if (!anchor) return false;
+    anchor.getWorldPosition(trigger.center);
+    trigger.center.x += offset[0];
+    trigger.center.y += offset[1];
+    trigger.center.z += offset[2];
+    return true;
+  }
+
+  // Is `point` inside the volume grown by `margin`?
+  function contains(trigger, point, margin) {
+    const { shape, radius, size } = trigger.config;
+    const { center } = trigger;
+    if (shape === "sphere") {
+      return point.distanceToSquared(center) <= (radius + margin) ** 2;
+    }
+    return (
+      Math.abs(point.x - center.x) <= size[0] / 2 + margin &&
+      Math.abs(point.y - center.y) <= size[1] / 2 + margin &&
+      Math.abs(point.z - center.z) <= size[2] / 2 + margin
+    );
+  }
+
+  function createWireframe({ shape, radius, size }) {
+    const geometry =
+      shape === "sphere" ?
+        new THREE.SphereGeometry(radius, 16, 12)
+      : new THREE.BoxGeometry(...size);
+    const wireframe = new THREE.Mesh(
+      geometry,
+      new THREE.MeshBasicMaterial({
+        color: WIREFRAME_COLOR,
+        wireframe: true,
+        transparent: true,
+        opacity: 0.5,
+      }),
+    );
+    wireframe.userData.selectable = false;
+    wireframe.userData.editorHelper = true;
+    wireframe.visible = helpersVisible;
+    return wireframe;
+  }
+
+  function createGhost(trigger) {
+    const { id, shape, radius, size, attachTo } = trigger.config;
+    const ghost = new ExtendedObject3D();
+    ghost.name = `trigger:${id}`;
+    ghost.position.copy(trigger.center);
+    scene.add(ghost);
+    physics.add.existing(ghost, {
+      shape,
+      radius,
+      width: size[0],
+      height: size[1],
+      depth: size[2],
+      mass: 0,
+      collisionFlags: attachTo ? GHOST_FLAGS.kinematic : GHOST_FLAGS.static,
+      collisionGroup: COLLISION_GROUP_TRIGGER,
+      collisionMask: COLLISION_GROUP_PLAYER | COLLISION_GROUP_OBJECT,
+    });
+    // objects touching the ghost during the last physics step
+    ghost.body.on.collision((other, event) => {
+      if (event !== "end") trigger.touching.add(other);
+    });
+    return ghost;
+  }
+
+  // ---- events ----
+
+  function emit(trigger, event, object) {
+    actions.runAll(trigger.config[EVENT_ACTIONS[event]], {
+      source: `Trigger "${trigger.config.id}" ${event}`,
+      object,
+    });
+    const payload = { trigger, object, event };
+    for (const fn of trigger.listeners[event]) fn(payload);
+  }
+
+  // Objects this trigger watches
+  function candidates(trigger) {
+    const { detect } = trigger.config;
+    const objects = [];
+    if (detect.includes("player") && playerCollider) {
+      objects.push(playerCollider);
+    }
+    if (detect.includes("models")) {
+      for (const record of modelRegistry.models) {
+        const object = record.collider ?? record.model;
+        if (object && object !== attachedObject(trigger)) objects.push(object);
+      }
+    }
+    return objects;
+  }
+
+  const _point = new THREE.Vector3();
+
+  function updateTrigger(trigger) {
+    if (trigger.disabled) return;
+    const placed = placeVolume(trigger);
+    trigger.wireframe.position.copy(trigger.center);
+    if (trigger.ghost && placed) {
+      trigger.ghost.position.copy(trigger.center);
+      trigger.ghost.body.needUpdate = true; // kinematic: follow the model
+    }
+
+    const { exitMargin, cooldown, once } = trigger.config;
+    const watched = placed ? candidates(trigger) : [];
+
+    // exits: objects that left (or were removed, or the volume is gone)
+    for (const object of [...trigger.inside]) {
+      object.getWorldPosition(_point);
+      const stillInside =
+        watched.includes(object) &&
+        (trigger.touching.has(object) || contains(trigger, _point, exitMargin));
+      if (stillInside) continue;
+      trigger.inside.delete(object);
+      emit(trigger, "exit", object);
+      if (once) {
+        trigger.disabled = true;
+        trigger.wireframe.visible = false;
+        return;
+      }
+    }
+
+    // enters, then stays
+    for (const object of watched) {
+      if (trigger.inside.has(object)) {
+        emit(trigger, "stay", object);
+        continue;
+      }
+      object.getWorldPosition(_point);
+      const entered =
+        trigger.ghost ?
+          trigger.touching.has(object)
+        : contains(trigger, _point, 0);
+      if (!entered) continue;
+      // on cooldown: re-checked every frame, so it fires once the cooldown
+      // ends if the object is still inside
+      if (elapsed - trigger.lastEnter < cooldown) continue;
+      if (once && trigger.lastEnter > -Infinity) continue;
+      trigger.lastEnter = elapsed;
+      trigger.inside.add(object);
+      emit(trigger, "enter", object);
+    }
+    trigger.touching.clear();
+  }
+
+  // ---- API ----
+
+  /**
+   * Add a trigger zone.
+   *
+   * @param {Object} config - validated trigger config (sceneSchema.js)
+   * @returns {Object} the trigger
+   */
+  function add(config) {
+    const trigger = {
+      config,
+      center: new THREE.Vector3(),
+      inside: new Set(),
+      touching: new Set(),
+      lastEnter: -Infinity,
+      disabled: false,
+      listeners: { enter: [], stay: [], exit: [] },
+      wireframe: createWireframe(config),
+      ghost: null,
+    };
+    placeVolume(trigger);
+    trigger.wireframe.position.copy(trigger.center);
+    scene.add(trigger.wireframe);
+    if (config.ghost && physics) trigger.ghost = createGhost(trigger);
+    triggers.push(trigger);
+    return trigger;
+  }
+
+  function remove(id) {
+    const index = triggers.findIndex((t) => t.config.id === id);
+    if (index === -1) return;
+    const [trigger] = triggers.splice(index, 1);
+    trigger.wireframe.removeFromParent();
+    trigger.wireframe.geometry.dispose();
+    trigger.wireframe.material.dispose();
+    if (trigger.ghost) {
+      physics.destroy(trigger.ghost);
+      trigger.ghost.removeFromParent();
+    }
+  }
+
+  /**
+   * Listen to a trigger's events.
+   *
+   * @param {string} id - trigger id
+   * @param {"enter"|"stay"|"exit"} event
+   * @param {Function} fn - fn({trigger, object, event})
+   * @returns {Function} call to stop listening
+   */
+  function on(id, event, fn) {
+    const trigger = triggers.find((t) => t.config.id === id);
+    if (!trigger) {
+      console.warn(`[Scene] No trigger "${id}"`);
+      return () => {};
+    }
+    trigger.listeners[event].push(fn);
+    return () => {
+      trigger.listeners[event] = trigger.listeners[event].filter(
+        (listener) => listener !== fn,
+      );
+    };
+  }
+
+  // Call every play-mode frame, after physics.update()
+  function update(delta) {
+    elapsed += delta;
+    for (const trigger of triggers) updateTrigger(trigger);
+  }
+
+  // Keep wireframes on the models they follow; call every editor frame
+  function updateHelpers() {
+    for (const trigger of triggers) {
+      placeVolume(trigger);
+      trigger.wireframe.position.copy(trigger.center);
+    }
+  }
+
+  // Back to the editor: forget who was inside, cooldowns and fired `once`
+  // triggers, so the next play test starts fresh
+  function reset() {
+    elapsed = 0;
+    for (const trigger of triggers) {
+      trigger.inside.clear();
+      trigger.touching.clear();
+      trigger.lastEnter = -Infinity;
+      trigger.disabled = false;
+    }
+    setHelpersVisible(helpersVisible);
+  }
+
+  // Show the zones in the editor, hide them while playing
+  function setHelpersVisible(visible) {
+    helpersVisible = visible;
+    for (const trigger of triggers) {
+      trigger.wireframe.visible = visible && !trigger.disabled;
+    }
+    updateHelpers();
+  }
+
+  for (const config of configs) add(config);
+
+  return {
+    triggers,
+    add,
+    remove,
+    on,
+    update,
+    updateHelpers,
+    setHelpersVisible,
+    reset,
+    dispose: () => {
+      for (const trigger of [...triggers]) remove(trigger.config.id);
+    },
+  };
+}
@@ -1,19 +1,72 @@
 // Main entry for 3D scene setup and animation loop
 import * as THREE from "three";
-import { createEnvironment } from "./components/createEnvironment.js"; // Terrain/environment
 import { createScene } from "./components/createScene.js"; // Scene/camera/renderer
-import { loadModel } from "./components/modelLoader.js"; // GLTF model loader
-import { createRoomWalls } from "./components/createRoomWalls.js"; // room geometry with optional textures
-import { createPlayer } from "./components/playerSetup.js"; // encapsulated player/physics setup
-import {
-  createPointLights,
-  createCeilingLights,
-} from "./components/createLights.js"; // helpers for adding lights
-import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js"; // Three.js GLTF loader
+import { loadSceneFile, buildWorld } from "./components/sceneLoader.js"; // Scene file -> world
+import { validateScene } from "./components/sceneSchema.js";
 import { createModeSystem } from "./components/modeSystem.js"; // Editor/Play mode system
+import { createModelRegistry } from "./components/modelRegistry.js"; // Live model list
+import { createLightRegistry } from "./components/lightRegistry.js"; // Editor-placed lights
+import { createEditorUI } from "./components/editorUI.js"; // Editor side panels
+import { createAssetBrowser } from "./components/assetBrowser.js"; // Spawn models
+import { createPropertyInspector } from "./components/propertyInspector.js"; // Edit selection
+import { createOutliner } from "./components/outliner.js"; // Scene hierarchy
+import { createLightEditor } from "./components/lightEditor.js"; // Add/delete lights
+import { createSpawnRegistry } from "./components/spawnRegistry.js"; // Named spawn points
+import { createSpawnEditor } from "./components/spawnEditor.js"; // Add spawns, play from
+import { createTriggerSystem } from "./components/triggerSystem.js"; // Proximity zones
+import { createSceneActions } from "./components/sceneActions.js"; // Trigger/interaction effects
+import { createMovingPlatforms } from "./components/movingPlatforms.js"; // Lifts, ferries
+import { createInfoCard } from "./components/infoCard.js"; // Exhibit info overlay
+import { createInteractionSystem } from "./components/interactionSystem.js"; // Look + press E
+import { createGrabSystem } from "./components/grabSystem.js"; // Carry/throw objects
+import { createKillPlane, killPlaneHeight } from "./components/killPlane.js"; // Out-of-bounds models
+import { createGamepadInput } from "./components/gamepadInput.js"; // Controller support
+import { createTouchControls } from "./components/touchControls.js"; // Phones and tablets
+import { createInputMap } from "./components/inputMap.js"; // Rebindable keys
+import { createControlsPanel } from "./components/controlsPanel.js"; // Rebind keys
+import { createPauseMenu } from "./components/pauseMenu.js"; // Pause + settings
+import { createThirdPersonCamera } from "./components/thirdPersonCamera.js"; // Follow camera
+import { createAvatar } from "./components/avatar.js"; // Visible player body
+import { createObjectCommands } from "./components/objectCommands.js"; // Delete/duplicate/paste
+import {
+  collectLayout,
+  applyLayout,
+  saveLayout,
+  loadLayout,
+  downloadScene,
+} from "./components/sceneExport.js"; // Save editor changes
 // physics
 import { AmmoPhysics, PhysicsLoader } from "@enable3d/ammo-physics";
 
+// Which world to load: /?scene=gallery loads public/scenes/gallery.json
+const sceneName =
+  new URLSearchParams(window.location.search).get("scene") || "default";
+const sceneUrl = `/scenes/${sceneName}.json`;
+
+// Show scene file problems on screen as well as in the console, so authors
+// editing JSON don't have to open devtools to find a typo.
+function showSceneError(err) {
+  console.error(err);
+  const panel = document.createElement("pre");
+  panel.textContent = err.message;
+  panel.style.cssText = `
+    position: fixed;
+    top: 16px;
+    left: 16px;
+    right: 16px;
+    margin: 0;
+    padding: 12px 16px;
+    background: rgba(120, 0, 0, 0.85);
+    color: white;
+    font-family: monospace;
+    font-size: 13px;
+    white-space: pre-wrap;
+    border-radius: 4px;
+    z-index: 2000;
+  `;
+  document.body.appendChild(panel);
+}
+
 // '/ammo' is the folder where all ammo file are
 PhysicsLoader("/ammo", async () => {
   // All code that uses Ammo/AmmoPhysics must be inside this callback!
@@ -21,154 +74,70 @@ PhysicsLoader("/ammo", async () => {
   // ------------------------------- //
   // --------- SCENE SETUP --------- //
   // ------------------------------- //
-  let scene, camera, renderer, terrainData;
+  let fileSceneData; // scene as authored; exports/saves are diffed against it
+  try {
+    fileSceneData = await loadSceneFile(sceneUrl);
+  } catch (err) {
+    showSceneError(err);
+    return;
+  }
+
+  // Layout edits saved from the editor in a previous session (Ctrl+S)
+  const savedLayout = loadLayout(sceneName);
+  const sceneData =
+    savedLayout ? applyLayout(fileSceneData, savedLayout) : fileSceneData;
+  if (savedLayout) {
+    console.log(
+      `[Editor] Restored saved layout (${Object.keys(savedLayout.models).length} edited, ${savedLayout.added.length} added models)`,
+    );
+  }
+
+  let scene, camera, renderer;
   const clock = new THREE.Clock();
   ({ scene, camera, renderer } = await createScene());
   renderer.toneMapping = THREE.ACESFilmicToneMapping; // for example
-  renderer.toneMappingExposure = 0.5; // <–– 1 is “normal”, <1 makes the HDRI darker
 
   // Set up physics with more substeps for reliable collision
-  const DEBUG_LOG_MOVEMENT = false; // Set to true to enable console logging of player movement data for debugging
-
   const physics = new AmmoPhysics(scene, {
-    maxSubSteps: 8,
-    fixedTimeStep: 1 / 120,
-  });
-
-  if (DEBUG_LOG_MOVEMENT) physics.debug?.enable();
-
-  // ------------------------------- //
-  // ------ ENVIRONMENT SETUP ------ //
-  // ------------------------------- //
-  // Set up environment textures and terrain
-  const hdrPath = "textures/hdr/sky_night.hdr"; // HDRI for sky background and lighting
-  // const hdrPath = ""; // HDRI for sky background and lighting
-  const texName = "planks"; // Base name for floor textures (expects _diff, _ao, etc. suffixes)
-  const texturePaths = {
-    diffuseMap: `textures/floor/${texName}/${texName}_diff.jpg`,
-    aoMap: `textures/floor/${texName}/${texName}_ao.jpg`,
-    armMap: `textures/floor/${texName}/${texName}_arm.jpg`,
-    normalMap: `textures/floor/${texName}/${texName}_nor.jpg`,
-    displacementMap: `textures/floor/${texName}/${texName}_disp.jpg`,
-    roughnessMap: `textures/floor/${texName}/${texName}_rough.jpg`,
-  };
-
-  // Generate terrain and get height data
-  // Supports rectangular floors with width/depth
-  const floorWidth = 20; // X axis
-  const floorDepth = 10; // Z axis
-  const {
-    heightBounds,
-    terrainData: terrainDataLocal,
-    floorSize,
-  } = await createEnvironment(
-    scene,
-    hdrPath,
-    texturePaths,
-    {
-      textureRepeat: 1, // Tiling of floor textures
-      width: floorWidth, // Rectangular floor width
-      depth: floorDepth, // Rectangular floor depth
-      segments: 16, // Grid resolution
-      heightScale: 0.02, // Vertical exaggeration
-      heightBias: 0, // Lower terrain
-      // Texture rotation options:
-      // - "natural": many angles for organic textures (rocks, grass, dirt)
-      // - "aligned": 0° and 180° only for structured textures (planks, tiles)
-      // - "none": no rotation
-      // - Custom array: [0, Math.PI] or any angles in radians
-      textureRotations: "aligned",
-    },
-    physics,
-  );
-
-  // Store terrain data for use in animation loop
-  terrainData = heightBounds && terrainDataLocal ? terrainDataLocal : null;
-
-  const wallTexName = "corrugated_iron"; // Base name for floor textures (expects _diff, _ao, etc. suffixes)
-  const wallTexturePaths = {
-    diffuseMap: `textures/walls/${wallTexName}/${wallTexName}_diff.jpg`,
-    // aoMap: `textures/walls/${wallTexName}/${wallTexName}_ao.jpg`,
-    armMap: `textures/walls/${wallTexName}/${wallTexName}_arm.jpg`,
-    normalMap: `textures/walls/${wallTexName}/${wallTexName}_nor.jpg`,
-    displacementMap: `textures/walls/${wallTexName}/${wallTexName}_disp.jpg`,
-    // roughnessMap: `textures/walls/${wallTexName}/${wallTexName}_rough.jpg`,
-  };
-  // build room walls/ceiling; supports rectangular rooms and selective wall creation
-  // note: playerCollider not yet available, so collision group update will be
-  // handled after the collider is created.
-  const { roomSize, ceilingY, wallThickness } = await createRoomWalls({
-    scene,
-    physics,
-    width: floorSize.width, // Use actual floor dimensions
-    depth: floorSize.depth,
-    wallHeight: 5,
-    wallThickness: 0.5,
-    segments: 10, // Number of segments for wall geometry
-    textureRepeat: 10,
-    wallTextures: wallTexturePaths,
-    ceilingTextures: {},
-    // Select which walls to create (all enabled by default)
-    walls: {
-      north: false, // Back wall (-Z)
-      south: true, // Front wall (+Z)
-      east: true, // Right wall (+X)
-      west: false, // Left wall (-X)
-    },
-    ceiling: false, // Toggle roof on/off
+    maxSubSteps: sceneData.physics.maxSubSteps,
+    fixedTimeStep: sceneData.physics.fixedTimeStep,
   });
 
-  // // optional helper to create a ceiling grid of spotlights (n×n):
-  // // Note: ceilingSize format changed - now use roomSize.width/depth
-  // let ceilingLights = [];
-  // ceilingLights = createCeilingLights(scene, {
-  //   ceilingSize: [roomSize.width, wallThickness, roomSize.depth],
-  //   ceilingY,
-  //   wallThickness,
-  //   numLightsPerSide: 4,
-  //   color: 0xffffff,
-  //   intensity: 200,
-  //   distance: 25,
-  //   decay: 2,
-  //   showHelpers: true, // toggle to see helper spheres
-  // });
+  if (sceneData.physics.debug) physics.debug?.enable();
 
   // ------------------------------- //
-  // --------- PLAYER SETUP -------- //
+  // ------- WORLD FROM FILE ------- //
   // ------------------------------- //
-  // specify a spawn point if you want to start somewhere other than the
-  // origin; y is optional and computed from the terrain if omitted.
-  const playerSpawn = { x: 0, z: 0, y: 3 };
-  const playerCapsuleRadius = 0.2; // <--- modify this value as needed
-  // Set your desired speeds here:
-  const walkAcceleration = 4; // Change this value for walk speed
-  const sprintAcceleration = 8; // Change this value for sprint speed
-  const jumpSpeed = 5; // Change this value for jump speed
-  const playerHeight = 0.6;
-
+  // Environment, walls, lights, player and models all come from the scene
+  // file; see components/sceneSchema.js for the format.
+  // Keys for the player and the editor, with the user's rebinds
+  const inputMap = createInputMap();
   const {
+    floor, // terrain tiles, used by the editor's "drop to floor"
+    room, // walls and ceiling, or null
+    heightBounds, // terrain height range
     playerCollider,
     player, // first-person controls wrapper
-    PLAYER_HEIGHT: _PLAYER_HEIGHT,
-    movement: _playerMovement, // unused helper state
-    update: updatePlayer,
-  } = await createPlayer({
+    playerHeight,
+    playerSpawn,
+    updatePlayer,
+    playerMovement, // input state read by updatePlayer
+    playerController, // ground state (grounded, sliding)
+    playerNoclip, // fly mode for play testing
+    teleportPlayer,
+    spawnPlayer, // stand the player at a spawn point
+    setRespawnPoint, // where falling out of the world respawns (checkpoints)
+    ladders, // volumes the player climbs in (wireframes shown in the editor)
+    lights,
+    loadedModels,
+  } = await buildWorld(sceneData, {
     scene,
     physics,
-    heightBounds,
-    terrainData,
     camera,
     renderer,
-    capsuleRadius: playerCapsuleRadius,
-    playerOptions: {
-      walkAcceleration,
-      sprintAcceleration,
-      jumpSpeed,
-      playerHeight,
-      cameraYOffset: playerHeight + 0.03, // Camera height is at top of capsule
-    },
-    spawnPosition: playerSpawn,
+    inputMap,
   });
+
   // ------------------------------- //
   // - MODE SYSTEM (Editor / Play) - //
   // ------------------------------- //
@@ -181,150 +150,323 @@ PhysicsLoader("/ammo", async () => {
     playerHeight,
     playerSpawn,
     physics, // Pass physics for transform sync
+    inputMap,
+    floor,
+    onSaveLayout: () => {
+      const layout = currentLayout();
+      if (saveLayout(sceneName, layout)) {
+        modeSystem.flashMessage(
+          `Layout saved (${Object.keys(layout.models).length} edited, ${layout.added.length} added, ${layout.removed.length} removed, ${layout.lights.length} lights)`,
+        );
+      }
+    },
+    onExportScene: () => {
+      const exported = applyLayout(fileSceneData, currentLayout());
+      // the file must load again: catch schema round-trip breaks here
+      try {
+        validateScene(exported, `${sceneName}.json`);
+      } catch (err) {
+        console.error("[Editor] Exported scene would not load:", err);
+        modeSystem.flashMessage(
+          "Export failed: scene would not load (see console)",
+        );
+        return;
+      }
+      downloadScene(exported, `${sceneName}.json`);
+      modeSystem.flashMessage(`Downloaded ${sceneName}.json`);
+    },
+    // Delete / Ctrl+D / Ctrl+C / Ctrl+V
+    onDeleteSelection: (objects) => {
+      objectCommands.deleteObjects(objects);
+      lightEditor.deleteLights(objects);
+      spawnEditor.deleteSpawns(objects);
+    },
+    onDuplicateSelection: (objects) => objectCommands.duplicateObjects(objects),
+    onCopySelection: (objects) => objectCommands.copyObjects(objects),
+    onPaste: () => objectCommands.paste(),
   });
+
+  // Editor changes relative to the scene file, keeping edits saved in an
+  // earlier session for models that didn't load this time
+  function currentLayout() {
+    const layout = collectLayout(
+      models,
+      modeSystem.getModifiedObjects(),
+      modelRegistry.getRemovedIds(),
+      lightRegistry.toConfigs(),
+      spawnRegistry.toConfigs(),
+      platforms.toConfigs(),
+    );
+    return {
+      models: { ...(savedLayout?.models ?? {}), ...layout.models },
+      added: layout.added,
+      removed: [
+        ...new Set([...(savedLayout?.removed ?? []), ...layout.removed]),
+      ],
+      lights: layout.lights,
+      spawnPoints: layout.spawnPoints,
+      platforms: layout.platforms,
+    };
+  }
+
   // ------------------------------- //
   // -------- MODEL SETUP ---------- //
   // ------------------------------- //
-  // Consolidated model configuration - easier to maintain
-  const ANIMATION_PLAYBACK_RATE = 1.0; // 1 = source speed, <1 = slower
-  const modelConfigs = [
-    {
-      path: "rhino/source/rhinoThird_twoSevenNine_test.glb",
-      scale: 4,
-      mass: 1,
-      shape: "hull",
-      position: [7, 0, 0],
-    },
-    {
-      path: "cat_statue/concrete_cat_statue_4k.gltf",
-      scale: 2,
-      mass: 1000,
-      shape: "box",
-      position: [0, 0, 0],
-    },
-    {
-      path: "chair/mid_century_lounge_chair_1k.gltf",
-      scale: 1,
-      mass: 10,
-      shape: "hull",
-      position: [-7, 0, 0],
-    },
-    // {
-    //   path: "animated_triceratops_skeleton.glb",
-    //   scale: 10,
-    //   mass: 0,
-    //   shape: "box",
-    //   position: [-15, 0, -1],
-    // },
-    // {
-    //   path: "fountain.glb",
-    //   scale: 8,
-    //   mass: 0,
-    //   shape: "concave",
-    //   position: [20, -4.5, 0],
-    // },
-  ];
-
-  // Load all models in parallel for faster startup
-  const loader = new GLTFLoader();
-  const modelPromises = modelConfigs.map((config) =>
-    loadModel(
-      loader,
-      `/models/${config.path}`,
-      config.scale,
-      new THREE.Vector3(...config.position),
-      scene,
-      physics,
-      {
-        mass: config.mass,
-        shape: config.shape,
-        colliderOffset: new THREE.Vector3(0, 0, 0),
-      },
-    ).then((result) => ({ ...result, config })),
-  );
-
-  const loadedModels = await Promise.all(modelPromises);
-
-  // Process loaded models
-  const models = loadedModels.map((result, index) => {
-    const { model, mixer, activeAction, collider, config, clips } = result;
-
-    if (model) {
-      model.visible = true;
-      model.traverse((child) => {
-        if (child.isMesh) {
-          child.visible = true;
-          if (child.material) child.material.visible = true;
-        }
-      });
-    }
+  const modelRegistry = createModelRegistry({ scene, physics });
+  const models = modelRegistry.models; // live list, grows as models are spawned
 
-    // Give the collider/model a name for editor selection display
-    if (collider) {
-      collider.name = config.path.replace(/\.[^.]+$/, "").replace(/\/.*$/, "");
+  // Re-apply placement saved from the editor (scene file or localStorage)
+  modelRegistry.onAdd(({ collider, config }) => {
+    if (collider && config.transform) {
+      modeSystem.applyTransform(collider, config.transform);
     }
+  });
 
-    if (mixer && activeAction) {
-      activeAction.setEffectiveTimeScale(ANIMATION_PLAYBACK_RATE);
-    }
+  // Models added in the editor last session stay "spawned" so they are saved
+  // with the layout again rather than treated as part of the scene file
+  const savedAddedIds = new Set(savedLayout?.added.map((m) => m.id));
+  for (const result of loadedModels) {
+    modelRegistry.add(result, {
+      origin: savedAddedIds.has(result.config.id) ? "spawned" : "scene",
+    });
+  }
 
-    return {
-      name: `model_${index}`,
-      model,
-      mixer,
-      activeAction,
-      collider,
-      clips,
-      config,
-      currentClipIndex: 0, // Track which animation is playing
-    };
+  // Dynamic models that fall out of the world are respawned (or removed /
+  // frozen, per model) and put back when returning to the editor
+  const killPlane = createKillPlane({
+    physics,
+    modelRegistry,
+    y: killPlaneHeight(heightBounds, sceneData.physics.killPlaneY),
   });
 
-  console.log(`[Engine] Loaded ${models.length} models in parallel`, models);
+  // Lights placed in the editor (the scene file's other lights are built
+  // by buildWorld and can't be edited)
+  const lightRegistry = createLightRegistry({ scene });
+  for (const config of sceneData.lights.placed) lightRegistry.add(config);
+
+  // Named places the player can start from or be sent to
+  const spawnRegistry = createSpawnRegistry({ scene });
+  for (const config of sceneData.spawnPoints) spawnRegistry.add(config);
+
+  // Lifts and other moving platforms; the player rides the one under them
+  const platforms = createMovingPlatforms({
+    scene,
+    physics,
+    modelRegistry,
+    platforms: sceneData.platforms,
+  });
+  playerController.setGroundVelocity(platforms.velocityAt);
+
+  // What trigger zones and model interactions can do
+  const infoCard = createInfoCard({
+    closeKey: () => inputMap.describe("interact"),
+  });
+  const actions = createSceneActions({
+    modelRegistry,
+    lightRegistry,
+    infoCard,
+    teleport: teleportPlayer,
+    spawnRegistry,
+    spawnAt: spawnPlayer,
+    setCheckpoint: setRespawnPoint,
+    platforms,
+  });
+
+  // Trigger zones from the scene file (wireframes shown in the editor)
+  const triggers = createTriggerSystem({
+    scene,
+    physics,
+    playerCollider,
+    modelRegistry,
+    actions,
+    triggers: sceneData.triggers,
+  });
+
+  // Play-mode systems below only react while the mouse is captured, a
+  // gamepad is in use or the touch controls are up
+  const playerInControl = () =>
+    modeSystem.isPlayMode() &&
+    !pauseMenu.isPaused() &&
+    (player.controls.isLocked || gamepad.isConnected() || touch.isActive());
+
+  // V switches between the player's eyes and a camera behind them; aiming
+  // always starts from the eyes (view.eye)
+  const view = createThirdPersonCamera({
+    camera,
+    physics,
+    ignore: () => [playerCollider, grab.getHeld()?.collider],
+    config: sceneData.player.camera,
+    inputMap,
+    isActive: playerInControl,
+  });
+  const avatar = createAvatar({
+    collider: playerCollider,
+    config: sceneData.player.avatar,
+  });
+  const showAvatar = () =>
+    avatar.setVisible(modeSystem.isPlayMode() && view.getView() === "third");
+  view.onViewChange(showAvatar);
+
+  // Look at a model with an `interaction` and press E (play mode only)
+  const interactions = createInteractionSystem({
+    camera: view.eye,
+    scene,
+    modelRegistry,
+    actions,
+    infoCard,
+    playerCollider,
+    isActive: playerInControl,
+    inputMap,
+  });
+
+  // Pick up, carry and throw light dynamic models (play mode only)
+  const grab = createGrabSystem({
+    camera: view.eye,
+    scene,
+    physics,
+    modelRegistry,
+    playerCollider,
+    isActive: playerInControl,
+    config: sceneData.player.grab,
+  });
+  grab.setEnabled(sceneData.player.grab.enabled);
+
+  // Controller: moves the player in play mode, the orbit camera in the editor
+  const gamepad = createGamepadInput({
+    camera,
+    movement: playerMovement,
+    controls: player.controls,
+    modeSystem,
+    interactions,
+    grab,
+    config: sceneData.player.gamepad,
+    notify: modeSystem.flashMessage,
+  });
+
+  // On-screen joystick and buttons, used on touch screens in play mode
+  const touch = createTouchControls({
+    camera,
+    movement: playerMovement,
+    controls: player.controls,
+    modeSystem,
+    interactions,
+    config: sceneData.player.touch,
+  });
+
+  // Esc in play mode: pause with player settings (sensitivity, fov, volume...)
+  const pauseMenu = createPauseMenu({
+    camera,
+    renderer,
+    scene,
+    controls: player.controls,
+    modeSystem,
+    actions,
+    inputMap,
+    canLockPointer: () => !touch.isActive(),
+  });
 
   // ------------------------------- //
-  // ------ LIGHT SETUP ------ //
+  // --------- EDITOR PANELS ------- //
   // ------------------------------- //
+  const editorUI = createEditorUI();
+  const inspector = createPropertyInspector({
+    editorUI,
+    modeSystem,
+    modelRegistry,
+    lightRegistry,
+    physics,
+  });
+  const lightEditor = createLightEditor({
+    editorUI,
+    modeSystem,
+    lightRegistry,
+  });
+  const spawnEditor = createSpawnEditor({
+    editorUI,
+    modeSystem,
+    spawnRegistry,
+    camera,
+    spawnAt: spawnPlayer,
+    teleport: teleportPlayer,
+    playerSpawn,
+    setRespawnPoint,
+  });
+  const outliner = createOutliner({
+    editorUI,
+    modeSystem,
+    getGroups: () => [
+      { label: "Models", objects: models.map((m) => m.collider ?? m.model) },
+      {
+        label: "Lights",
+        objects: [...lights, ...lightRegistry.lights.map((l) => l.light)],
+        nameOf: (light, i) => light.name || `${light.type} ${i + 1}`,
+      },
+      {
+        label: "Walls",
+        objects: [...(room?.walls ?? []).map((w) => w.mesh), room?.ceiling],
+        collapsed: true,
+      },
+      { label: "Floor tiles", objects: floor.children, collapsed: true },
+      {
+        label: "Spawn points",
+        objects: spawnRegistry.spawns.map((s) => s.marker),
+      },
+      {
+        // box platforms; model platforms are listed with the models
+        label: "Platforms",
+        objects: platforms.platforms
+          .filter((p) => !p.config.model && p.object)
+          .map((p) => p.object),
+      },
+      { label: "Player", objects: [playerCollider], nameOf: () => "player" },
+    ],
+  });
+  modelRegistry.onAdd(() => outliner.refresh());
+  modelRegistry.onRemove(() => outliner.refresh());
+  lightRegistry.onAdd(() => outliner.refresh());
+  lightRegistry.onRemove(() => outliner.refresh());
+  spawnRegistry.onAdd(() => outliner.refresh());
+  spawnRegistry.onRemove(() => outliner.refresh());
+  createAssetBrowser({
+    editorUI,
+    renderer,
+    objectPicker: modeSystem.objectPicker,
+    modelRegistry,
+    isEnabled: modeSystem.isEditorMode,
+    notify: modeSystem.flashMessage,
+  });
+  createControlsPanel({
+    editorUI,
+    inputMap,
+    notify: modeSystem.flashMessage,
+  });
+  modeSystem.onModeChange((mode) => {
+    editorUI.setVisible(mode === "editor");
+    lightRegistry.setHelpersVisible(mode === "editor");
+    triggers.setHelpersVisible(mode === "editor");
+    spawnRegistry.setMarkersVisible(mode === "editor");
+    ladders.setHelpersVisible(mode === "editor");
+    if (mode === "editor") playerNoclip.setOn(false); // back to a normal body
+    interactions.setEnabled(mode === "play");
+    grab.setEnabled(mode === "play" && sceneData.player.grab.enabled);
+    showAvatar();
+    if (mode === "play") {
+      killPlane.captureSpawns();
+      platforms.captureStart();
+    } else {
+      killPlane.restore();
+      platforms.restore();
+      triggers.reset();
+    }
+  });
+
+  const objectCommands = createObjectCommands({
+    renderer,
+    modeSystem,
+    modelRegistry,
+  });
 
-  // Add ambient light for general illumination (optional, can be removed if HDRI provides sufficient lighting)
-  // const ambientLight = new THREE.AmbientLight(0xffffff, 0.4); // Soft white light
-  // scene.add(ambientLight);
-
-  let lights = [];
-  const lightColor = 0xffffff;
-  const lightIntensity = 0;
-  const lightDistance = 25;
-  const lightDecay = 2;
-
-  // let pointLight = new THREE.PointLight(
-  //   lightColor,
-  //   lightIntensity,
-  //   lightDistance,
-  //   lightDecay,
-  // );
-  // pointLight.position.set(
-  //   modelPosition.x,
-  //   modelPosition.y + 7,
-  //   modelPosition.z,
-  // );
-  // pointLight.castShadow = true;
-  // scene.add(pointLight);
-
-  // let pointLight2 = new THREE.PointLight(
-  //   lightColor,
-  //   lightIntensity + 100,
-  //   lightDistance,
-  //   lightDecay,
-  // );
-  // pointLight2.position.set(
-  //   modelPosition.x + 1,
-  //   modelPosition.y + 11,
-  //   modelPosition.z + 2,
-  // );
-  // pointLight2.castShadow = true;
-  // scene.add(pointLight2);
-  // lights.push(pointLight);
-  // lights.push(pointLight2);
+  console.log(`[Engine] Loaded ${models.length} models in parallel`, models);
 
   // Start animation loop
   renderer.setAnimationLoop(animate);
@@ -334,6 +476,14 @@ PhysicsLoader("/ammo", async () => {
     // Essential component: get time delta for smooth animation and physics updates
     const delta = clock.getDelta(); // Time since last frame
 
+    // Paused play mode: just keep drawing the frozen world
+    if (pauseMenu.isPaused()) {
+      renderer.render(scene, camera);
+      return;
+    }
+
+    gamepad.update(delta); // before the player / editor camera read it
+
     // Essential component: Update all animated models
     for (const model of models) {
       if (model.mixer) model.mixer.update(delta);
@@ -343,40 +493,33 @@ PhysicsLoader("/ammo", async () => {
     if (modeSystem.isEditorMode()) {
       // Editor mode: update orbit controls and picker
       modeSystem.update();
+      inspector.update();
+      lightRegistry.updateHelpers();
+      triggers.updateHelpers();
     } else {
       // Play mode: update player movement and physics
+      platforms.update(delta); // before the player rides them
       if (typeof updatePlayer === "function") {
         updatePlayer(delta);
       }
-
-      //syntax for checking player proximity to a model
-      //  const playerPos = playerCollider.position;
-      //  const modelPos = model.collider.position;
-      //  const dx = modelPos.x - playerPos.x;
-      //  const dz = modelPos.z - playerPos.z;
-      //  const distSq = dx * dx + dz * dz;
-      //  const activationDistanceSq = 30; // set activation distance (5 units) squared for comparison
-      //  const isNear = distSq < activationDistanceSq;
-
-      // Optimized light proximity check using squared distance (avoids sqrt)
-      // if (playerCollider && lights.length > 0) {
-      //   const lightActivationDistanceSq = 16; // 4^2 - compare squared to avoid sqrt
-      //   const playerPos = playerCollider.position;
-      //   for (let i = 0; i < lights.length; i++) {
-      //     const light = lights[i];
-      //     const dx = light.position.x - playerPos.x;
-      //     const dz = light.position.z - playerPos.z;
-      //     const distSq = dx * dx + dz * dz;
-      //     const isNear = distSq < activationDistanceSq;
-      //     light.intensity = isNear ? 100 : 0;
-      //   }
-      // }
+      view.update(delta); // camera from the eyes to behind the player
+      grab.update(); // sets the carried object's velocity for this step
 
       // Essential component:Update physics
       // Clamp delta to prevent physics instability on frame drops
       const clampedDelta = Math.min(delta, 1 / 30); // Cap at ~30fps equivalent
       physics.update(clampedDelta * 1000);
       physics.updateDebugger();
+      avatar.update(delta, {
+        velocity: playerCollider.body.velocity,
+        grounded: playerController.isGrounded(),
+        running: playerMovement.sprint || playerMovement.sprintBlend > 0.5,
+      });
+
+      // Proximity zones (after physics so ghost contacts are current)
+      triggers.update(delta);
+      killPlane.update();
+      interactions.update();
     }
 
     // Essential component: Render the scene